@@ -14,6 +14,7 @@ CREATE TABLE IF NOT EXISTS users (
     phone VARCHAR(20) NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
     status ENUM('active', 'suspended', 'banned') DEFAULT 'active',
+    status_reason VARCHAR(255),
     role ENUM('user', 'admin', 'super_admin') DEFAULT 'user',
     last_login TIMESTAMP NULL,
     profile_image VARCHAR(255),
@@ -65,12 +66,22 @@ CREATE TABLE IF NOT EXISTS wallet_transactions (
 CREATE TABLE IF NOT EXISTS orders (
     id INT AUTO_INCREMENT PRIMARY KEY,
     order_id VARCHAR(50) UNIQUE NOT NULL,
-    user_id INT NOT NULL,
+    user_id INT NULL,
     order_type ENUM('data_bundle', 'results_checker', 'afa_bundle', 'top_up', 'flyer_generation') NOT NULL,
     product_name VARCHAR(100),
     network ENUM('MTN', 'Telecel', 'AirtelTigo', 'other') DEFAULT 'other',
     bundle_size VARCHAR(50),
     amount DECIMAL(10,2) NOT NULL,
+    -- Catalog product and its list price at the time of sale; amount is what
+    -- was actually charged after level discounts or storefront markup
+    product_id INT NULL,
+    list_price DECIMAL(10,2) NULL,
+    promotion_id INT NULL,
+    -- Set on orders placed through a bulk upload (line = row in the upload)
+    batch_id VARCHAR(50) NULL,
+    batch_line INT NULL,
+    subscription_id INT NULL,
+    refund_pending BOOLEAN DEFAULT FALSE,
     beneficiary_number VARCHAR(20),
     payment_reference VARCHAR(100),
     status ENUM('pending_payment', 'processing', 'completed', 'failed', 'refunded', 'cancelled') DEFAULT 'pending_payment',
@@ -86,18 +97,22 @@ CREATE TABLE IF NOT EXISTS orders (
     INDEX idx_status (status),
     INDEX idx_network (network),
     INDEX idx_created_at (created_at),
-    INDEX idx_order_type (order_type)
+    INDEX idx_order_type (order_type),
+    INDEX idx_product_id (product_id),
+    INDEX idx_batch_id (batch_id, batch_line),
+    INDEX idx_subscription_id (subscription_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ========== DATA BUNDLE PRODUCTS TABLE ==========
 CREATE TABLE IF NOT EXISTS data_bundle_products (
     id INT AUTO_INCREMENT PRIMARY KEY,
     network ENUM('MTN', 'Telecel', 'AirtelTigo') NOT NULL,
-    bundle_size VARCHAR(20) NOT NULL,
+    bundle_size VARCHAR(50) NOT NULL,
     price DECIMAL(10,2) NOT NULL,
     validity_days INT DEFAULT 30,
     status ENUM('active', 'inactive') DEFAULT 'active',
     description TEXT,
+    deleted_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
@@ -107,6 +122,62 @@ CREATE TABLE IF NOT EXISTS data_bundle_products (
     INDEX idx_price (price)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ========== BUNDLE PRICE HISTORY ==========
+-- One row per catalog price change (old_price is NULL when the bundle was
+-- created, new_price is NULL when it was deleted)
+CREATE TABLE IF NOT EXISTS bundle_price_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    network VARCHAR(20) NOT NULL,
+    bundle_size VARCHAR(50) NOT NULL,
+    old_price DECIMAL(10,2) NULL,
+    new_price DECIMAL(10,2) NULL,
+    reason VARCHAR(255),
+    changed_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    INDEX idx_product_id (product_id, id),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========== PROMOTIONS ==========
+-- Time-boxed discounts. A promotion targets one bundle (product_id), every
+-- bundle on a network, or the whole catalog when both are NULL.
+CREATE TABLE IF NOT EXISTS promotions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    network ENUM('MTN', 'Telecel', 'AirtelTigo') NULL,
+    product_id INT NULL,
+    discount_type ENUM('percent', 'fixed') NOT NULL,
+    discount_value DECIMAL(10,2) NOT NULL,
+    starts_at DATETIME NOT NULL,
+    ends_at DATETIME NOT NULL,
+    status ENUM('active', 'cancelled') DEFAULT 'active',
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_window (status, starts_at, ends_at),
+    INDEX idx_product_id (product_id),
+    INDEX idx_network (network)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========== SERVICE PRODUCTS TABLE ==========
+CREATE TABLE IF NOT EXISTS service_products (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_code VARCHAR(50) UNIQUE NOT NULL,
+    order_type ENUM('results_checker', 'afa_bundle', 'flyer_generation') NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    price DECIMAL(10,2) NOT NULL,
+    status ENUM('active', 'inactive') DEFAULT 'active',
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_order_type (order_type),
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ========== ORDER SEQUENCE TABLE ==========
 CREATE TABLE IF NOT EXISTS order_sequence (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -120,7 +191,7 @@ CREATE TABLE IF NOT EXISTS admin_activity_logs (
     admin_id INT NOT NULL,
     action VARCHAR(100) NOT NULL,
     target_type VARCHAR(50),
-    target_id INT,
+    target_id VARCHAR(64),
     details JSON,
     ip_address VARCHAR(45),
     user_agent TEXT,
@@ -144,20 +215,151 @@ CREATE TABLE IF NOT EXISTS user_business_profiles (
     business_location TEXT,
     business_description TEXT,
     theme_color VARCHAR(7) DEFAULT '#7f5af0',
+    slug VARCHAR(40) UNIQUE,
+    markup_type ENUM('percent', 'fixed') DEFAULT 'percent',
+    markup_value DECIMAL(10,2) DEFAULT 0,
+    storefront_enabled BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========== STOREFRONT SALES ==========
+-- Guest purchases from an agent's storefront. The order itself lives in
+-- orders under the agent's user_id; margin = sale_price - base_price is
+-- credited to the agent's wallet once the bundle is delivered.
+CREATE TABLE IF NOT EXISTS storefront_sales (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id VARCHAR(50) UNIQUE NOT NULL,
+    agent_id INT NOT NULL,
+    paystack_reference VARCHAR(100) UNIQUE NOT NULL,
+    customer_email VARCHAR(100) NOT NULL,
+    base_price DECIMAL(10,2) NOT NULL,
+    sale_price DECIMAL(10,2) NOT NULL,
+    margin DECIMAL(10,2) NOT NULL,
+    status ENUM('pending_payment', 'paid', 'completed', 'refund_pending', 'refunded', 'cancelled', 'expired') DEFAULT 'pending_payment',
+    paystack_refund_id VARCHAR(100),
+    paid_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (agent_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_agent_id (agent_id, created_at),
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========== BULK ORDER BATCHES TABLE ==========
+-- A bulk upload is paid with one wallet debit (transaction_id = batch_id);
+-- each line becomes its own order carrying batch_id and batch_line
+CREATE TABLE IF NOT EXISTS bulk_order_batches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    batch_id VARCHAR(50) UNIQUE NOT NULL,
+    user_id INT NOT NULL,
+    source ENUM('csv', 'json') NOT NULL,
+    total_lines INT NOT NULL,
+    total_amount DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========== SAVED BENEFICIARIES TABLE ==========
+-- Numbers a user buys for regularly (phone_number in E.164)
+CREATE TABLE IF NOT EXISTS saved_beneficiaries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    label VARCHAR(50) NOT NULL,
+    phone_number VARCHAR(20) NOT NULL,
+    default_network ENUM('MTN', 'Telecel', 'AirtelTigo') NOT NULL,
+    -- Set when default_network is not the number's prefix network (ported number)
+    allow_ported BOOLEAN DEFAULT FALSE,
+    last_used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_phone (user_id, phone_number)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========== BUNDLE SUBSCRIPTIONS TABLE ==========
+-- Recurring bundles bought from the wallet by the subscription scheduler.
+-- cadence 'on_expiry' renews when the last bundle's validity_days run out.
+CREATE TABLE IF NOT EXISTS bundle_subscriptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    product_id INT NOT NULL,
+    network ENUM('MTN', 'Telecel', 'AirtelTigo') NOT NULL,
+    bundle_size VARCHAR(50) NOT NULL,
+    beneficiary_number VARCHAR(20) NOT NULL,
+    allow_ported BOOLEAN DEFAULT FALSE,
+    cadence ENUM('on_expiry', 'daily', 'weekly', 'monthly') DEFAULT 'on_expiry',
+    status ENUM('active', 'paused', 'cancelled') DEFAULT 'active',
+    paused_by ENUM('user', 'system') NULL,
+    pause_reason VARCHAR(255),
+    next_run_at DATETIME NOT NULL,
+    last_order_id VARCHAR(50),
+    last_renewed_at TIMESTAMP NULL,
+    renewals INT DEFAULT 0,
+    cancelled_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_due (status, next_run_at),
     INDEX idx_user_id (user_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ========== USER NOTIFICATIONS TABLE ==========
+-- In-app notices (e.g. a subscription paused for low balance); also sent to
+-- the user's webhook URL as event `type`
+CREATE TABLE IF NOT EXISTS user_notifications (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(150) NOT NULL,
+    message TEXT,
+    data JSON,
+    read_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id, read_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========== CHECKOUT PAYMENTS TABLE ==========
+-- Orders paid straight through Paystack instead of from a wallet. user_id is
+-- NULL for guests; refunds go back to the card or mobile money account.
+CREATE TABLE IF NOT EXISTS checkout_payments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id VARCHAR(50) UNIQUE NOT NULL,
+    user_id INT NULL,
+    paystack_reference VARCHAR(100) UNIQUE NOT NULL,
+    customer_email VARCHAR(100) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    status ENUM('pending_payment', 'paid', 'refund_pending', 'refunded', 'cancelled', 'expired') DEFAULT 'pending_payment',
+    paystack_refund_id VARCHAR(100),
+    expires_at TIMESTAMP NULL,
+    paid_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_user_id (user_id, created_at),
+    INDEX idx_status (status, expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ========== WITHDRAWALS TABLE ==========
 CREATE TABLE IF NOT EXISTS withdrawals (
     id INT AUTO_INCREMENT PRIMARY KEY,
     user_id INT NOT NULL,
     amount DECIMAL(10,2) NOT NULL,
-    status ENUM('pending', 'approved', 'rejected', 'completed') DEFAULT 'pending',
+    status ENUM('pending', 'approved', 'rejected', 'completed', 'failed') DEFAULT 'pending',
     paystack_reference VARCHAR(100),
+    recipient_code VARCHAR(100),
+    transfer_code VARCHAR(100),
     admin_notes TEXT,
     processed_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -165,7 +367,22 @@ CREATE TABLE IF NOT EXISTS withdrawals (
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     INDEX idx_user_id (user_id),
     INDEX idx_status (status),
-    INDEX idx_created_at (created_at)
+    INDEX idx_created_at (created_at),
+    INDEX idx_paystack_reference (paystack_reference)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========== WITHDRAWAL RECIPIENTS TABLE ==========
+CREATE TABLE IF NOT EXISTS withdrawal_recipients (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNIQUE NOT NULL,
+    recipient_code VARCHAR(100) NOT NULL,
+    account_name VARCHAR(100) NOT NULL,
+    account_number VARCHAR(20) NOT NULL,
+    provider ENUM('MTN', 'Telecel', 'AirtelTigo') NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ========== API KEYS TABLE ==========
@@ -185,6 +402,71 @@ CREATE TABLE IF NOT EXISTS api_keys (
     INDEX idx_status (status)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ========== API REQUEST SIGNATURES TABLE ==========
+-- Signatures of POST/PUT/PATCH/DELETE /api/v1 requests seen in the last
+-- 2 x API_SIGNATURE_TOLERANCE seconds; a repeat is refused as a replay
+CREATE TABLE IF NOT EXISTS api_request_signatures (
+    api_key_id INT NOT NULL,
+    signature CHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (api_key_id, signature),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========== WEBHOOK ENDPOINTS TABLE ==========
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNIQUE NOT NULL,
+    url VARCHAR(500) NOT NULL,
+    secret VARCHAR(128) NOT NULL,
+    status ENUM('active', 'disabled') DEFAULT 'active',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========== WEBHOOK DELIVERIES TABLE ==========
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    delivery_id VARCHAR(50) UNIQUE NOT NULL,
+    user_id INT NOT NULL,
+    endpoint_id INT NOT NULL,
+    order_id VARCHAR(50),
+    event VARCHAR(50) NOT NULL,
+    payload JSON,
+    status ENUM('pending', 'delivered', 'failed') DEFAULT 'pending',
+    attempts INT DEFAULT 0,
+    next_attempt_at TIMESTAMP NULL,
+    last_status_code INT NULL,
+    last_error TEXT,
+    delivered_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (endpoint_id) REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_status_next_attempt (status, next_attempt_at),
+    INDEX idx_order_id (order_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========== WEBHOOK DELIVERY ATTEMPTS TABLE ==========
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    delivery_id VARCHAR(50) NOT NULL,
+    attempt INT NOT NULL,
+    manual BOOLEAN DEFAULT FALSE,
+    status_code INT NULL,
+    error TEXT,
+    duration_ms INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    INDEX idx_delivery_id (delivery_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ========== RESULTS VOUCHERS TABLE ==========
 CREATE TABLE IF NOT EXISTS results_vouchers (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -198,7 +480,33 @@ CREATE TABLE IF NOT EXISTS results_vouchers (
     
     INDEX idx_voucher_type (voucher_type),
     INDEX idx_status (status),
-    INDEX idx_pin (pin)
+    INDEX idx_pin (pin),
+    INDEX idx_voucher_type_status (voucher_type, status),
+    INDEX idx_assigned_to_order (assigned_to_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========== AFA REGISTRATIONS TABLE ==========
+CREATE TABLE IF NOT EXISTS afa_registrations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id VARCHAR(50) UNIQUE NOT NULL,
+    user_id INT NOT NULL,
+    full_name VARCHAR(100) NOT NULL,
+    ghana_card_number VARCHAR(20) NOT NULL,
+    phone_number VARCHAR(20) NOT NULL,
+    status ENUM('pending', 'completed', 'rejected') DEFAULT 'pending',
+    admin_notes TEXT,
+    processed_by INT NULL,
+    processed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Set only while the registration is pending or completed, so the unique
+    -- key allows one active registration per Ghana card
+    active_ghana_card VARCHAR(20) AS (IF(status IN ('pending', 'completed'), ghana_card_number, NULL)) STORED,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_ghana_card_number (ghana_card_number),
+    INDEX idx_status (status),
+    UNIQUE KEY uniq_active_ghana_card (active_ghana_card)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ========== WHATSAPP JOIN LOGS ==========
@@ -233,12 +541,112 @@ CREATE TABLE IF NOT EXISTS paystack_webhook_logs (
     id INT AUTO_INCREMENT PRIMARY KEY,
     event_type VARCHAR(100) NOT NULL,
     reference VARCHAR(100),
+    event_key VARCHAR(64) UNIQUE,
     payload JSON,
     status VARCHAR(50),
+    error TEXT,
+    attempts INT DEFAULT 0,
+    duplicate_count INT DEFAULT 0,
     processed_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
     INDEX idx_reference (reference),
     INDEX idx_event_type (event_type),
+    INDEX idx_status (status),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Append-only wallet ledger. Every balance change writes two entries with the
+-- same transaction_id: one on the user's 'wallet:<id>' account with the balance
+-- before and after, and the opposite entry on a 'system:*' contra account.
+CREATE TABLE IF NOT EXISTS wallet_ledger_entries (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    transaction_id VARCHAR(100) NOT NULL,
+    account VARCHAR(50) NOT NULL,
+    user_id INT NULL,
+    direction ENUM('debit', 'credit') NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    balance_before DECIMAL(12, 2) NULL,
+    balance_after DECIMAL(12, 2) NULL,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    INDEX idx_account (account, id),
+    INDEX idx_user (user_id, id),
+    INDEX idx_transaction (transaction_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TRIGGER wallet_ledger_no_update BEFORE UPDATE ON wallet_ledger_entries FOR EACH ROW
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'wallet_ledger_entries is append-only';
+
+CREATE TRIGGER wallet_ledger_no_delete BEFORE DELETE ON wallet_ledger_entries FOR EACH ROW
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'wallet_ledger_entries is append-only';
+
+CREATE TABLE IF NOT EXISTS wallet_reconciliation_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    triggered_by INT NULL,
+    wallets_checked INT DEFAULT 0,
+    drift_count INT DEFAULT 0,
+    unbalanced_transactions INT DEFAULT 0,
+    total_wallet_balance DECIMAL(14, 2) DEFAULT 0,
+    total_ledger_balance DECIMAL(14, 2) DEFAULT 0,
+    total_transaction_balance DECIMAL(14, 2) DEFAULT 0,
+    report JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
     INDEX idx_created_at (created_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Purchase volume (over WALLET_LEVEL_WINDOW_DAYS) a wallet needs for each
+-- level, and the discount that level gets on data bundle prices
+CREATE TABLE IF NOT EXISTS wallet_level_rules (
+    level ENUM('Bronze', 'Silver', 'Gold', 'Platinum') PRIMARY KEY,
+    min_volume DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    discount_percent DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    updated_by INT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS wallet_level_changes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    from_level ENUM('Bronze', 'Silver', 'Gold', 'Platinum') NOT NULL,
+    to_level ENUM('Bronze', 'Silver', 'Gold', 'Platinum') NOT NULL,
+    purchase_volume DECIMAL(12, 2) NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user (user_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- What each flyer_generation order rendered (template, business details and
+-- prices at the time), so the same flyer can be downloaded again later
+CREATE TABLE IF NOT EXISTS flyer_generations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id VARCHAR(50) UNIQUE NOT NULL,
+    user_id INT NOT NULL,
+    template VARCHAR(30) NOT NULL,
+    snapshot JSON NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========== ORDER EVENTS ==========
+-- Status history of each order: payments, vendor results, refunds and admin
+-- actions (actor_id is the admin's user id when actor_type = 'admin')
+CREATE TABLE IF NOT EXISTS order_events (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id VARCHAR(50) NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    from_status VARCHAR(30),
+    to_status VARCHAR(30),
+    note TEXT,
+    actor_type ENUM('system', 'admin', 'user') DEFAULT 'system',
+    actor_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    INDEX idx_order_id (order_id, id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,172 @@
+// flyers/index.js - PRICE-LIST FLYER RENDERER
+//
+// Turns an agent's business profile and bundle prices into a shareable flyer.
+// Templates only build SVG; PNG is rasterised from that SVG with resvg, so
+// both formats always look the same. A flyer is described by a snapshot
+//   { template, business: { name, whatsapp, color, description }, networks: { MTN: [{ size, price }] } }
+// which is stored with the order so the same flyer can be downloaded again.
+const { Resvg } = require('@resvg/resvg-js');
+
+const WIDTH = 1080;
+const FONT = 'DejaVu Sans, Arial, Helvetica, sans-serif';
+
+const NETWORK_COLORS = {
+    MTN: '#ffcc00',
+    Telecel: '#e60000',
+    AirtelTigo: '#0047ab'
+};
+
+const escapeXml = value => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const formatPrice = price => `GHS ${Number(price).toFixed(2)}`;
+
+function text(x, y, value, { size = 32, weight = 'normal', color = '#111111', anchor = 'start' } = {}) {
+    return `<text x="${x}" y="${y}" font-family="${FONT}" font-size="${size}" font-weight="${weight}" fill="${color}" text-anchor="${anchor}">${escapeXml(value)}</text>`;
+}
+
+function svgDocument(height, background, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}">
+<rect width="${WIDTH}" height="${height}" fill="${background}"/>
+${body.join('\n')}
+</svg>`;
+}
+
+// Theme colour band across the top, one price table per network
+function classic({ business, networks }) {
+    const body = [];
+    let y = 0;
+
+    body.push(`<rect x="0" y="0" width="${WIDTH}" height="260" fill="${business.color}"/>`);
+    body.push(text(WIDTH / 2, 120, business.name, { size: 64, weight: 'bold', color: '#ffffff', anchor: 'middle' }));
+    body.push(text(WIDTH / 2, 190, 'DATA BUNDLE PRICE LIST', { size: 34, color: '#ffffff', anchor: 'middle' }));
+    y = 320;
+
+    for (const [network, bundles] of Object.entries(networks)) {
+        body.push(`<rect x="80" y="${y}" width="${WIDTH - 160}" height="70" rx="12" fill="${NETWORK_COLORS[network] || business.color}"/>`);
+        body.push(text(120, y + 48, network, { size: 36, weight: 'bold', color: network === 'MTN' ? '#111111' : '#ffffff' }));
+        y += 110;
+
+        bundles.forEach((bundle, index) => {
+            if (index % 2 === 0) {
+                body.push(`<rect x="80" y="${y - 42}" width="${WIDTH - 160}" height="60" fill="#f4f4f6"/>`);
+            }
+            body.push(text(120, y, bundle.size, { size: 34 }));
+            body.push(text(WIDTH - 120, y, formatPrice(bundle.price), { size: 34, weight: 'bold', anchor: 'end' }));
+            y += 60;
+        });
+
+        y += 40;
+    }
+
+    return footer(body, y, business, { color: '#111111', accent: business.color, background: '#ffffff' });
+}
+
+// Dark background with a card per network
+function bold({ business, networks }) {
+    const body = [];
+    let y = 140;
+
+    body.push(text(WIDTH / 2, y, business.name.toUpperCase(), { size: 68, weight: 'bold', color: business.color, anchor: 'middle' }));
+    body.push(text(WIDTH / 2, y + 70, 'CHEAP DATA • FAST DELIVERY', { size: 32, color: '#ffffff', anchor: 'middle' }));
+    y += 140;
+
+    for (const [network, bundles] of Object.entries(networks)) {
+        const cardHeight = 100 + bundles.length * 64;
+        const accent = NETWORK_COLORS[network] || business.color;
+
+        body.push(`<rect x="60" y="${y}" width="${WIDTH - 120}" height="${cardHeight}" rx="28" fill="#1e1e2a" stroke="${accent}" stroke-width="4"/>`);
+        body.push(text(110, y + 70, network, { size: 44, weight: 'bold', color: accent }));
+
+        bundles.forEach((bundle, index) => {
+            const rowY = y + 140 + index * 64;
+            body.push(text(110, rowY, bundle.size, { size: 38, color: '#ffffff' }));
+            body.push(text(WIDTH - 110, rowY, formatPrice(bundle.price), { size: 38, weight: 'bold', color: business.color, anchor: 'end' }));
+        });
+
+        y += cardHeight + 40;
+    }
+
+    return footer(body, y, business, { color: '#ffffff', accent: business.color, background: '#0f0f17' });
+}
+
+// White page, thin rules, prices only
+function minimal({ business, networks }) {
+    const body = [];
+    let y = 130;
+
+    body.push(text(80, y, business.name, { size: 56, weight: 'bold' }));
+    body.push(`<rect x="80" y="${y + 30}" width="120" height="8" fill="${business.color}"/>`);
+    y += 120;
+
+    if (business.description) {
+        body.push(text(80, y, business.description.slice(0, 60), { size: 28, color: '#555555' }));
+        y += 70;
+    }
+
+    for (const [network, bundles] of Object.entries(networks)) {
+        body.push(text(80, y, network, { size: 36, weight: 'bold', color: business.color }));
+        y += 20;
+        body.push(`<line x1="80" y1="${y}" x2="${WIDTH - 80}" y2="${y}" stroke="#dddddd" stroke-width="2"/>`);
+        y += 55;
+
+        bundles.forEach(bundle => {
+            body.push(text(80, y, bundle.size, { size: 32, color: '#333333' }));
+            body.push(text(WIDTH - 80, y, formatPrice(bundle.price), { size: 32, anchor: 'end' }));
+            y += 52;
+        });
+
+        y += 40;
+    }
+
+    return footer(body, y, business, { color: '#111111', accent: business.color, background: '#ffffff' });
+}
+
+function footer(body, y, business, { color, accent, background }) {
+    if (business.whatsapp) {
+        body.push(`<rect x="80" y="${y}" width="${WIDTH - 160}" height="90" rx="45" fill="${accent}"/>`);
+        body.push(text(WIDTH / 2, y + 58, `Order on WhatsApp: ${business.whatsapp}`, { size: 36, weight: 'bold', color: '#ffffff', anchor: 'middle' }));
+        y += 130;
+    }
+
+    body.push(text(WIDTH / 2, y + 30, 'Prices may change without notice', { size: 24, color, anchor: 'middle' }));
+
+    return svgDocument(y + 80, background, body);
+}
+
+const templates = {
+    classic: { name: 'Classic', description: 'Theme colour header with a price table per network', render: classic },
+    bold: { name: 'Bold', description: 'Dark background with a card per network', render: bold },
+    minimal: { name: 'Minimal', description: 'Clean white page with simple price lists', render: minimal }
+};
+
+function listTemplates() {
+    return Object.entries(templates).map(([id, template]) => ({
+        id,
+        name: template.name,
+        description: template.description
+    }));
+}
+
+function renderFlyer(snapshot, format = 'svg') {
+    const template = templates[snapshot.template];
+    if (!template) {
+        throw new Error(`Unknown flyer template: ${snapshot.template}`);
+    }
+
+    const svg = template.render(snapshot);
+
+    if (format === 'png') {
+        const png = new Resvg(svg, { font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' } }).render().asPng();
+        return { contentType: 'image/png', body: png };
+    }
+
+    return { contentType: 'image/svg+xml', body: Buffer.from(svg) };
+}
+
+module.exports = { listTemplates, renderFlyer, templates };
@@ -7,13 +7,43 @@ const mysql = require('mysql2/promise');
 const axios = require('axios');
 const crypto = require('crypto');
 require('dotenv').config();
+const { createVendor } = require('./vendors');
+const { parseCsv } = require('./utils/csv');
+const { normalizeGhanaPhone, checkBeneficiary, isTruthyFlag } = require('./utils/phone');
+const { postWebhook, checkWebhookHost } = require('./utils/webhooks');
+const { rateLimit } = require('./utils/ratelimit');
+const { parsePagination } = require('./utils/pagination');
+const { repeatOrderPurchase } = require('./utils/orders');
+const { listTemplates, renderFlyer, templates: flyerTemplates } = require('./flyers');
+const {
+    InsufficientBalanceError,
+    withTransaction,
+    lockWallet,
+    debitWallet,
+    creditWallet,
+    transferBetweenWallets,
+    nextOrderId,
+    payForOrder
+} = require('./utils/transactions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const PAYSTACK_BASE_URL = process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
+// Paystack is called from request handlers and background jobs; neither should
+// wait on it indefinitely
+const PAYSTACK_TIMEOUT_MS = parseInt(process.env.PAYSTACK_TIMEOUT_MS) || 15000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+
+// The Paystack webhook must see the untouched request bytes to check the
+// signature, so it is registered with its own raw parser before express.json()
+app.post('/api/webhook/paystack', express.raw({ type: '*/*' }), handlePaystackWebhook);
+
+app.use(express.json({
+    // Keep the exact bytes for request signature checks
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
 // Database connection
 const pool = mysql.createPool({
@@ -26,6 +56,90 @@ const pool = mysql.createPool({
     queueLimit: 0
 });
 
+// Add a column to an existing table when an older schema is missing it
+async function ensureColumn(table, column, definition) {
+    const [columns] = await pool.query(
+        'SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        [table, column]
+    );
+    
+    if (columns.length === 0) {
+        await pool.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+// Widen an ENUM column when an older schema is missing some of its values
+async function ensureEnumValues(table, column, definition) {
+    const [columns] = await pool.query(
+        'SELECT COLUMN_TYPE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        [table, column]
+    );
+    const values = definition.match(/ENUM\(([^)]*)\)/i)[1].split(',').map(value => value.trim());
+    
+    if (columns.length > 0 && values.some(value => !columns[0].COLUMN_TYPE.includes(value))) {
+        await pool.query(`ALTER TABLE ${table} MODIFY ${column} ${definition}`);
+    }
+}
+
+// Change a column whose older schema declared it with another type (e.g. a
+// narrower VARCHAR)
+async function ensureColumnType(table, column, columnType, definition) {
+    const [columns] = await pool.query(
+        'SELECT COLUMN_TYPE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        [table, column]
+    );
+    
+    if (columns.length > 0 && columns[0].COLUMN_TYPE.toLowerCase() !== columnType.toLowerCase()) {
+        await pool.query(`ALTER TABLE ${table} MODIFY ${column} ${definition}`);
+    }
+}
+
+// Ledger entries are never edited or removed; corrections are new entries
+async function ensureLedgerTriggers() {
+    const triggers = {
+        wallet_ledger_no_update: 'BEFORE UPDATE',
+        wallet_ledger_no_delete: 'BEFORE DELETE'
+    };
+    
+    for (const [name, timing] of Object.entries(triggers)) {
+        const [existing] = await pool.query(
+            'SELECT TRIGGER_NAME FROM information_schema.TRIGGERS WHERE TRIGGER_SCHEMA = DATABASE() AND TRIGGER_NAME = ?',
+            [name]
+        );
+    
+        if (existing.length > 0) continue;
+    
+        try {
+            await pool.query(
+                `CREATE TRIGGER ${name} ${timing} ON wallet_ledger_entries FOR EACH ROW
+                 SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'wallet_ledger_entries is append-only'`
+            );
+        } catch (error) {
+            // Needs the TRIGGER privilege (and SUPER when binary logging is on)
+            console.warn(`⚠️ Could not create ${name} trigger:`, error.message);
+        }
+    }
+}
+
+// The first time the ledger is used, existing wallets get an opening entry for
+// their current balance so ledger totals start out matching the wallets table
+async function openLedgerBalances() {
+    const [entries] = await pool.query('SELECT id FROM wallet_ledger_entries LIMIT 1');
+    if (entries.length > 0) return;
+    
+    await pool.query(`
+        INSERT INTO wallet_ledger_entries (transaction_id, account, user_id, direction, amount, balance_before, balance_after, description)
+        SELECT CONCAT('OPENING-', user_id), CONCAT('wallet:', user_id), user_id, IF(balance > 0, 'credit', 'debit'), ABS(balance), 0, balance, 'Opening balance'
+        FROM wallets WHERE balance <> 0
+    `);
+    
+    await pool.query(`
+        INSERT INTO wallet_ledger_entries (transaction_id, account, user_id, direction, amount, description)
+        SELECT CONCAT('OPENING-', user_id), 'system:opening_balances', NULL, IF(balance > 0, 'debit', 'credit'), ABS(balance), 'Opening balance'
+        FROM wallets WHERE balance <> 0
+    `);
+}
+
 // Initialize database
 async function initializeDB() {
     try {
@@ -37,12 +151,15 @@ async function initializeDB() {
                 email VARCHAR(100) UNIQUE NOT NULL,
                 phone VARCHAR(20) NOT NULL,
                 password_hash VARCHAR(255) NOT NULL,
-                status ENUM('active', 'suspended') DEFAULT 'active',
+                status ENUM('active', 'suspended', 'banned') DEFAULT 'active',
+                status_reason VARCHAR(255),
                 role ENUM('user', 'admin', 'super_admin') DEFAULT 'user',
                 last_login TIMESTAMP NULL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )
         `);
+        await ensureEnumValues('users', 'status', "ENUM('active', 'suspended', 'banned') DEFAULT 'active'");
+        await ensureColumn('users', 'status_reason', 'VARCHAR(255)');
 
         // Wallets table
         await pool.query(`
@@ -78,20 +195,53 @@ async function initializeDB() {
             CREATE TABLE IF NOT EXISTS orders (
                 id INT AUTO_INCREMENT PRIMARY KEY,
                 order_id VARCHAR(50) UNIQUE NOT NULL,
-                user_id INT NOT NULL,
+                user_id INT NULL,
                 order_type ENUM('data_bundle', 'results_checker', 'afa_bundle', 'top_up', 'flyer_generation') NOT NULL,
                 network ENUM('MTN', 'Telecel', 'AirtelTigo', 'other') DEFAULT 'other',
                 bundle_size VARCHAR(50),
                 product_name VARCHAR(100),
                 amount DECIMAL(10,2) NOT NULL,
+                product_id INT NULL,
+                list_price DECIMAL(10,2) NULL,
+                promotion_id INT NULL,
+                batch_id VARCHAR(50) NULL,
+                batch_line INT NULL,
+                subscription_id INT NULL,
+                refund_pending BOOLEAN DEFAULT FALSE,
                 beneficiary_number VARCHAR(20),
                 payment_reference VARCHAR(100),
-                status ENUM('pending_payment', 'processing', 'completed', 'failed', 'refunded') DEFAULT 'pending_payment',
+                status ENUM('pending_payment', 'processing', 'completed', 'failed', 'refunded', 'cancelled') DEFAULT 'pending_payment',
+                admin_notes TEXT,
+                delivery_response JSON,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                delivered_at TIMESTAMP NULL,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
             )
         `);
 
+        // Bring orders tables created by older versions up to date
+        await ensureColumn('orders', 'admin_notes', 'TEXT');
+        await ensureColumn('orders', 'delivery_response', 'JSON');
+        await ensureColumn('orders', 'updated_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP');
+        await ensureColumn('orders', 'delivered_at', 'TIMESTAMP NULL');
+        await ensureColumn('orders', 'product_id', 'INT NULL');
+        await ensureColumn('orders', 'list_price', 'DECIMAL(10,2) NULL');
+        await ensureColumn('orders', 'promotion_id', 'INT NULL');
+        await ensureColumn('orders', 'batch_id', 'VARCHAR(50) NULL');
+        await ensureColumn('orders', 'batch_line', 'INT NULL');
+        await ensureColumn('orders', 'subscription_id', 'INT NULL');
+        await ensureColumn('orders', 'refund_pending', 'BOOLEAN DEFAULT FALSE');
+        // Guest checkout orders have no account behind them
+        const [orderUserId] = await pool.query(
+            `SELECT IS_NULLABLE FROM information_schema.COLUMNS 
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'orders' AND COLUMN_NAME = 'user_id'`
+        );
+        if (orderUserId.length > 0 && orderUserId[0].IS_NULLABLE !== 'YES') {
+            await pool.query('ALTER TABLE orders MODIFY user_id INT NULL');
+        }
+        await ensureEnumValues('orders', 'status', "ENUM('pending_payment', 'processing', 'completed', 'failed', 'refunded', 'cancelled') DEFAULT 'pending_payment'");
+
         // Order sequence table
         await pool.query(`
             CREATE TABLE IF NOT EXISTS order_sequence (
@@ -105,13 +255,534 @@ async function initializeDB() {
             CREATE TABLE IF NOT EXISTS data_bundle_products (
                 id INT AUTO_INCREMENT PRIMARY KEY,
                 network ENUM('MTN', 'Telecel', 'AirtelTigo') NOT NULL,
-                bundle_size VARCHAR(20) NOT NULL,
+                bundle_size VARCHAR(50) NOT NULL,
                 price DECIMAL(10,2) NOT NULL,
                 validity_days INT DEFAULT 30,
                 status ENUM('active', 'inactive') DEFAULT 'active',
+                description TEXT,
+                deleted_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                 UNIQUE KEY unique_network_size (network, bundle_size)
             )
         `);
+        await ensureColumn('data_bundle_products', 'description', 'TEXT');
+        await ensureColumn('data_bundle_products', 'created_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+        await ensureColumn('data_bundle_products', 'updated_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP');
+        await ensureColumn('data_bundle_products', 'deleted_at', 'TIMESTAMP NULL');
+        await ensureColumnType('data_bundle_products', 'bundle_size', 'varchar(50)', 'VARCHAR(50) NOT NULL');
+
+        // Every catalog price change, kept after the product itself is deleted
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS bundle_price_history (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                product_id INT NOT NULL,
+                network VARCHAR(20) NOT NULL,
+                bundle_size VARCHAR(50) NOT NULL,
+                old_price DECIMAL(10,2) NULL,
+                new_price DECIMAL(10,2) NULL,
+                reason VARCHAR(255),
+                changed_by INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_product_id (product_id, id)
+            )
+        `);
+        await ensureColumnType('bundle_price_history', 'bundle_size', 'varchar(50)', 'VARCHAR(50) NOT NULL');
+
+        // Time-boxed discounts on a network, a single bundle, or (with
+        // neither set) the whole catalog
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS promotions (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                network ENUM('MTN', 'Telecel', 'AirtelTigo') NULL,
+                product_id INT NULL,
+                discount_type ENUM('percent', 'fixed') NOT NULL,
+                discount_value DECIMAL(10,2) NOT NULL,
+                starts_at DATETIME NOT NULL,
+                ends_at DATETIME NOT NULL,
+                status ENUM('active', 'cancelled') DEFAULT 'active',
+                created_by INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_window (status, starts_at, ends_at)
+            )
+        `);
+
+        // Service products table (results checkers and other non-bundle products)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS service_products (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                product_code VARCHAR(50) UNIQUE NOT NULL,
+                order_type ENUM('results_checker', 'afa_bundle', 'flyer_generation') NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                price DECIMAL(10,2) NOT NULL,
+                status ENUM('active', 'inactive') DEFAULT 'active',
+                description TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+
+        // AFA registrations table
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS afa_registrations (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                order_id VARCHAR(50) UNIQUE NOT NULL,
+                user_id INT NOT NULL,
+                full_name VARCHAR(100) NOT NULL,
+                ghana_card_number VARCHAR(20) NOT NULL,
+                phone_number VARCHAR(20) NOT NULL,
+                status ENUM('pending', 'completed', 'rejected') DEFAULT 'pending',
+                admin_notes TEXT,
+                processed_by INT NULL,
+                processed_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                active_ghana_card VARCHAR(20) AS (IF(status IN ('pending', 'completed'), ghana_card_number, NULL)) STORED,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_ghana_card_number (ghana_card_number),
+                INDEX idx_status (status),
+                UNIQUE KEY uniq_active_ghana_card (active_ghana_card)
+            )
+        `);
+
+        // One pending or completed registration per Ghana card; rejected ones
+        // drop out of the key so the card can be registered again
+        try {
+            await ensureColumn(
+                'afa_registrations',
+                'active_ghana_card',
+                "VARCHAR(20) AS (IF(status IN ('pending', 'completed'), ghana_card_number, NULL)) STORED UNIQUE"
+            );
+        } catch (error) {
+            // Fails while duplicate active registrations exist; reject the extras and restart
+            console.warn('⚠️ Could not add unique active Ghana card key:', error.message);
+        }
+
+        // Results vouchers table
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS results_vouchers (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                voucher_type ENUM('BECE', 'WASSCE') NOT NULL,
+                pin VARCHAR(100) UNIQUE NOT NULL,
+                serial VARCHAR(100) UNIQUE NOT NULL,
+                status ENUM('available', 'allocated', 'used') DEFAULT 'available',
+                assigned_to_order VARCHAR(50),
+                assigned_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_voucher_type_status (voucher_type, status),
+                INDEX idx_assigned_to_order (assigned_to_order)
+            )
+        `);
+
+        // API keys table
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                api_key VARCHAR(64) UNIQUE NOT NULL,
+                api_secret VARCHAR(128) NOT NULL,
+                name VARCHAR(100),
+                status ENUM('active', 'revoked') DEFAULT 'active',
+                last_used TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Signatures of recent state-changing API requests, to refuse replays
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS api_request_signatures (
+                api_key_id INT NOT NULL,
+                signature CHAR(64) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (api_key_id, signature),
+                INDEX idx_created_at (created_at)
+            )
+        `);
+
+        // Outbound webhook tables
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS webhook_endpoints (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT UNIQUE NOT NULL,
+                url VARCHAR(500) NOT NULL,
+                secret VARCHAR(128) NOT NULL,
+                status ENUM('active', 'disabled') DEFAULT 'active',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                delivery_id VARCHAR(50) UNIQUE NOT NULL,
+                user_id INT NOT NULL,
+                endpoint_id INT NOT NULL,
+                order_id VARCHAR(50),
+                event VARCHAR(50) NOT NULL,
+                payload JSON,
+                status ENUM('pending', 'delivered', 'failed') DEFAULT 'pending',
+                attempts INT DEFAULT 0,
+                next_attempt_at TIMESTAMP NULL,
+                last_status_code INT NULL,
+                last_error TEXT,
+                delivered_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (endpoint_id) REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+                INDEX idx_status_next_attempt (status, next_attempt_at),
+                INDEX idx_order_id (order_id)
+            )
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                delivery_id VARCHAR(50) NOT NULL,
+                attempt INT NOT NULL,
+                manual BOOLEAN DEFAULT FALSE,
+                status_code INT NULL,
+                error TEXT,
+                duration_ms INT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_delivery_id (delivery_id)
+            )
+        `);
+
+        // Withdrawals tables
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS withdrawals (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                status ENUM('pending', 'approved', 'rejected', 'completed', 'failed') DEFAULT 'pending',
+                paystack_reference VARCHAR(100),
+                recipient_code VARCHAR(100),
+                transfer_code VARCHAR(100),
+                admin_notes TEXT,
+                processed_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        await ensureColumn('withdrawals', 'recipient_code', 'VARCHAR(100)');
+        await ensureColumn('withdrawals', 'transfer_code', 'VARCHAR(100)');
+        await ensureEnumValues('withdrawals', 'status', "ENUM('pending', 'approved', 'rejected', 'completed', 'failed') DEFAULT 'pending'");
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS withdrawal_recipients (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT UNIQUE NOT NULL,
+                recipient_code VARCHAR(100) NOT NULL,
+                account_name VARCHAR(100) NOT NULL,
+                account_number VARCHAR(20) NOT NULL,
+                provider ENUM('MTN', 'Telecel', 'AirtelTigo') NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Paystack webhook logs table
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS paystack_webhook_logs (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                event_type VARCHAR(100) NOT NULL,
+                reference VARCHAR(100),
+                event_key VARCHAR(64) UNIQUE,
+                payload JSON,
+                status VARCHAR(50),
+                error TEXT,
+                attempts INT DEFAULT 0,
+                duplicate_count INT DEFAULT 0,
+                processed_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_reference (reference),
+                INDEX idx_event_type (event_type)
+            )
+        `);
+        await ensureColumn('paystack_webhook_logs', 'event_key', 'VARCHAR(64) UNIQUE');
+        await ensureColumn('paystack_webhook_logs', 'error', 'TEXT');
+        await ensureColumn('paystack_webhook_logs', 'attempts', 'INT DEFAULT 0');
+        await ensureColumn('paystack_webhook_logs', 'duplicate_count', 'INT DEFAULT 0');
+
+        // Wallet ledger table (append-only, no foreign key so history outlives users)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS wallet_ledger_entries (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                transaction_id VARCHAR(100) NOT NULL,
+                account VARCHAR(50) NOT NULL,
+                user_id INT NULL,
+                direction ENUM('debit', 'credit') NOT NULL,
+                amount DECIMAL(12, 2) NOT NULL,
+                balance_before DECIMAL(12, 2) NULL,
+                balance_after DECIMAL(12, 2) NULL,
+                description VARCHAR(255),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_account (account, id),
+                INDEX idx_user (user_id, id),
+                INDEX idx_transaction (transaction_id)
+            )
+        `);
+        await ensureLedgerTriggers();
+
+        // Admin activity logs table (audit trail of admin mutations)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS admin_activity_logs (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                admin_id INT NOT NULL,
+                action VARCHAR(100) NOT NULL,
+                target_type VARCHAR(50),
+                target_id VARCHAR(64),
+                details JSON,
+                ip_address VARCHAR(45),
+                user_agent TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_admin_id (admin_id),
+                INDEX idx_action (action),
+                INDEX idx_created_at (created_at),
+                INDEX idx_target (target_type, target_id)
+            )
+        `);
+        // Order ids and level names are targets too, not just numeric ids
+        const [targetId] = await pool.query(
+            `SELECT DATA_TYPE FROM information_schema.COLUMNS 
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'admin_activity_logs' AND COLUMN_NAME = 'target_id'`
+        );
+        if (targetId.length > 0 && targetId[0].DATA_TYPE !== 'varchar') {
+            await pool.query('ALTER TABLE admin_activity_logs MODIFY target_id VARCHAR(64)');
+        }
+
+        // Order events table (status history of each order)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS order_events (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                order_id VARCHAR(50) NOT NULL,
+                action VARCHAR(50) NOT NULL,
+                from_status VARCHAR(30),
+                to_status VARCHAR(30),
+                note TEXT,
+                actor_type ENUM('system', 'admin', 'user') DEFAULT 'system',
+                actor_id INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_order (order_id, id)
+            )
+        `);
+
+        // Business profiles table (also the agent's public storefront)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS user_business_profiles (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT UNIQUE NOT NULL,
+                business_name VARCHAR(100),
+                business_email VARCHAR(100),
+                business_phone VARCHAR(20),
+                whatsapp_number VARCHAR(20),
+                business_location TEXT,
+                business_description TEXT,
+                theme_color VARCHAR(7) DEFAULT '#7f5af0',
+                slug VARCHAR(40) UNIQUE,
+                markup_type ENUM('percent', 'fixed') DEFAULT 'percent',
+                markup_value DECIMAL(10, 2) DEFAULT 0,
+                storefront_enabled BOOLEAN DEFAULT FALSE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        await ensureColumn('user_business_profiles', 'slug', 'VARCHAR(40) UNIQUE');
+        await ensureColumn('user_business_profiles', 'markup_type', "ENUM('percent', 'fixed') DEFAULT 'percent'");
+        await ensureColumn('user_business_profiles', 'markup_value', 'DECIMAL(10, 2) DEFAULT 0');
+        await ensureColumn('user_business_profiles', 'storefront_enabled', 'BOOLEAN DEFAULT FALSE');
+
+        // Storefront sales table (guest purchases from an agent's storefront)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS storefront_sales (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                order_id VARCHAR(50) UNIQUE NOT NULL,
+                agent_id INT NOT NULL,
+                paystack_reference VARCHAR(100) UNIQUE NOT NULL,
+                customer_email VARCHAR(100) NOT NULL,
+                base_price DECIMAL(10, 2) NOT NULL,
+                sale_price DECIMAL(10, 2) NOT NULL,
+                margin DECIMAL(10, 2) NOT NULL,
+                status ENUM('pending_payment', 'paid', 'completed', 'refund_pending', 'refunded', 'cancelled', 'expired') DEFAULT 'pending_payment',
+                paystack_refund_id VARCHAR(100),
+                paid_at TIMESTAMP NULL,
+                completed_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (agent_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_agent (agent_id, created_at),
+                INDEX idx_status (status)
+            )
+        `);
+        await ensureEnumValues('storefront_sales', 'status', "ENUM('pending_payment', 'paid', 'completed', 'refund_pending', 'refunded', 'cancelled', 'expired') DEFAULT 'pending_payment'");
+        // Guest orders used to be filed under the agent's account
+        await pool.query(
+            'UPDATE orders o JOIN storefront_sales s ON s.order_id = o.order_id SET o.user_id = NULL WHERE o.user_id IS NOT NULL'
+        );
+
+        // Bulk order batches table (one wallet debit covering many orders)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS bulk_order_batches (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                batch_id VARCHAR(50) UNIQUE NOT NULL,
+                user_id INT NOT NULL,
+                source ENUM('csv', 'json') NOT NULL,
+                total_lines INT NOT NULL,
+                total_amount DECIMAL(10, 2) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user (user_id, created_at)
+            )
+        `);
+
+        // Saved beneficiaries table (numbers a user buys for regularly)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS saved_beneficiaries (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                label VARCHAR(50) NOT NULL,
+                phone_number VARCHAR(20) NOT NULL,
+                default_network ENUM('MTN', 'Telecel', 'AirtelTigo') NOT NULL,
+                allow_ported BOOLEAN DEFAULT FALSE,
+                last_used_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_user_phone (user_id, phone_number)
+            )
+        `);
+        await ensureColumn('saved_beneficiaries', 'allow_ported', 'BOOLEAN DEFAULT FALSE');
+
+        // Bundle subscriptions table (renewals bought from the wallet by the
+        // subscription scheduler)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS bundle_subscriptions (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                product_id INT NOT NULL,
+                network ENUM('MTN', 'Telecel', 'AirtelTigo') NOT NULL,
+                bundle_size VARCHAR(50) NOT NULL,
+                beneficiary_number VARCHAR(20) NOT NULL,
+                allow_ported BOOLEAN DEFAULT FALSE,
+                cadence ENUM('on_expiry', 'daily', 'weekly', 'monthly') DEFAULT 'on_expiry',
+                status ENUM('active', 'paused', 'cancelled') DEFAULT 'active',
+                paused_by ENUM('user', 'system') NULL,
+                pause_reason VARCHAR(255),
+                next_run_at DATETIME NOT NULL,
+                last_order_id VARCHAR(50),
+                last_renewed_at TIMESTAMP NULL,
+                renewals INT DEFAULT 0,
+                cancelled_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_due (status, next_run_at),
+                INDEX idx_user (user_id)
+            )
+        `);
+        await ensureColumnType('bundle_subscriptions', 'bundle_size', 'varchar(50)', 'VARCHAR(50) NOT NULL');
+
+        // User notifications table (in-app notices such as paused subscriptions)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS user_notifications (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                type VARCHAR(50) NOT NULL,
+                title VARCHAR(150) NOT NULL,
+                message TEXT,
+                data JSON,
+                read_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user (user_id, read_at)
+            )
+        `);
+
+        // Checkout payments table (orders paid straight through Paystack
+        // instead of from a wallet; user_id is NULL for guests)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS checkout_payments (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                order_id VARCHAR(50) UNIQUE NOT NULL,
+                user_id INT NULL,
+                paystack_reference VARCHAR(100) UNIQUE NOT NULL,
+                customer_email VARCHAR(100) NOT NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                status ENUM('pending_payment', 'paid', 'refund_pending', 'refunded', 'cancelled', 'expired') DEFAULT 'pending_payment',
+                paystack_refund_id VARCHAR(100),
+                expires_at TIMESTAMP NULL,
+                paid_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_user (user_id, created_at),
+                INDEX idx_status (status, expires_at)
+            )
+        `);
+
+        // Flyer generations table (what each flyer order rendered, for re-download)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS flyer_generations (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                order_id VARCHAR(50) UNIQUE NOT NULL,
+                user_id INT NOT NULL,
+                template VARCHAR(30) NOT NULL,
+                snapshot JSON NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user (user_id, created_at)
+            )
+        `);
+
+        // Wallet level rules table (purchase volume needed and discount per level)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS wallet_level_rules (
+                level ENUM('Bronze', 'Silver', 'Gold', 'Platinum') PRIMARY KEY,
+                min_volume DECIMAL(12, 2) NOT NULL DEFAULT 0,
+                discount_percent DECIMAL(5, 2) NOT NULL DEFAULT 0,
+                updated_by INT NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Wallet level changes table
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS wallet_level_changes (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                from_level ENUM('Bronze', 'Silver', 'Gold', 'Platinum') NOT NULL,
+                to_level ENUM('Bronze', 'Silver', 'Gold', 'Platinum') NOT NULL,
+                purchase_volume DECIMAL(12, 2) NOT NULL,
+                reason VARCHAR(255) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user (user_id, created_at)
+            )
+        `);
+
+        // Wallet reconciliation runs table
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS wallet_reconciliation_runs (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                triggered_by INT NULL,
+                wallets_checked INT DEFAULT 0,
+                drift_count INT DEFAULT 0,
+                unbalanced_transactions INT DEFAULT 0,
+                total_wallet_balance DECIMAL(14, 2) DEFAULT 0,
+                total_ledger_balance DECIMAL(14, 2) DEFAULT 0,
+                total_transaction_balance DECIMAL(14, 2) DEFAULT 0,
+                report JSON,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_created (created_at)
+            )
+        `);
 
         // Initialize order sequence
         const [seqCheck] = await pool.query('SELECT * FROM order_sequence');
@@ -130,6 +801,43 @@ async function initializeDB() {
             `);
         }
 
+        // Insert default results checker products if not exist
+        const [checkerCheck] = await pool.query('SELECT * FROM service_products WHERE order_type = "results_checker"');
+        if (checkerCheck.length === 0) {
+            await pool.query(`
+                INSERT INTO service_products (product_code, order_type, name, price) VALUES
+                ('BECE', 'results_checker', 'BECE Results Checker', 18),
+                ('WASSCE', 'results_checker', 'WASSCE Results Checker', 20)
+            `);
+        }
+
+        // Insert default AFA registration product if not exist
+        const [afaCheck] = await pool.query('SELECT * FROM service_products WHERE order_type = "afa_bundle"');
+        if (afaCheck.length === 0) {
+            await pool.query(
+                'INSERT INTO service_products (product_code, order_type, name, price, description) VALUES (?, ?, ?, ?, ?)',
+                ['AFA', 'afa_bundle', 'MTN AFA Registration', 12, 'MTN agent/family (AFA) bundle registration']
+            );
+        }
+
+        // Insert default flyer generation product if not exist
+        const [flyerCheck] = await pool.query('SELECT * FROM service_products WHERE order_type = "flyer_generation"');
+        if (flyerCheck.length === 0) {
+            await pool.query(
+                'INSERT INTO service_products (product_code, order_type, name, price, description) VALUES (?, ?, ?, ?, ?)',
+                ['FLYER', 'flyer_generation', 'Price List Flyer', 2, 'Promotional data bundle price list flyer (PNG/SVG)']
+            );
+        }
+
+        // Insert default wallet level rules if not exist
+        const [levelCheck] = await pool.query('SELECT * FROM wallet_level_rules');
+        if (levelCheck.length === 0) {
+            await pool.query(`
+                INSERT INTO wallet_level_rules (level, min_volume, discount_percent) VALUES
+                ('Bronze', 0, 0), ('Silver', 500, 2), ('Gold', 2000, 4), ('Platinum', 5000, 6)
+            `);
+        }
+
         // Create default admin user (password: admin123)
         const [adminCheck] = await pool.query('SELECT * FROM users WHERE email = ?', ['admin@buybuzz.com']);
         if (adminCheck.length === 0) {
@@ -140,6 +848,8 @@ async function initializeDB() {
             );
         }
 
+        await openLedgerBalances();
+
         console.log('✅ Database initialized successfully');
 
     } catch (error) {
@@ -147,21 +857,351 @@ async function initializeDB() {
     }
 }
 
-// Auth middleware
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-    
-    if (!token) return res.status(401).json({ error: 'Access token required' });
-    
-    jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-        if (err) return res.status(403).json({ error: 'Invalid token' });
-        req.user = user;
-        next();
-    });
+// Roles and permissions
+//
+// Signed-in users can use every non-admin endpoint; what they can touch there
+// is scoped by user_id in each query. Admin endpoints declare the permission
+// they need with authorize(), and each role lists the permissions it grants
+// (plus everything from the role it inherits).
+const ROLES = {
+    user: {
+        permissions: []
+    },
+    admin: {
+        inherits: 'user',
+        permissions: [
+            'users:read',
+            'stats:read',
+            'orders:read',
+            'orders:manage',
+            'catalog:manage',
+            'vouchers:manage',
+            'afa:manage',
+            'withdrawals:manage',
+            'payments:manage',
+            'finance:reconcile'
+        ]
+    },
+    super_admin: {
+        inherits: 'admin',
+        permissions: [
+            'audit:read',
+            'users:manage_roles',
+            'users:moderate'
+        ]
+    }
 };
 
-// 1. USER SIGNUP ENDPOINT
+function hasPermission(role, permission) {
+    for (let current = ROLES[role]; current; current = ROLES[current.inherits]) {
+        if (current.permissions.includes(permission)) return true;
+    }
+    return false;
+}
+
+// Load the account behind a token. Role and status are read fresh on every
+// request, so demotions and suspensions apply to tokens already issued.
+async function loadActiveUser(token) {
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    } catch (error) {
+        return { error: 'Invalid token', statusCode: 403 };
+    }
+    
+    const [users] = await pool.query(
+        'SELECT id, email, role, status, status_reason FROM users WHERE id = ?',
+        [payload.id]
+    );
+    
+    if (users.length === 0) {
+        return { error: 'Account not found', statusCode: 401 };
+    }
+    
+    const user = users[0];
+    
+    if (user.status !== 'active') {
+        return {
+            error: `Account ${user.status}${user.status_reason ? ': ' + user.status_reason : ''}`,
+            statusCode: 403
+        };
+    }
+    
+    return { user: { id: user.id, email: user.email, role: user.role } };
+}
+
+// Auth middleware
+const authenticateToken = async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    
+    if (!token) return res.status(401).json({ error: 'Access token required' });
+    
+    try {
+        const result = await loadActiveUser(token);
+        if (result.error) return res.status(result.statusCode).json({ error: result.error });
+        
+        req.user = result.user;
+        next();
+    } catch (error) {
+        console.error('Auth error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+// For public endpoints that show more to signed-in users. A missing or bad
+// token (or an inactive account) just leaves req.user unset.
+const optionalAuthenticateToken = async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    
+    if (!token) return next();
+    
+    try {
+        const result = await loadActiveUser(token);
+        if (result.user) req.user = result.user;
+    } catch (error) {
+        console.error('Auth error:', error);
+    }
+    next();
+};
+
+// Use after authenticateToken
+const authorize = permission => async (req, res, next) => {
+    if (!hasPermission(req.user.role, permission)) {
+        return res.status(403).json({
+            error: req.user.role === 'user' ? 'Admin access required' : 'Insufficient permissions',
+            permission
+        });
+    }
+    
+    // The admin audit trail's "before" snapshot waits until the request is
+    // known to be allowed (see auditAdminMutations)
+    if (req.takeAuditSnapshot) {
+        await req.takeAuditSnapshot();
+    }
+    
+    next();
+};
+
+// Reseller API auth middleware
+//
+// Requests to /api/v1 carry three headers:
+//   X-API-Key    the public key from POST /api/api-keys
+//   X-Timestamp  current unix time in seconds
+//   X-Signature  hex HMAC-SHA256 of `${timestamp}.${METHOD}.${path}.${body}`
+//                keyed with the api_secret, where path includes the query
+//                string and body is the raw JSON body ('' for GET)
+// Requests older than API_SIGNATURE_TOLERANCE seconds are refused so a
+// captured request cannot be replayed later, and the signature of every
+// POST/PUT/PATCH/DELETE is remembered for that window so it cannot be replayed
+// within it either. Sending the same request twice needs a fresh timestamp.
+const API_SIGNATURE_TOLERANCE = 300;
+
+// A timestamp anywhere in the tolerance window (past or future) can still be
+// accepted, so signatures are kept for twice that long
+function startApiSignaturePurge() {
+    setInterval(() => {
+        pool.query(
+            'DELETE FROM api_request_signatures WHERE created_at < NOW() - INTERVAL ? SECOND',
+            [API_SIGNATURE_TOLERANCE * 2]
+        ).catch(error => console.error('API signature purge error:', error));
+    }, API_SIGNATURE_TOLERANCE * 1000);
+}
+
+const authenticateApiKey = async (req, res, next) => {
+    try {
+        const apiKey = req.headers['x-api-key'];
+        const timestamp = req.headers['x-timestamp'];
+        const signature = req.headers['x-signature'];
+        
+        if (!apiKey || !timestamp || !signature) {
+            return res.status(401).json({ error: 'X-API-Key, X-Timestamp and X-Signature headers are required' });
+        }
+        
+        if (!/^\d{1,12}$/.test(timestamp)) {
+            return res.status(401).json({ error: 'X-Timestamp must be unix time in seconds' });
+        }
+        
+        if (Math.abs(Date.now() / 1000 - Number(timestamp)) > API_SIGNATURE_TOLERANCE) {
+            return res.status(401).json({ error: 'Request timestamp expired' });
+        }
+        
+        const [keys] = await pool.query(
+            `SELECT k.id, k.user_id, k.api_secret, u.email, u.status as user_status
+             FROM api_keys k JOIN users u ON u.id = k.user_id
+             WHERE k.api_key = ? AND k.status = "active"`,
+            [apiKey]
+        );
+        
+        if (keys.length === 0 || keys[0].user_status !== 'active') {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        
+        const key = keys[0];
+        const body = req.rawBody ? req.rawBody.toString() : '';
+        const expected = crypto.createHmac('sha256', key.api_secret)
+                               .update(`${timestamp}.${req.method}.${req.originalUrl}.${body}`)
+                               .digest('hex');
+        
+        const provided = Buffer.from(String(signature));
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, Buffer.from(expected))) {
+            return res.status(401).json({ error: 'Invalid signature' });
+        }
+        
+        if (!['GET', 'HEAD'].includes(req.method)) {
+            try {
+                await pool.query(
+                    'INSERT INTO api_request_signatures (api_key_id, signature) VALUES (?, ?)',
+                    [key.id, expected]
+                );
+            } catch (error) {
+                if (error.code === 'ER_DUP_ENTRY') {
+                    return res.status(401).json({ error: 'Request already received; sign it again with a new X-Timestamp' });
+                }
+                throw error;
+            }
+        }
+        
+        await pool.query('UPDATE api_keys SET last_used = NOW() WHERE id = ?', [key.id]);
+        
+        req.user = { id: key.user_id, email: key.email };
+        req.apiKeyId = key.id;
+        next();
+    } catch (error) {
+        console.error('API key auth error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+// Admin audit trail
+//
+// Every POST/PUT/PATCH/DELETE under /api/admin that succeeds is written to
+// admin_activity_logs by the middleware below, so new admin routes are audited
+// without doing anything. Routes listed here additionally get a readable
+// action name and a snapshot of the row they change, taken before the handler
+// runs and again once the response has gone out. The first snapshot is taken
+// by authorize(), so requests refused there cost no extra read. A handler that
+// creates a row can set res.locals.auditTargetId so the new row is captured
+// as `after`.
+const AUDITED_ADMIN_ROUTES = [
+    { method: 'POST', path: /^\/bundle$/, action: 'bundle.create', target: 'data_bundle_product', table: 'data_bundle_products', key: 'id' },
+    { method: 'PUT', path: /^\/bundle\/(\d+)$/, action: 'bundle.update', target: 'data_bundle_product', table: 'data_bundle_products', key: 'id' },
+    { method: 'DELETE', path: /^\/bundle\/(\d+)$/, action: 'bundle.delete', target: 'data_bundle_product', table: 'data_bundle_products', key: 'id' },
+    { method: 'POST', path: /^\/promotions$/, action: 'promotion.create', target: 'promotion', table: 'promotions', key: 'id' },
+    { method: 'PUT', path: /^\/promotions\/(\d+)$/, action: 'promotion.update', target: 'promotion', table: 'promotions', key: 'id' },
+    { method: 'DELETE', path: /^\/promotions\/(\d+)$/, action: 'promotion.cancel', target: 'promotion', table: 'promotions', key: 'id' },
+    { method: 'POST', path: /^\/orders\/([^/]+)\/(refund|retry|cancel|complete|fail)$/, action: match => `order.${match[2]}`, target: 'order', table: 'orders', key: 'order_id' },
+    { method: 'POST', path: /^\/vouchers\/import$/, action: 'vouchers.import', target: 'results_voucher' },
+    { method: 'PUT', path: /^\/afa\/registrations\/(\d+)$/, action: 'afa_registration.update', target: 'afa_registration', table: 'afa_registrations', key: 'id' },
+    { method: 'POST', path: /^\/withdrawals\/(\d+)\/(approve|reject|verify)$/, action: match => `withdrawal.${match[2]}`, target: 'withdrawal', table: 'withdrawals', key: 'id' },
+    { method: 'POST', path: /^\/webhooks\/paystack\/(\d+)\/reprocess$/, action: 'paystack_webhook.reprocess', target: 'paystack_webhook_log', table: 'paystack_webhook_logs', key: 'id', columns: 'id, event_type, reference, status, error, attempts, processed_at' },
+    { method: 'POST', path: /^\/reconciliation\/run$/, action: 'reconciliation.run', target: 'wallet_reconciliation_run' },
+    { method: 'PUT', path: /^\/wallet-levels\/(\w+)$/, action: 'wallet_level.update', target: 'wallet_level_rule', table: 'wallet_level_rules', key: 'level' },
+    { method: 'POST', path: /^\/wallet-levels\/evaluate$/, action: 'wallet_levels.evaluate', target: 'wallet_level_rule' },
+    { method: 'PUT', path: /^\/users\/(\d+)\/(role|status)$/, action: match => `user.${match[2]}`, target: 'user', table: 'users', key: 'id', columns: 'id, email, role, status, status_reason' }
+];
+
+const AUDIT_REDACTED_FIELDS = ['password', 'password_hash', 'api_secret', 'secret', 'pin'];
+const AUDIT_MAX_STRING = 2000;
+
+// Drop secrets and cut huge values (e.g. an uploaded CSV) down to size
+function redactForAudit(value) {
+    if (typeof value === 'string') {
+        return value.length > AUDIT_MAX_STRING ? `${value.slice(0, AUDIT_MAX_STRING)}… (${value.length} chars)` : value;
+    }
+    
+    if (Array.isArray(value)) {
+        return value.map(redactForAudit);
+    }
+    
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        const copy = {};
+        for (const [field, fieldValue] of Object.entries(value)) {
+            copy[field] = AUDIT_REDACTED_FIELDS.includes(field) ? '[redacted]' : redactForAudit(fieldValue);
+        }
+        return copy;
+    }
+    
+    return value;
+}
+
+async function loadAuditSnapshot(route, id) {
+    if (!route || !route.table || id === undefined || id === null) return null;
+    
+    const [rows] = await pool.query(
+        `SELECT ${route.columns || '*'} FROM ${route.table} WHERE ${route.key} = ?`,
+        [id]
+    );
+    return rows[0] ? redactForAudit(rows[0]) : null;
+}
+
+const auditAdminMutations = async (req, res, next) => {
+    if (!['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method)) return next();
+    
+    let route = null;
+    let match = null;
+    for (const candidate of AUDITED_ADMIN_ROUTES) {
+        match = candidate.method === req.method && req.path.match(candidate.path);
+        if (match) {
+            route = candidate;
+            break;
+        }
+    }
+    
+    const targetId = match && match[1] !== undefined ? match[1] : null;
+    const fallbackAction = `${req.method.toLowerCase()} ${req.originalUrl.split('?')[0]}`;
+    let before = null;
+    
+    req.takeAuditSnapshot = async () => {
+        try {
+            before = await loadAuditSnapshot(route, targetId);
+        } catch (error) {
+            console.error('Audit snapshot error:', error);
+        }
+    };
+    
+    res.on('finish', async () => {
+        // Only actions an admin actually carried out
+        if (!req.user || res.statusCode >= 400) return;
+        
+        try {
+            const finalTargetId = res.locals.auditTargetId !== undefined ? String(res.locals.auditTargetId) : targetId;
+            const after = await loadAuditSnapshot(route, finalTargetId);
+            const action = route
+                ? (typeof route.action === 'function' ? route.action(match) : route.action)
+                : fallbackAction;
+            
+            await pool.query(
+                'INSERT INTO admin_activity_logs (admin_id, action, target_type, target_id, details, ip_address, user_agent) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [
+                    req.user.id,
+                    action,
+                    route ? route.target : null,
+                    finalTargetId,
+                    JSON.stringify({
+                        method: req.method,
+                        path: req.originalUrl,
+                        status_code: res.statusCode,
+                        request: redactForAudit(req.body),
+                        before,
+                        after
+                    }),
+                    req.ip,
+                    req.headers['user-agent'] || null
+                ]
+            );
+        } catch (error) {
+            console.error('Audit log error:', error);
+        }
+    });
+    
+    next();
+};
+
+app.use('/api/admin', auditAdminMutations);
+
+// 1. USER SIGNUP ENDPOINT
 app.post('/api/signup', async (req, res) => {
     try {
         const { full_name, email, phone, password, confirm_password } = req.body;
@@ -227,6 +1267,10 @@ app.post('/api/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
         
+        if (user.status !== 'active') {
+            return res.status(403).json({ error: `Account ${user.status}${user.status_reason ? ': ' + user.status_reason : ''}` });
+        }
+        
         await pool.query(
             'UPDATE users SET last_login = NOW() WHERE id = ?',
             [user.id]
@@ -370,7 +1414,7 @@ app.post('/api/wallet/topup/initialize', authenticateToken, async (req, res) =>
         const amountInKobo = Math.round(amount * 100);
         
         const response = await axios.post(
-            'https://api.paystack.co/transaction/initialize',
+            `${PAYSTACK_BASE_URL}/transaction/initialize`,
             {
                 email: email || req.user.email,
                 amount: amountInKobo,
@@ -378,6 +1422,7 @@ app.post('/api/wallet/topup/initialize', authenticateToken, async (req, res) =>
                 callback_url: `${process.env.FRONTEND_URL || 'http://localhost:8080'}/wallet/topup/callback`
             },
             {
+                timeout: PAYSTACK_TIMEOUT_MS,
                 headers: {
                     Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
                     'Content-Type': 'application/json'
@@ -415,145 +1460,6226 @@ app.post('/api/wallet/topup/initialize', authenticateToken, async (req, res) =>
 });
 
 // 7. PAYSTACK WEBHOOK FOR PAYMENT VERIFICATION
-app.post('/api/webhook/paystack', express.raw({ type: 'application/json' }), async (req, res) => {
+// Registered at the top of the file, ahead of the JSON body parser.
+//
+// Every correctly signed delivery is stored in paystack_webhook_logs. Paystack
+// retries until it gets a 200, so an identical payload (same sha256) is
+// recognised as a duplicate: it is acknowledged without running again unless
+// the earlier attempt failed.
+
+// Top up the wallet for a successful Paystack charge
+async function handleChargeSuccess(data) {
+    if (isStorefrontReference(data.reference)) {
+        return handleStorefrontCharge(data);
+    }
+    
+    if (isCheckoutReference(data.reference)) {
+        return handleCheckoutCharge(data);
+    }
+    
+    const result = await settleTopUp(data.reference, data);
+    
+    if (result.status === 'settled') {
+        return { status: 'processed', note: `Wallet credited GHS ${result.amount}` };
+    }
+    
+    if (result.status === 'amount_mismatch') {
+        return { status: 'flagged', note: result.message };
+    }
+    
+    return { status: 'ignored', note: result.message };
+}
+
+// Close out a top-up the customer never paid for
+async function handleChargeFailed(data) {
+    const [result] = await pool.query(
+        'UPDATE wallet_transactions SET status = "failed" WHERE reference = ? AND status = "pending"',
+        [data.reference]
+    );
+    
+    return result.affectedRows > 0
+        ? { status: 'processed', note: 'Pending top-up marked failed' }
+        : { status: 'ignored', note: 'No pending transaction for reference' };
+}
+
+async function handleTransferSuccess(data) {
+    await completeWithdrawal(data.reference, data.transfer_code);
+    return { status: 'processed', note: 'Withdrawal completed' };
+}
+
+async function handleTransferFailed(data, eventType) {
+    const released = await releaseWithdrawalHold(data.reference, {
+        status: 'failed',
+        reason: `Paystack ${eventType}${data.reason ? ': ' + data.reason : ''}`
+    });
+    
+    return released
+        ? { status: 'processed', note: 'Withdrawal failed, funds returned to wallet' }
+        : { status: 'ignored', note: 'No open withdrawal for reference' };
+}
+
+// A top-up charge was refunded to the customer's card or mobile money, so the
+// credit it gave the wallet has to be taken back. The transaction id is derived
+// from the charge reference, so the same refund can only be applied once.
+async function handleRefundProcessed(data) {
+    const chargeReference = data.transaction_reference || (data.transaction && data.transaction.reference);
+    const amountInGHS = data.amount / 100;
+    
+    // Storefront and checkout refunds go back to the customer and never
+    // touched a wallet
+    if (isStorefrontReference(chargeReference) || isCheckoutReference(chargeReference)) {
+        const table = isStorefrontReference(chargeReference) ? 'storefront_sales' : 'checkout_payments';
+        const [updated] = await pool.query(
+            `UPDATE ${table} SET status = "refunded", paystack_refund_id = COALESCE(paystack_refund_id, ?) WHERE paystack_reference = ? AND status = "refund_pending"`,
+            [data.id ? String(data.id) : null, chargeReference]
+        );
+        
+        return updated.affectedRows > 0
+            ? { status: 'processed', note: 'Payment refunded to customer' }
+            : { status: 'ignored', note: 'No Paystack refund pending for charge' };
+    }
+    
+    const [credits] = await pool.query(
+        'SELECT user_id FROM wallet_transactions WHERE reference = ? AND type = "credit" AND status = "completed"',
+        [chargeReference]
+    );
+    
+    if (credits.length === 0) {
+        return { status: 'ignored', note: 'No completed top-up for refunded charge' };
+    }
+    
+    const userId = credits[0].user_id;
+    
+    try {
+        await withTransaction(pool, async connection => {
+            await lockWallet(connection, userId);
+            
+            await connection.query(
+                'INSERT INTO wallet_transactions (user_id, transaction_id, reference, type, amount, description, status, metadata) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                [
+                    userId,
+                    `${chargeReference}-PSREFUND`,
+                    chargeReference,
+                    'debit',
+                    amountInGHS,
+                    'Top-up refunded by Paystack',
+                    'completed',
+                    JSON.stringify({ paystack_refund_id: data.id || null })
+                ]
+            );
+            
+            // The money has already gone back to the customer, so this debit
+            // is applied even if the top-up was spent in the meantime
+            await debitWallet(connection, userId, amountInGHS, {
+                transactionId: `${chargeReference}-PSREFUND`,
+                contraAccount: 'system:paystack',
+                description: 'Top-up refunded by Paystack',
+                allowNegative: true
+            });
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return { status: 'ignored', note: 'Refund already applied' };
+        }
+        throw error;
+    }
+    
+    return { status: 'processed', note: `Wallet debited GHS ${amountInGHS} for refunded top-up` };
+}
+
+const paystackEventHandlers = {
+    'charge.success': handleChargeSuccess,
+    'charge.failed': handleChargeFailed,
+    'transfer.success': handleTransferSuccess,
+    'transfer.failed': handleTransferFailed,
+    'transfer.reversed': handleTransferFailed,
+    'refund.processed': handleRefundProcessed
+};
+
+// Run the handler for a stored event and record the outcome on its log row
+async function processPaystackWebhookLog(logId, event) {
+    const handler = paystackEventHandlers[event.event];
+    
+    try {
+        const outcome = handler
+            ? await handler(event.data || {}, event.event)
+            : { status: 'ignored', note: 'Unhandled event type' };
+        
+        await pool.query(
+            'UPDATE paystack_webhook_logs SET status = ?, error = ?, attempts = attempts + 1, processed_at = NOW() WHERE id = ?',
+            [outcome.status, outcome.note || null, logId]
+        );
+        
+        return outcome;
+    } catch (error) {
+        await pool.query(
+            'UPDATE paystack_webhook_logs SET status = "failed", error = ?, attempts = attempts + 1 WHERE id = ?',
+            [error.message, logId]
+        );
+        throw error;
+    }
+}
+
+async function handlePaystackWebhook(req, res) {
     try {
+        const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
         const hash = crypto.createHmac('sha512', process.env.PAYSTACK_WEBHOOK_SECRET || '')
-                          .update(req.body)
+                          .update(rawBody)
                           .digest('hex');
         
+        let event = null;
+        try {
+            event = JSON.parse(rawBody.toString());
+        } catch (error) {
+            // Logged below as an unreadable event
+        }
+        
+        const eventType = (event && event.event) || 'unknown';
+        const data = (event && event.data) || {};
+        const reference = data.reference || data.transaction_reference || null;
+        
+        // Anyone can post here, so unsigned requests are not stored
         if (hash !== req.headers['x-paystack-signature']) {
+            console.warn(`⚠️ Paystack webhook with invalid signature refused (${String(eventType).slice(0, 100)} ${String(reference).slice(0, 100)}) from ${req.ip}`);
             return res.status(401).send('Invalid signature');
         }
         
-        const event = JSON.parse(req.body.toString());
+        if (!event) {
+            return res.status(400).send('Invalid payload');
+        }
+        
+        const eventKey = crypto.createHash('sha256').update(rawBody).digest('hex');
+        let logId;
         
-        if (event.event === 'charge.success') {
-            const { reference, amount, customer } = event.data;
+        try {
+            const [result] = await pool.query(
+                'INSERT INTO paystack_webhook_logs (event_type, reference, event_key, payload, status) VALUES (?, ?, ?, ?, ?)',
+                [eventType, reference, eventKey, JSON.stringify(event), 'received']
+            );
+            logId = result.insertId;
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY') throw error;
             
-            const [transactions] = await pool.query(
-                'SELECT * FROM wallet_transactions WHERE reference = ? AND status = "pending"',
-                [reference]
+            const [logs] = await pool.query(
+                'SELECT id FROM paystack_webhook_logs WHERE event_key = ?',
+                [eventKey]
             );
             
-            if (transactions.length > 0) {
-                const transaction = transactions[0];
-                const amountInGHS = amount / 100;
-                
-                await pool.query('START TRANSACTION');
-                
-                try {
-                    await pool.query(
-                        'UPDATE wallet_transactions SET status = "completed", amount = ? WHERE reference = ?',
-                        [amountInGHS, reference]
-                    );
-                    
-                    await pool.query(
-                        'UPDATE wallets SET balance = balance + ? WHERE user_id = ?',
-                        [amountInGHS, transaction.user_id]
-                    );
-                    
-                    await pool.query('COMMIT');
-                    console.log(`✅ Payment ${reference} processed for user ${transaction.user_id}`);
-                } catch (err) {
-                    await pool.query('ROLLBACK');
-                    console.error('Transaction rollback:', err);
-                }
+            // Only an earlier delivery that failed is run again, and only by
+            // whichever duplicate claims it first. One still being handled
+            // ('received') or already settled is acknowledged without re-running.
+            await pool.query(
+                'UPDATE paystack_webhook_logs SET duplicate_count = duplicate_count + 1 WHERE id = ?',
+                [logs[0].id]
+            );
+            const [claim] = await pool.query(
+                'UPDATE paystack_webhook_logs SET status = "received" WHERE id = ? AND status = "failed"',
+                [logs[0].id]
+            );
+            
+            if (claim.affectedRows === 0) {
+                console.log(`🔁 Duplicate Paystack ${eventType} ${reference} ignored`);
+                return res.sendStatus(200);
             }
+            
+            logId = logs[0].id;
         }
         
+        await processPaystackWebhookLog(logId, event);
+        
         res.sendStatus(200);
     } catch (error) {
         console.error('Webhook error:', error);
         res.status(500).send('Webhook processing failed');
     }
-});
+}
+
+// Credit a Paystack top-up to the wallet exactly once. Both the webhook and
+// the manual verify endpoint go through here: the pending transaction row is
+// locked, Paystack's amount and currency must match what was initialised, and
+// a reference that is already completed reports 'already_settled' instead of
+// crediting again. Pass userId to only settle that user's own top-up.
+async function settleTopUp(reference, paystackData, { userId } = {}) {
+    return withTransaction(pool, async connection => {
+        const [transactions] = await connection.query(
+            'SELECT * FROM wallet_transactions WHERE reference = ? AND type = "credit" FOR UPDATE',
+            [reference]
+        );
+        
+        if (transactions.length === 0 || (userId && transactions[0].user_id !== userId)) {
+            return { status: 'not_found', message: 'No top-up found for this reference' };
+        }
+        
+        const transaction = transactions[0];
+        
+        if (transaction.status === 'completed') {
+            return { status: 'already_settled', message: 'Top-up already settled', userId: transaction.user_id };
+        }
+        
+        if (transaction.status !== 'pending') {
+            return { status: 'not_pending', message: `Top-up is ${transaction.status}` };
+        }
+        
+        const paidAmount = paystackData.amount / 100;
+        const expectedAmount = Number(transaction.amount);
+        const currency = paystackData.currency || 'GHS';
+        
+        if (Math.round(paidAmount * 100) !== Math.round(expectedAmount * 100) || currency !== 'GHS') {
+            // Leave it pending for an admin to look at, but never credit it
+            await connection.query(
+                'UPDATE wallet_transactions SET metadata = ? WHERE id = ?',
+                [JSON.stringify({ flagged: 'amount_mismatch', expected: expectedAmount, paid: paidAmount, currency }), transaction.id]
+            );
+            console.warn(`⚠️ Top-up ${reference} paid ${currency} ${paidAmount}, expected GHS ${expectedAmount}`);
+            return { status: 'amount_mismatch', message: `Paid ${currency} ${paidAmount} but GHS ${expectedAmount} was initialised` };
+        }
+        
+        await lockWallet(connection, transaction.user_id);
+        
+        await connection.query(
+            'UPDATE wallet_transactions SET status = "completed", metadata = ? WHERE id = ?',
+            [
+                JSON.stringify({ paystack_id: paystackData.id || null, channel: paystackData.channel || null, paid_at: paystackData.paid_at || null }),
+                transaction.id
+            ]
+        );
+        
+        await creditWallet(connection, transaction.user_id, expectedAmount, {
+            transactionId: transaction.transaction_id,
+            contraAccount: 'system:paystack',
+            description: `Paystack top-up ${reference}`
+        });
+        
+        console.log(`✅ Payment ${reference} processed for user ${transaction.user_id}`);
+        
+        return { status: 'settled', message: 'Payment verified and wallet credited', amount: expectedAmount, userId: transaction.user_id };
+    });
+}
 
 // 8. MANUAL PAYMENT VERIFICATION
 app.get('/api/wallet/topup/verify/:reference', authenticateToken, async (req, res) => {
     try {
-        const response = await axios.get(
-            `https://api.paystack.co/transaction/verify/${req.params.reference}`,
-            {
-                headers: { Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}` }
-            }
+        const [transactions] = await pool.query(
+            'SELECT status FROM wallet_transactions WHERE reference = ? AND user_id = ? AND type = "credit"',
+            [req.params.reference, req.user.id]
         );
         
-        if (response.data.data.status === 'success') {
-            const amount = response.data.data.amount / 100;
-            
-            await pool.query('START TRANSACTION');
+        if (transactions.length === 0) {
+            return res.status(404).json({ error: 'No top-up found for this reference' });
+        }
+        
+        let result;
+        
+        if (transactions[0].status === 'completed') {
+            result = { status: 'already_settled', message: 'Top-up already settled' };
+        } else {
+            const response = await axios.get(
+                `${PAYSTACK_BASE_URL}/transaction/verify/${encodeURIComponent(req.params.reference)}`,
+                {
+                    timeout: PAYSTACK_TIMEOUT_MS,
+                    headers: { Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}` }
+                }
+            );
             
-            try {
-                await pool.query(
-                    'UPDATE wallet_transactions SET status = "completed" WHERE reference = ? AND user_id = ?',
-                    [req.params.reference, req.user.id]
-                );
-                
-                await pool.query(
-                    'UPDATE wallets SET balance = balance + ? WHERE user_id = ?',
-                    [amount, req.user.id]
-                );
-                
-                await pool.query('COMMIT');
-                
-                const [wallets] = await pool.query(
-                    'SELECT * FROM wallets WHERE user_id = ?',
-                    [req.user.id]
-                );
-                
-                res.json({
-                    success: true,
-                    message: 'Payment verified and wallet credited',
-                    wallet: wallets[0]
-                });
-            } catch (err) {
-                await pool.query('ROLLBACK');
-                throw err;
+            if (response.data.data.status !== 'success') {
+                return res.json({ success: false, message: 'Payment not successful' });
             }
-        } else {
-            res.json({ success: false, message: 'Payment not successful' });
+            
+            result = await settleTopUp(req.params.reference, response.data.data, { userId: req.user.id });
         }
-    } catch (error) {
-        console.error('Verification error:', error);
-        res.status(500).json({ error: 'Verification failed' });
-    }
+        
+        if (result.status === 'amount_mismatch' || result.status === 'not_pending' || result.status === 'not_found') {
+            return res.status(409).json({ success: false, message: result.message });
+        }
+        
+        const [wallets] = await pool.query(
+            'SELECT * FROM wallets WHERE user_id = ?',
+            [req.user.id]
+        );
+        
+        res.json({
+            success: true,
+            already_settled: result.status === 'already_settled',
+            message: result.message,
+            wallet: wallets[0]
+        });
+    } catch (error) {
+        console.error('Verification error:', error);
+        res.status(500).json({ error: 'Verification failed' });
+    }
+});
+
+// ========== DATA VENDOR DELIVERY ==========
+
+const dataVendor = createVendor(process.env.DATA_VENDOR || 'http', {
+    baseUrl: process.env.DATA_VENDOR_URL || 'http://localhost:4000',
+    apiKey: process.env.DATA_VENDOR_API_KEY
+});
+const VENDOR_POLL_INTERVAL_MS = parseInt(process.env.DATA_VENDOR_POLL_INTERVAL_MS) || 5000;
+const VENDOR_MAX_POLLS = parseInt(process.env.DATA_VENDOR_MAX_POLLS) || 60;
+
+// Orders with a send or a poll chain running in this process. An admin retry
+// is refused while one is live, so an order is never sent twice or polled by
+// two chains at once.
+const activeVendorDeliveries = new Set();
+const VENDOR_DELIVERY_LIVE_ERROR = 'Order is still being tracked with the vendor; try again once it has failed or been flagged';
+
+// Record the vendor's answer on the order and move it to its final status.
+// Only orders still in 'processing' are touched, so a late poll can never
+// overwrite an order that has already been settled; a final answer that
+// arrives after that is flagged for an admin instead.
+async function applyVendorResult(orderId, result) {
+    const deliveryResponse = JSON.stringify({
+        vendor: dataVendor.name,
+        vendor_reference: result.reference,
+        vendor_status: result.status,
+        reason: result.reason,
+        response: result.raw,
+        checked_at: new Date().toISOString()
+    });
+    
+    if (result.status === 'delivered') {
+        const [update] = await pool.query(
+            'UPDATE orders SET status = "completed", delivered_at = NOW(), delivery_response = ? WHERE order_id = ? AND status = "processing"',
+            [deliveryResponse, orderId]
+        );
+        console.log(`✅ Data bundle delivered: ${orderId}`);
+        
+        if (update.affectedRows > 0) {
+            await recordOrderEvent(orderId, { action: 'delivered', fromStatus: 'processing', toStatus: 'completed' });
+            notifyOrderStatus(orderId, 'completed');
+            await creditStorefrontMargin(orderId);
+        } else {
+            await flagLateVendorResult(orderId, result);
+        }
+    } else if (result.status === 'failed') {
+        const [update] = await pool.query(
+            'UPDATE orders SET status = "failed", refund_pending = TRUE, delivery_response = ? WHERE order_id = ? AND status = "processing"',
+            [deliveryResponse, orderId]
+        );
+        console.log(`❌ Data bundle failed: ${orderId} - ${result.reason}`);
+        
+        if (update.affectedRows > 0) {
+            await recordOrderEvent(orderId, { action: 'delivery_failed', fromStatus: 'processing', toStatus: 'failed', note: result.reason });
+            await notifyOrderStatus(orderId, 'failed', { reason: result.reason });
+            await refundOrder(orderId, { reason: result.reason });
+        } else {
+            await flagLateVendorResult(orderId, result);
+        }
+    } else {
+        await pool.query(
+            'UPDATE orders SET delivery_response = ? WHERE order_id = ? AND status = "processing"',
+            [deliveryResponse, orderId]
+        );
+    }
+}
+
+// The vendor gave a final answer for an order that was already settled, e.g.
+// refunded or failed by an admin while it was still with the vendor. Nothing
+// is changed automatically (the customer may now have both the bundle and
+// the refund), but an admin is told to sort it out.
+async function flagLateVendorResult(orderId, result) {
+    const [orders] = await pool.query('SELECT status FROM orders WHERE order_id = ?', [orderId]);
+    if (orders.length === 0) return;
+    
+    const { status } = orders[0];
+    const agrees = result.status === 'delivered' ? status === 'completed' : ['failed', 'refunded'].includes(status);
+    if (agrees) return;
+    
+    const note = `Vendor reported the order ${result.status} after it was already ${status}; check with the vendor and the customer`;
+    
+    console.warn(`⚠️ ${orderId}: ${note}`);
+    
+    await pool.query(
+        'UPDATE orders SET admin_notes = CONCAT_WS("\n", admin_notes, ?) WHERE order_id = ?',
+        [`[${new Date().toISOString()}] ${note}`, orderId]
+    );
+    await recordOrderEvent(orderId, { action: 'late_vendor_result', note });
+}
+
+// The vendor never gave a final answer. The bundle may still arrive, so the
+// order stays in 'processing' (and is polled again after a restart), but an
+// admin is told to check with the vendor and then retry or refund it.
+async function flagUnconfirmedDelivery(orderId) {
+    const note = `Vendor gave no final status after ${VENDOR_MAX_POLLS} checks; confirm with the vendor, then retry or refund`;
+    
+    console.warn(`⚠️ ${orderId}: ${note}`);
+    
+    try {
+        await pool.query(
+            'UPDATE orders SET admin_notes = CONCAT_WS("\n", admin_notes, ?) WHERE order_id = ? AND status = "processing"',
+            [`[${new Date().toISOString()}] ${note}`, orderId]
+        );
+        await recordOrderEvent(orderId, { action: 'delivery_unconfirmed', note });
+    } catch (error) {
+        console.error('Flag delivery error:', error);
+    }
+}
+
+// Poll the vendor until the order is delivered or failed. Transient errors are
+// retried up to VENDOR_MAX_POLLS times, then the order is flagged for an admin.
+function scheduleVendorPoll(orderId, reference, attempt = 1) {
+    if (attempt > VENDOR_MAX_POLLS) {
+        activeVendorDeliveries.delete(orderId);
+        flagUnconfirmedDelivery(orderId);
+        return;
+    }
+    
+    activeVendorDeliveries.add(orderId);
+    
+    setTimeout(async () => {
+        let result;
+        try {
+            result = await dataVendor.checkStatus(reference);
+        } catch (error) {
+            result = dataVendor.parseError(error, reference);
+        }
+        
+        try {
+            await applyVendorResult(orderId, result);
+        } catch (error) {
+            console.error('Delivery update error:', error);
+        }
+        
+        if (result.status === 'pending' || result.status === 'error') {
+            scheduleVendorPoll(orderId, reference, attempt + 1);
+        } else {
+            activeVendorDeliveries.delete(orderId);
+        }
+    }, VENDOR_POLL_INTERVAL_MS);
+}
+
+// Send a paid order to the data vendor
+async function dispatchOrder(orderId) {
+    activeVendorDeliveries.add(orderId);
+    
+    try {
+        const [orders] = await pool.query('SELECT * FROM orders WHERE order_id = ?', [orderId]);
+        if (orders.length === 0) {
+            activeVendorDeliveries.delete(orderId);
+            return;
+        }
+        
+        let result;
+        try {
+            result = await dataVendor.sendOrder(orders[0]);
+        } catch (error) {
+            result = dataVendor.parseError(error, orderId);
+        }
+        
+        await applyVendorResult(orderId, result);
+        
+        if (result.status === 'pending' || result.status === 'error') {
+            scheduleVendorPoll(orderId, result.reference || orderId);
+        } else {
+            activeVendorDeliveries.delete(orderId);
+        }
+    } catch (error) {
+        activeVendorDeliveries.delete(orderId);
+        console.error('Vendor dispatch error:', error);
+    }
+}
+
+// Pick up data bundle orders left in 'processing' by a previous run
+async function resumeVendorDeliveries() {
+    try {
+        const [orders] = await pool.query(
+            'SELECT order_id, delivery_response FROM orders WHERE order_type = "data_bundle" AND status = "processing"'
+        );
+        
+        orders.forEach(order => {
+            if (!order.delivery_response) {
+                dispatchOrder(order.order_id);
+            } else {
+                scheduleVendorPoll(order.order_id, order.delivery_response.vendor_reference || order.order_id);
+            }
+        });
+        
+        if (orders.length > 0) {
+            console.log(`🔄 Resumed vendor tracking for ${orders.length} order(s)`);
+        }
+    } catch (error) {
+        console.error('Resume deliveries error:', error);
+    }
+}
+
+// ========== ORDER HELPERS ==========
+
+// Add a line to an order's status history. Pass a transaction connection as
+// db when the status change itself happens inside one.
+async function recordOrderEvent(orderId, { action, fromStatus = null, toStatus = null, note = null, adminId = null }, db = pool) {
+    await db.query(
+        'INSERT INTO order_events (order_id, action, from_status, to_status, note, actor_type, actor_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [orderId, action, fromStatus, toStatus, note, adminId ? 'admin' : 'system', adminId || null]
+    );
+}
+
+// A number that looks like another network's (probably ported) is kept in the
+// order's history rather than admin_notes, which admin actions rewrite
+async function recordPortedWarning(orderId, warning, db = pool) {
+    if (!warning) return;
+    
+    await recordOrderEvent(orderId, { action: 'ported_number', note: warning }, db);
+}
+
+// ========== OUTBOUND ORDER WEBHOOKS ==========
+
+const WEBHOOK_EVENTS = ['processing', 'completed', 'failed', 'refunded'];
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_RETRY_BASE_SECONDS = 30;
+const WEBHOOK_CLAIM_SECONDS = 120;
+const WEBHOOK_WORKER_INTERVAL_MS = 15000;
+
+// Queue an event for a user's callback URL (if they have one) and kick off the
+// first attempt without waiting for it
+async function queueWebhookEvent(userId, event, data, orderId = null) {
+    const [endpoints] = await pool.query(
+        'SELECT id FROM webhook_endpoints WHERE user_id = ? AND status = "active"',
+        [userId]
+    );
+    if (endpoints.length === 0) return;
+    
+    const deliveryId = `WH-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const payload = {
+        id: deliveryId,
+        event,
+        created_at: new Date().toISOString(),
+        data
+    };
+    
+    await pool.query(
+        `INSERT INTO webhook_deliveries (delivery_id, user_id, endpoint_id, order_id, event, payload, next_attempt_at) 
+         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+        [deliveryId, userId, endpoints[0].id, orderId, event, JSON.stringify(payload)]
+    );
+    
+    attemptWebhookDelivery(deliveryId).catch(error => console.error('Webhook delivery error:', error));
+}
+
+// Queue a notification for the order owner's callback URL. Never throws; await
+// it only when the next event for the same order must be queued after this one.
+async function notifyOrderStatus(orderId, status, details = {}) {
+    try {
+        if (!WEBHOOK_EVENTS.includes(status)) return;
+        
+        const [orders] = await pool.query('SELECT * FROM orders WHERE order_id = ?', [orderId]);
+        if (orders.length === 0) return;
+        
+        const order = orders[0];
+        
+        await queueWebhookEvent(order.user_id, `order.${status}`, {
+            order_id: order.order_id,
+            order_type: order.order_type,
+            status,
+            amount: order.amount,
+            network: order.network,
+            bundle_size: order.bundle_size,
+            beneficiary_number: order.beneficiary_number,
+            created_at: order.created_at,
+            delivered_at: order.delivered_at,
+            ...details
+        }, order.order_id);
+    } catch (error) {
+        console.error('Webhook notify error:', error);
+    }
+}
+
+// Send one attempt and log it. Scheduled attempts first claim the delivery
+// (pushing next_attempt_at forward) so the immediate send and the retry worker
+// never post the same delivery twice; manual replays skip the claim and never
+// change the retry schedule when they fail.
+async function attemptWebhookDelivery(deliveryId, { manual = false } = {}) {
+    if (!manual) {
+        const [claim] = await pool.query(
+            `UPDATE webhook_deliveries SET next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND) 
+             WHERE delivery_id = ? AND status = "pending" AND next_attempt_at <= NOW()`,
+            [WEBHOOK_CLAIM_SECONDS, deliveryId]
+        );
+        if (claim.affectedRows === 0) return null;
+    }
+    
+    const [deliveries] = await pool.query(
+        `SELECT d.*, e.url, e.secret, e.status as endpoint_status 
+         FROM webhook_deliveries d JOIN webhook_endpoints e ON e.id = d.endpoint_id 
+         WHERE d.delivery_id = ?`,
+        [deliveryId]
+    );
+    if (deliveries.length === 0) return null;
+    
+    const delivery = deliveries[0];
+    
+    if (delivery.endpoint_status !== 'active') {
+        await pool.query(
+            'UPDATE webhook_deliveries SET status = "failed", next_attempt_at = NULL, last_error = ? WHERE delivery_id = ? AND status = "pending"',
+            ['Webhook endpoint disabled', deliveryId]
+        );
+        return null;
+    }
+    
+    const attempt = delivery.attempts + 1;
+    const result = await postWebhook({
+        url: delivery.url,
+        secret: delivery.secret,
+        event: delivery.event,
+        deliveryId,
+        payload: delivery.payload
+    });
+    
+    await pool.query(
+        'INSERT INTO webhook_delivery_attempts (delivery_id, attempt, manual, status_code, error, duration_ms) VALUES (?, ?, ?, ?, ?, ?)',
+        [deliveryId, attempt, manual, result.statusCode, result.error, result.durationMs]
+    );
+    
+    const lastError = result.error || (result.ok ? null : `HTTP ${result.statusCode}`);
+    
+    if (result.ok) {
+        await pool.query(
+            'UPDATE webhook_deliveries SET status = "delivered", attempts = ?, last_status_code = ?, last_error = NULL, next_attempt_at = NULL, delivered_at = NOW() WHERE delivery_id = ?',
+            [attempt, result.statusCode, deliveryId]
+        );
+    } else if (manual) {
+        await pool.query(
+            'UPDATE webhook_deliveries SET attempts = ?, last_status_code = ?, last_error = ? WHERE delivery_id = ?',
+            [attempt, result.statusCode, lastError, deliveryId]
+        );
+    } else if (attempt >= WEBHOOK_MAX_ATTEMPTS) {
+        await pool.query(
+            'UPDATE webhook_deliveries SET status = "failed", attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = NULL WHERE delivery_id = ?',
+            [attempt, result.statusCode, lastError, deliveryId]
+        );
+    } else {
+        // 30s, 1m, 2m, 4m ... between attempts
+        const delaySeconds = WEBHOOK_RETRY_BASE_SECONDS * Math.pow(2, attempt - 1);
+        await pool.query(
+            'UPDATE webhook_deliveries SET attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE delivery_id = ?',
+            [attempt, result.statusCode, lastError, delaySeconds, deliveryId]
+        );
+    }
+    
+    return { attempt, ...result };
+}
+
+let webhookWorkerBusy = false;
+
+// Retry deliveries whose backoff has elapsed
+async function processDueWebhooks() {
+    if (webhookWorkerBusy) return;
+    webhookWorkerBusy = true;
+    
+    try {
+        const [due] = await pool.query(
+            'SELECT delivery_id FROM webhook_deliveries WHERE status = "pending" AND next_attempt_at <= NOW() ORDER BY next_attempt_at LIMIT 50'
+        );
+        
+        for (const delivery of due) {
+            await attemptWebhookDelivery(delivery.delivery_id);
+        }
+    } catch (error) {
+        console.error('Webhook worker error:', error);
+    } finally {
+        webhookWorkerBusy = false;
+    }
+}
+
+function startWebhookWorker() {
+    setInterval(processDueWebhooks, WEBHOOK_WORKER_INTERVAL_MS);
+}
+
+// ========== ORDER REFUNDS ==========
+
+// Credit the wallet back for an order that was paid for but not delivered.
+// The order row is locked while refunding and the refund transaction id is
+// derived from the order id (and UNIQUE), so an order is refunded at most once
+// no matter how many times this is called.
+async function refundOrder(orderId, { reason, adminId } = {}) {
+    // Orders paid by card or mobile money get their money back there
+    const table = await paystackPaymentTable(orderId);
+    if (table) {
+        return refundPaystackOrder(table, orderId, { reason, adminId });
+    }
+    
+    let result;
+    
+    try {
+        result = await withTransaction(pool, async connection => {
+            const [orders] = await connection.query(
+                'SELECT * FROM orders WHERE order_id = ? FOR UPDATE',
+                [orderId]
+            );
+            
+            if (orders.length === 0) {
+                return { refunded: false, error: 'Order not found' };
+            }
+            
+            const order = orders[0];
+            
+            if (order.status === 'refunded') {
+                return { refunded: false, error: 'Order already refunded' };
+            }
+            
+            // Admins may also refund orders stuck with the vendor, but not
+            // while a send or poll is live: the bundle may still be delivered
+            const refundable = adminId ? ['failed', 'processing'] : ['failed'];
+            if (!refundable.includes(order.status)) {
+                return { refunded: false, error: `Order with status ${order.status} cannot be refunded` };
+            }
+            
+            if (order.status === 'processing' && activeVendorDeliveries.has(order.order_id)) {
+                return { refunded: false, error: VENDOR_DELIVERY_LIVE_ERROR };
+            }
+            
+            const refundReason = reason || 'Order could not be delivered';
+            const transactionId = `REFUND-${order.order_id}`;
+            
+            await lockWallet(connection, order.user_id);
+            await creditWallet(connection, order.user_id, order.amount, {
+                transactionId,
+                contraAccount: 'system:sales',
+                description: `Refund for order #${order.order_id}`
+            });
+            
+            await connection.query(
+                'INSERT INTO wallet_transactions (user_id, transaction_id, reference, type, amount, description, status, metadata) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                [
+                    order.user_id,
+                    transactionId,
+                    order.order_id,
+                    'refund',
+                    order.amount,
+                    `Refund for order #${order.order_id}: ${refundReason}`,
+                    'completed',
+                    JSON.stringify({ order_id: order.order_id, reason: refundReason, refunded_by: adminId || 'system' })
+                ]
+            );
+            
+            const note = `[${new Date().toISOString()}] Refunded GHS ${order.amount} by ${adminId ? `admin #${adminId}` : 'system'}: ${refundReason}`;
+            await connection.query(
+                'UPDATE orders SET status = "refunded", refund_pending = FALSE, admin_notes = CONCAT_WS("\n", admin_notes, ?) WHERE order_id = ?',
+                [note, order.order_id]
+            );
+            await recordOrderEvent(order.order_id, {
+                action: 'refunded',
+                fromStatus: order.status,
+                toStatus: 'refunded',
+                note: `GHS ${order.amount} returned to wallet: ${refundReason}`,
+                adminId
+            }, connection);
+            
+            return {
+                refunded: true,
+                order_id: order.order_id,
+                amount: order.amount,
+                transaction_id: transactionId,
+                reason: refundReason,
+                subscriptionId: order.subscription_id
+            };
+        });
+    } catch (error) {
+        // A concurrent refund already wrote REFUND-<order_id>
+        if (error.code === 'ER_DUP_ENTRY') {
+            return { refunded: false, error: 'Order already refunded' };
+        }
+        throw error;
+    }
+    
+    if (result.refunded) {
+        console.log(`💸 Order ${result.order_id} refunded (GHS ${result.amount})`);
+        notifyOrderStatus(result.order_id, 'refunded', { reason: result.reason });
+        
+        if (result.subscriptionId) {
+            // The refund is done; a failed notice must not report it as failed
+            await notifySubscriptionRefund(result.subscriptionId, result)
+                .catch(error => console.error(`Subscription refund notice for ${result.order_id} error:`, error));
+        }
+    }
+    
+    return result;
+}
+
+// Refund failed orders whose automatic refund did not go through (e.g. the
+// server stopped between marking the order failed and crediting the wallet),
+// and re-send Paystack refunds Paystack has not accepted yet. Only orders
+// marked refund_pending when they failed (vendor failures, rejected AFA
+// registrations) are touched; orders an admin failed on purpose, or failed
+// before this flag existed, are left alone.
+async function retryPendingRefunds() {
+    try {
+        const [orders] = await pool.query(
+            `SELECT order_id FROM orders 
+             WHERE status = "failed" AND refund_pending = TRUE 
+             AND NOT EXISTS (SELECT 1 FROM wallet_transactions WHERE transaction_id = CONCAT('REFUND-', orders.order_id))`
+        );
+        
+        for (const order of orders) {
+            await refundOrder(order.order_id, { reason: 'Order could not be delivered' });
+        }
+        
+        for (const table of PAYSTACK_PAYMENT_TABLES) {
+            const [payments] = await pool.query(
+                `SELECT paystack_reference FROM ${table} WHERE status = "refund_pending" AND paystack_refund_id IS NULL`
+            );
+            
+            for (const payment of payments) {
+                await requestPaystackRefund(table, payment.paystack_reference);
+            }
+        }
+    } catch (error) {
+        console.error('Retry refunds error:', error);
+    }
+}
+
+// ========== DATA BUNDLE API ==========
+
+// 9. GET AVAILABLE DATA BUNDLES
+app.get('/api/data/bundles', optionalAuthenticateToken, async (req, res) => {
+    try {
+        const [products] = await pool.query(
+            'SELECT * FROM data_bundle_products WHERE status = "active" ORDER BY network, price'
+        );
+        
+        // Signed-in users see prices after their wallet level discount
+        const level = req.user ? await getUserLevel(req.user.id) : null;
+        const promotions = await getRunningPromotions();
+        
+        const bundles = {};
+        products.forEach(product => {
+            if (!bundles[product.network]) {
+                bundles[product.network] = [];
+            }
+            const pricing = promoPricing(product, promotions);
+            bundles[product.network].push({
+                size: product.bundle_size,
+                price: level ? applyLevelDiscount(pricing.price, level.discount_percent) : pricing.price,
+                base_price: product.price,
+                promo_price: pricing.promo_price,
+                promotion: pricing.promotion,
+                validity: `${product.validity_days} days`
+            });
+        });
+        
+        res.json({ success: true, level, bundles });
+    } catch (error) {
+        console.error('Bundles error:', error);
+        res.status(500).json({ error: 'Failed to fetch bundles' });
+    }
+});
+
+// Validate and place a data bundle order paid from the user's wallet, then
+// hand it to the vendor. Shared by the web app and the reseller API.
+// options.subscription ({ id, nextRunAt }) is set by the subscription
+// scheduler only: the subscription row is locked and must still be active and
+// due, and its schedule moves on in the same transaction as the debit.
+async function purchaseDataBundle(userId, { network, bundle_size, beneficiary_number, allow_ported }, { subscription = null } = {}) {
+    if (!['MTN', 'Telecel', 'AirtelTigo'].includes(network)) {
+        return { error: 'Invalid network', statusCode: 400 };
+    }
+    
+    if (!bundle_size || !beneficiary_number) {
+        return { error: 'Bundle size and beneficiary number are required', statusCode: 400 };
+    }
+    
+    const beneficiary = checkBeneficiary(beneficiary_number, network, { allowPorted: isTruthyFlag(allow_ported) });
+    if (beneficiary.error) {
+        return { error: beneficiary.error, statusCode: 400, detectedNetwork: beneficiary.detectedNetwork };
+    }
+    
+    const [product] = await pool.query(
+        'SELECT * FROM data_bundle_products WHERE network = ? AND bundle_size = ? AND status = "active"',
+        [network, bundle_size]
+    );
+    
+    if (product.length === 0) {
+        return { error: 'Invalid bundle selection', statusCode: 400 };
+    }
+    
+    let result;
+    
+    try {
+        result = await withTransaction(pool, async connection => {
+            if (subscription) {
+                const [due] = await connection.query(
+                    'SELECT id FROM bundle_subscriptions WHERE id = ? AND status = "active" AND next_run_at <= NOW() FOR UPDATE',
+                    [subscription.id]
+                );
+                
+                if (due.length === 0) {
+                    return { error: 'Subscription is no longer due', statusCode: 409, notDue: true };
+                }
+            }
+            
+            // Priced with the promotions running and the level the wallet
+            // holds at the moment of purchase
+            let pricing;
+            const { orderId, amount: price } = await payForOrder(connection, userId, {
+                price: async wallet => {
+                    pricing = promoPricing(product[0], await getRunningPromotions(connection));
+                    return applyLevelDiscount(pricing.price, await getLevelDiscount(wallet.level, connection));
+                },
+                transactionId: `DATA-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                description: `${network} ${bundle_size} data bundle`
+            });
+            
+            await connection.query(
+                `INSERT INTO orders (order_id, user_id, order_type, product_name, network, bundle_size, amount, product_id, list_price, promotion_id, subscription_id, beneficiary_number, status) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    orderId,
+                    userId,
+                    'data_bundle',
+                    `${network} ${bundle_size}`,
+                    network,
+                    bundle_size,
+                    price,
+                    product[0].id,
+                    product[0].price,
+                    pricing.promotion ? pricing.promotion.id : null,
+                    subscription ? subscription.id : null,
+                    beneficiary.number,
+                    'processing'
+                ]
+            );
+            await recordPortedWarning(orderId, beneficiary.warning, connection);
+            
+            if (subscription) {
+                await connection.query(
+                    `UPDATE bundle_subscriptions SET last_order_id = ?, last_renewed_at = NOW(), renewals = renewals + 1, next_run_at = ? 
+                     WHERE id = ?`,
+                    [orderId, subscription.nextRunAt, subscription.id]
+                );
+            }
+            
+            return { orderId, price, beneficiary: beneficiary.number, warning: beneficiary.warning };
+        });
+    } catch (error) {
+        if (error instanceof InsufficientBalanceError) {
+            return { error: 'Insufficient wallet balance', statusCode: 400 };
+        }
+        throw error;
+    }
+    
+    if (result.error) {
+        return result;
+    }
+    
+    notifyOrderStatus(result.orderId, 'processing');
+    dispatchOrder(result.orderId);
+    
+    return result;
+}
+
+// 10. BUY DATA BUNDLE
+// beneficiary_id picks a saved beneficiary instead of beneficiary_number (its
+// default network is used when network is left out)
+app.post('/api/data/buy', authenticateToken, async (req, res) => {
+    try {
+        let order = req.body;
+        let saved = null;
+        
+        if (req.body.beneficiary_id) {
+            saved = await getSavedBeneficiary(req.user.id, req.body.beneficiary_id);
+            
+            if (!saved) {
+                return res.status(404).json({ error: 'Saved beneficiary not found' });
+            }
+            
+            order = { ...req.body, ...savedBeneficiaryOrder(saved, req.body) };
+        }
+        
+        const result = await purchaseDataBundle(req.user.id, order);
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ error: result.error, detected_network: result.detectedNetwork });
+        }
+        
+        if (saved) {
+            await pool.query('UPDATE saved_beneficiaries SET last_used_at = NOW() WHERE id = ?', [saved.id]);
+        }
+        
+        res.json({
+            success: true,
+            message: 'Data bundle purchase initiated',
+            order_id: result.orderId,
+            amount: result.price,
+            status: 'processing',
+            beneficiary: result.beneficiary,
+            warning: result.warning || undefined
+        });
+        
+    } catch (error) {
+        console.error('Data purchase error:', error);
+        res.status(500).json({ error: 'Data purchase failed' });
+    }
+});
+
+// 11. CHECK ORDER STATUS
+app.get('/api/orders/:orderId', authenticateToken, async (req, res) => {
+    try {
+        const [orders] = await pool.query(
+            'SELECT * FROM orders WHERE order_id = ? AND user_id = ?',
+            [req.params.orderId, req.user.id]
+        );
+        
+        if (orders.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        const order = orders[0];
+        
+        if (order.order_type === 'results_checker') {
+            const [vouchers] = await pool.query(
+                'SELECT voucher_type, pin, serial FROM results_vouchers WHERE assigned_to_order = ?',
+                [order.order_id]
+            );
+            order.voucher = vouchers[0] || null;
+        }
+        
+        if (order.order_type === 'flyer_generation') {
+            order.flyer = {
+                png_url: `/api/flyers/${order.order_id}?format=png`,
+                svg_url: `/api/flyers/${order.order_id}?format=svg`
+            };
+        }
+        
+        res.json({ success: true, order });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 12. GET USER ORDERS
+app.get('/api/orders', authenticateToken, async (req, res) => {
+    try {
+        const { status, limit = 20, offset = 0 } = req.query;
+        
+        let query = 'SELECT * FROM orders WHERE user_id = ?';
+        const params = [req.user.id];
+        
+        if (status) {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+        
+        query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+        params.push(parseInt(limit), parseInt(offset));
+        
+        const [orders] = await pool.query(query, params);
+        
+        const [total] = await pool.query(
+            'SELECT COUNT(*) as count FROM orders WHERE user_id = ?',
+            [req.user.id]
+        );
+        
+        res.json({
+            success: true,
+            orders,
+            pagination: {
+                total: total[0].count,
+                limit: parseInt(limit),
+                offset: parseInt(offset)
+            }
+        });
+    } catch (error) {
+        console.error('Orders error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== ADMIN ENDPOINTS ==========
+
+// 13. GET ALL USERS (Admin only)
+app.get('/api/admin/users', authenticateToken, authorize('users:read'), async (req, res) => {
+    try {
+        const [users] = await pool.query(`
+            SELECT u.*, w.balance, w.level 
+            FROM users u 
+            LEFT JOIN wallets w ON u.id = w.user_id 
+            ORDER BY u.created_at DESC
+        `);
+        
+        res.json({ success: true, users });
+    } catch (error) {
+        console.error('Admin users error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 14. GET SYSTEM STATS (Admin only)
+app.get('/api/admin/stats', authenticateToken, authorize('stats:read'), async (req, res) => {
+    try {
+        const [userCount] = await pool.query('SELECT COUNT(*) as count FROM users');
+        const [orderCount] = await pool.query('SELECT COUNT(*) as count FROM orders');
+        const [todayOrders] = await pool.query(
+            'SELECT COUNT(*) as count FROM orders WHERE DATE(created_at) = CURDATE()'
+        );
+        const [totalRevenue] = await pool.query(
+            'SELECT SUM(amount) as total FROM orders WHERE status = "completed"'
+        );
+        const [walletTotal] = await pool.query('SELECT SUM(balance) as total FROM wallets');
+        const [ledgerTotal] = await pool.query(
+            'SELECT SUM(IF(direction = "credit", amount, -amount)) as total FROM wallet_ledger_entries WHERE account LIKE "wallet:%"'
+        );
+        const [lastRun] = await pool.query(
+            'SELECT id, drift_count, unbalanced_transactions, created_at FROM wallet_reconciliation_runs ORDER BY id DESC LIMIT 1'
+        );
+        
+        res.json({
+            success: true,
+            stats: {
+                total_users: userCount[0].count,
+                total_orders: orderCount[0].count,
+                today_orders: todayOrders[0].count,
+                total_revenue: totalRevenue[0].total || 0,
+                total_wallet_balance: walletTotal[0].total || 0,
+                total_ledger_balance: ledgerTotal[0].total || 0,
+                last_reconciliation: lastRun[0] || null
+            }
+        });
+    } catch (error) {
+        console.error('Admin stats error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== UTILITY ENDPOINTS ==========
+
+// 15. HEALTH CHECK
+app.get('/health', (req, res) => {
+    res.json({ 
+        status: 'ok',
+        service: 'BuyBuzz DataHub API',
+        version: '1.0.0',
+        timestamp: new Date().toISOString(),
+        features: ['auth', 'wallet', 'paystack', 'data-bundles', 'orders', 'results-checkers', 'afa', 'reseller-api', 'webhooks', 'withdrawals', 'wallet-ledger', 'wallet-levels', 'storefronts', 'flyers', 'promotions', 'checkout', 'subscriptions']
+    });
+});
+
+// 16. UPDATE BUNDLE (Admin)
+app.put('/api/admin/bundle/:id', authenticateToken, authorize('catalog:manage'), async (req, res) => {
+    try {
+        const { fields, error } = validateBundleFields(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No updates provided' });
+        }
+        
+        const product = await withTransaction(pool, async connection => {
+            const [rows] = await connection.query(
+                'SELECT * FROM data_bundle_products WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
+                [req.params.id]
+            );
+            
+            if (rows.length === 0) return null;
+            
+            await connection.query(
+                `UPDATE data_bundle_products SET ${Object.keys(fields).map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...Object.values(fields), rows[0].id]
+            );
+            
+            const [updated] = await connection.query('SELECT * FROM data_bundle_products WHERE id = ?', [rows[0].id]);
+            
+            if (Number(updated[0].price) !== Number(rows[0].price)) {
+                await recordPriceChange(connection, updated[0], {
+                    oldPrice: rows[0].price,
+                    newPrice: updated[0].price,
+                    reason: req.body.reason || null,
+                    changedBy: req.user.id
+                });
+            }
+            
+            return updated[0];
+        });
+        
+        if (!product) {
+            return res.status(404).json({ error: 'Bundle not found' });
+        }
+        
+        res.json({ success: true, message: 'Bundle updated successfully', bundle: product });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A bundle with this network and size already exists' });
+        }
+        console.error('Update bundle error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 17. WALLET-TO-WALLET TRANSFER
+app.post('/api/wallet/transfer', authenticateToken, async (req, res) => {
+    try {
+        const { recipient_email, amount, note } = req.body;
+        
+        if (!recipient_email || !amount || amount <= 0) {
+            return res.status(400).json({ error: 'Valid recipient email and amount required' });
+        }
+        
+        if (recipient_email === req.user.email) {
+            return res.status(400).json({ error: 'Cannot transfer to yourself' });
+        }
+        
+        const [recipient] = await pool.query('SELECT id FROM users WHERE email = ?', [recipient_email]);
+        if (recipient.length === 0) {
+            return res.status(404).json({ error: 'Recipient not found' });
+        }
+        
+        const newBalance = await withTransaction(pool, async connection => {
+            const transferId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            
+            // Throws InsufficientBalanceError if the sender is short
+            const balance = await transferBetweenWallets(connection, req.user.id, recipient[0].id, amount, {
+                transferId,
+                debitDescription: `Transfer to ${recipient_email}`,
+                creditDescription: `Transfer from ${req.user.email}`
+            });
+            
+            await connection.query(
+                'INSERT INTO wallet_transactions (user_id, transaction_id, type, amount, description, status) VALUES (?, ?, ?, ?, ?, ?), (?, ?, ?, ?, ?, ?)',
+                [
+                    req.user.id,
+                    `TRANSFER-OUT-${transferId}`,
+                    'transfer_out',
+                    amount,
+                    `Transfer to ${recipient_email}${note ? ': ' + note : ''}`,
+                    'completed',
+                    recipient[0].id,
+                    `TRANSFER-IN-${transferId}`,
+                    'transfer_in',
+                    amount,
+                    `Transfer from ${req.user.email}${note ? ': ' + note : ''}`,
+                    'completed'
+                ]
+            );
+            
+            return balance;
+        });
+        
+        res.json({
+            success: true,
+            message: 'Transfer completed successfully',
+            new_balance: newBalance
+        });
+        
+    } catch (error) {
+        if (error instanceof InsufficientBalanceError) {
+            return res.status(400).json({ error: 'Insufficient balance' });
+        }
+        console.error('Transfer error:', error);
+        res.status(500).json({ error: 'Transfer failed' });
+    }
+});
+
+// 18. REFUND ORDER (Admin)
+app.post('/api/admin/orders/:orderId/refund', authenticateToken, authorize('orders:manage'), async (req, res) => {
+    try {
+        const result = await refundOrder(req.params.orderId, {
+            reason: req.body.reason,
+            adminId: req.user.id
+        });
+        
+        if (!result.refunded) {
+            const statusCode = result.error === 'Order not found' ? 404 : 409;
+            return res.status(statusCode).json({ error: result.error });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Order refunded successfully',
+            order_id: result.order_id,
+            amount: result.amount,
+            transaction_id: result.transaction_id
+        });
+    } catch (error) {
+        console.error('Admin refund error:', error);
+        res.status(500).json({ error: 'Refund failed' });
+    }
+});
+
+// ========== RESULTS CHECKER VOUCHERS ==========
+
+// Allocate a results checker voucher and charge the wallet for it in one
+// transaction. SKIP LOCKED lets concurrent buyers each take a different row
+// instead of queueing on (and then double-allocating) the same voucher.
+async function purchaseVoucher(userId, product) {
+    const result = await withTransaction(pool, async connection => {
+        const wallet = await lockWallet(connection, userId);
+        
+        if (!wallet || Number(wallet.balance) < Number(product.price)) {
+            return { error: 'Insufficient wallet balance', statusCode: 400 };
+        }
+        
+        const [vouchers] = await connection.query(
+            'SELECT id, voucher_type, pin, serial FROM results_vouchers WHERE voucher_type = ? AND status = "available" ORDER BY id LIMIT 1 FOR UPDATE SKIP LOCKED',
+            [product.product_code]
+        );
+        
+        if (vouchers.length === 0) {
+            return { error: `${product.product_code} vouchers are out of stock`, statusCode: 409 };
+        }
+        
+        const voucher = vouchers[0];
+        
+        const orderId = await nextOrderId(connection);
+        
+        await connection.query(
+            'UPDATE results_vouchers SET status = "allocated", assigned_to_order = ?, assigned_at = NOW() WHERE id = ?',
+            [orderId, voucher.id]
+        );
+        
+        const transactionId = `VOUCHER-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        
+        await debitWallet(connection, userId, product.price, {
+            transactionId,
+            contraAccount: 'system:sales',
+            description: product.name
+        });
+        
+        await connection.query(
+            'INSERT INTO wallet_transactions (user_id, transaction_id, reference, type, amount, description, status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [userId, transactionId, orderId, 'debit', product.price, product.name, 'completed']
+        );
+        
+        await connection.query(
+            `INSERT INTO orders (order_id, user_id, order_type, product_name, amount, status, delivery_response, delivered_at) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [
+                orderId,
+                userId,
+                'results_checker',
+                product.name,
+                product.price,
+                'completed',
+                JSON.stringify({ voucher_id: voucher.id, voucher_type: voucher.voucher_type, serial: voucher.serial })
+            ]
+        );
+        
+        return { orderId, voucher };
+    });
+    
+    if (!result.error) {
+        notifyOrderStatus(result.orderId, 'completed');
+    }
+    
+    return result;
+}
+
+// 19. GET RESULTS CHECKER PRODUCTS
+app.get('/api/vouchers/products', async (req, res) => {
+    try {
+        const [products] = await pool.query(`
+            SELECT p.product_code, p.name, p.price,
+                   (SELECT COUNT(*) FROM results_vouchers v WHERE v.voucher_type = p.product_code AND v.status = "available") as available
+            FROM service_products p
+            WHERE p.order_type = "results_checker" AND p.status = "active"
+            ORDER BY p.product_code
+        `);
+        
+        res.json({
+            success: true,
+            products: products.map(product => ({
+                voucher_type: product.product_code,
+                name: product.name,
+                price: product.price,
+                in_stock: product.available > 0
+            }))
+        });
+    } catch (error) {
+        console.error('Voucher products error:', error);
+        res.status(500).json({ error: 'Failed to fetch voucher products' });
+    }
+});
+
+// 20. BUY RESULTS CHECKER VOUCHER
+app.post('/api/vouchers/buy', authenticateToken, async (req, res) => {
+    try {
+        const { voucher_type } = req.body;
+        
+        if (!['BECE', 'WASSCE'].includes(voucher_type)) {
+            return res.status(400).json({ error: 'Invalid voucher type' });
+        }
+        
+        const [products] = await pool.query(
+            'SELECT * FROM service_products WHERE product_code = ? AND order_type = "results_checker" AND status = "active"',
+            [voucher_type]
+        );
+        
+        if (products.length === 0) {
+            return res.status(400).json({ error: 'Voucher type not available' });
+        }
+        
+        const result = await purchaseVoucher(req.user.id, products[0]);
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ error: result.error });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Voucher purchased successfully',
+            order_id: result.orderId,
+            amount: products[0].price,
+            status: 'completed',
+            voucher: {
+                voucher_type: result.voucher.voucher_type,
+                pin: result.voucher.pin,
+                serial: result.voucher.serial
+            }
+        });
+    } catch (error) {
+        console.error('Voucher purchase error:', error);
+        res.status(500).json({ error: 'Voucher purchase failed' });
+    }
+});
+
+// 21. GET PURCHASED VOUCHERS
+app.get('/api/vouchers/orders', authenticateToken, async (req, res) => {
+    try {
+        const { limit, offset } = parsePagination(req.query);
+        
+        const [vouchers] = await pool.query(`
+            SELECT o.order_id, o.product_name, o.amount, o.status, o.created_at,
+                   v.voucher_type, v.pin, v.serial
+            FROM orders o
+            LEFT JOIN results_vouchers v ON v.assigned_to_order = o.order_id
+            WHERE o.user_id = ? AND o.order_type = "results_checker"
+            ORDER BY o.created_at DESC LIMIT ? OFFSET ?
+        `, [req.user.id, limit, offset]);
+        
+        const [total] = await pool.query(
+            'SELECT COUNT(*) as count FROM orders WHERE user_id = ? AND order_type = "results_checker"',
+            [req.user.id]
+        );
+        
+        res.json({
+            success: true,
+            vouchers,
+            pagination: {
+                total: total[0].count,
+                limit,
+                offset
+            }
+        });
+    } catch (error) {
+        console.error('Voucher orders error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 22. IMPORT VOUCHER STOCK FROM CSV (Admin)
+// Accepts a text/csv body, or JSON { csv, voucher_type }. Columns: pin, serial
+// and optionally voucher_type (otherwise taken from ?voucher_type=).
+app.post('/api/admin/vouchers/import', authenticateToken, authorize('vouchers:manage'), express.text({ type: 'text/csv', limit: '2mb' }), async (req, res) => {
+    try {
+        const csvText = typeof req.body === 'string' ? req.body : req.body.csv;
+        const defaultType = (req.query.voucher_type || req.body.voucher_type || '').toUpperCase();
+        
+        if (!csvText) {
+            return res.status(400).json({ error: 'CSV content is required' });
+        }
+        
+        const { headers, rows } = parseCsv(csvText);
+        
+        if (!headers.includes('pin') || !headers.includes('serial')) {
+            return res.status(400).json({ error: 'CSV must have pin and serial columns' });
+        }
+        
+        if (rows.length === 0) {
+            return res.status(400).json({ error: 'CSV has no voucher rows' });
+        }
+        
+        if (rows.length > 5000) {
+            return res.status(400).json({ error: 'A single import is limited to 5000 vouchers' });
+        }
+        
+        // Pins and serials already in stock, for friendlier duplicate messages
+        const [existing] = await pool.query(
+            'SELECT pin, serial FROM results_vouchers WHERE pin IN (?) OR serial IN (?)',
+            [rows.map(row => row.pin || ''), rows.map(row => row.serial || '')]
+        );
+        const existingPins = new Set(existing.map(voucher => voucher.pin));
+        const existingSerials = new Set(existing.map(voucher => voucher.serial));
+        const seenPins = new Set();
+        const seenSerials = new Set();
+        
+        const report = [];
+        let imported = 0;
+        
+        for (const row of rows) {
+            const voucherType = (row.voucher_type || defaultType).toUpperCase();
+            const errors = [];
+            
+            if (!['BECE', 'WASSCE'].includes(voucherType)) {
+                errors.push('voucher_type must be BECE or WASSCE');
+            }
+            if (!row.pin || row.pin.length > 100 || /\s/.test(row.pin)) {
+                errors.push('pin is missing or invalid');
+            }
+            if (!row.serial || row.serial.length > 100 || /\s/.test(row.serial)) {
+                errors.push('serial is missing or invalid');
+            }
+            if (row.pin && (existingPins.has(row.pin) || seenPins.has(row.pin))) {
+                errors.push(existingPins.has(row.pin) ? 'pin already in stock' : 'pin repeated in file');
+            }
+            if (row.serial && (existingSerials.has(row.serial) || seenSerials.has(row.serial))) {
+                errors.push(existingSerials.has(row.serial) ? 'serial already in stock' : 'serial repeated in file');
+            }
+            
+            seenPins.add(row.pin);
+            seenSerials.add(row.serial);
+            
+            if (errors.length === 0) {
+                try {
+                    await pool.query(
+                        'INSERT INTO results_vouchers (voucher_type, pin, serial) VALUES (?, ?, ?)',
+                        [voucherType, row.pin, row.serial]
+                    );
+                    imported++;
+                } catch (error) {
+                    // Another import may have inserted the same pin/serial meanwhile
+                    if (error.code !== 'ER_DUP_ENTRY') throw error;
+                    errors.push('pin or serial already in stock');
+                }
+            }
+            
+            report.push({
+                line: row.line,
+                serial: row.serial || null,
+                status: errors.length === 0 ? 'imported' : 'rejected',
+                errors
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: `${imported} of ${rows.length} vouchers imported`,
+            imported,
+            rejected: rows.length - imported,
+            rows: report
+        });
+    } catch (error) {
+        console.error('Voucher import error:', error);
+        res.status(500).json({ error: 'Voucher import failed' });
+    }
+});
+
+// 23. VOUCHER INVENTORY (Admin)
+app.get('/api/admin/vouchers/inventory', authenticateToken, authorize('vouchers:manage'), async (req, res) => {
+    try {
+        const threshold = parseInt(req.query.threshold) || parseInt(process.env.VOUCHER_LOW_STOCK_THRESHOLD) || 50;
+        
+        const [counts] = await pool.query(
+            'SELECT voucher_type, status, COUNT(*) as count FROM results_vouchers GROUP BY voucher_type, status'
+        );
+        
+        const inventory = ['BECE', 'WASSCE'].map(voucherType => {
+            const stock = { voucher_type: voucherType, available: 0, allocated: 0, used: 0, total: 0 };
+            counts
+                .filter(row => row.voucher_type === voucherType)
+                .forEach(row => {
+                    stock[row.status] = row.count;
+                    stock.total += row.count;
+                });
+            stock.low_stock = stock.available < threshold;
+            return stock;
+        });
+        
+        const warnings = inventory
+            .filter(stock => stock.low_stock)
+            .map(stock => stock.available === 0
+                ? `${stock.voucher_type} vouchers are out of stock`
+                : `${stock.voucher_type} stock is low: ${stock.available} left (threshold ${threshold})`);
+        
+        res.json({ success: true, threshold, inventory, warnings });
+    } catch (error) {
+        console.error('Voucher inventory error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== AFA BUNDLE REGISTRATIONS ==========
+
+// Check the registrant details for an AFA registration, returning a list of
+// problems (empty when valid) and the normalised values to store.
+function validateAfaRegistrant({ full_name, ghana_card_number, phone_number }) {
+    const errors = [];
+    const fullName = String(full_name || '').trim().replace(/\s+/g, ' ');
+    const ghanaCard = String(ghana_card_number || '').trim().toUpperCase();
+    const phone = String(phone_number || '').replace(/[\s-]/g, '');
+    
+    if (fullName.length < 3 || fullName.length > 100 || !fullName.includes(' ')) {
+        errors.push('full_name must be the registrant\'s first and last name');
+    }
+    if (!/^GHA-\d{9}-\d$/.test(ghanaCard)) {
+        errors.push('ghana_card_number must look like GHA-123456789-0');
+    }
+    if (!/^(\+233|233|0)[2-5]\d{8}$/.test(phone)) {
+        errors.push('phone_number must be a valid Ghana mobile number');
+    }
+    
+    return { errors, registrant: { fullName, ghanaCard, phone } };
+}
+
+// Charge the wallet and open a pending AFA registration order
+const AFA_DUPLICATE_CARD_ERROR = 'This Ghana card already has an AFA registration';
+
+async function purchaseAfaRegistration(userId, product, registrant) {
+    let result;
+    
+    try {
+        result = await withTransaction(pool, async connection => {
+            const wallet = await lockWallet(connection, userId);
+            
+            if (!wallet || Number(wallet.balance) < Number(product.price)) {
+                return { error: 'Insufficient wallet balance', statusCode: 400 };
+            }
+            
+            // Early answer only; the unique active_ghana_card key settles concurrent registrations
+            const [existing] = await connection.query(
+                'SELECT order_id FROM afa_registrations WHERE active_ghana_card = ?',
+                [registrant.ghanaCard]
+            );
+            
+            if (existing.length > 0) {
+                return { error: AFA_DUPLICATE_CARD_ERROR, statusCode: 409 };
+            }
+            
+            const orderId = await nextOrderId(connection);
+            
+            const transactionId = `AFA-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            
+            await debitWallet(connection, userId, product.price, {
+                transactionId,
+                contraAccount: 'system:sales',
+                description: `${product.name} for ${registrant.fullName}`
+            });
+            
+            await connection.query(
+                'INSERT INTO wallet_transactions (user_id, transaction_id, reference, type, amount, description, status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [userId, transactionId, orderId, 'debit', product.price, `${product.name} for ${registrant.fullName}`, 'completed']
+            );
+            
+            await connection.query(
+                `INSERT INTO orders (order_id, user_id, order_type, product_name, network, amount, beneficiary_number, status) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [orderId, userId, 'afa_bundle', product.name, 'MTN', product.price, registrant.phone, 'processing']
+            );
+            
+            await connection.query(
+                'INSERT INTO afa_registrations (order_id, user_id, full_name, ghana_card_number, phone_number) VALUES (?, ?, ?, ?, ?)',
+                [orderId, userId, registrant.fullName, registrant.ghanaCard, registrant.phone]
+            );
+            
+            return { orderId };
+        });
+    } catch (error) {
+        // A concurrent registration for the same card got in first
+        if (error.code === 'ER_DUP_ENTRY' && /active_ghana_card/.test(error.message)) {
+            return { error: AFA_DUPLICATE_CARD_ERROR, statusCode: 409 };
+        }
+        throw error;
+    }
+    
+    if (!result.error) {
+        notifyOrderStatus(result.orderId, 'processing');
+    }
+    
+    return result;
+}
+
+// 24. GET AFA REGISTRATION PRODUCT
+app.get('/api/afa/product', async (req, res) => {
+    try {
+        const [products] = await pool.query(
+            'SELECT product_code, name, price, description FROM service_products WHERE order_type = "afa_bundle" AND status = "active" LIMIT 1'
+        );
+        
+        if (products.length === 0) {
+            return res.status(404).json({ error: 'AFA registration is currently unavailable' });
+        }
+        
+        res.json({
+            success: true,
+            product: products[0],
+            required_fields: ['full_name', 'ghana_card_number', 'phone_number']
+        });
+    } catch (error) {
+        console.error('AFA product error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 25. REGISTER AFA BUNDLE
+app.post('/api/afa/register', authenticateToken, async (req, res) => {
+    try {
+        const { errors, registrant } = validateAfaRegistrant(req.body);
+        
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid registration details', details: errors });
+        }
+        
+        const [products] = await pool.query(
+            'SELECT * FROM service_products WHERE order_type = "afa_bundle" AND status = "active" LIMIT 1'
+        );
+        
+        if (products.length === 0) {
+            return res.status(400).json({ error: 'AFA registration is currently unavailable' });
+        }
+        
+        const result = await purchaseAfaRegistration(req.user.id, products[0], registrant);
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ error: result.error });
+        }
+        
+        res.json({
+            success: true,
+            message: 'AFA registration submitted',
+            order_id: result.orderId,
+            amount: products[0].price,
+            status: 'processing'
+        });
+    } catch (error) {
+        console.error('AFA registration error:', error);
+        res.status(500).json({ error: 'AFA registration failed' });
+    }
+});
+
+// 26. GET USER AFA REGISTRATIONS
+app.get('/api/afa/registrations', authenticateToken, async (req, res) => {
+    try {
+        const [registrations] = await pool.query(
+            'SELECT order_id, full_name, ghana_card_number, phone_number, status, admin_notes, processed_at, created_at FROM afa_registrations WHERE user_id = ? ORDER BY created_at DESC',
+            [req.user.id]
+        );
+        
+        res.json({ success: true, registrations });
+    } catch (error) {
+        console.error('AFA registrations error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 27. LIST AFA REGISTRATIONS (Admin)
+app.get('/api/admin/afa/registrations', authenticateToken, authorize('afa:manage'), async (req, res) => {
+    try {
+        const { status = 'pending', limit = 50, offset = 0 } = req.query;
+        
+        const [registrations] = await pool.query(`
+            SELECT a.*, u.full_name as customer_name, u.email as customer_email
+            FROM afa_registrations a
+            JOIN users u ON u.id = a.user_id
+            WHERE a.status = ?
+            ORDER BY a.created_at ASC LIMIT ? OFFSET ?
+        `, [status, parseInt(limit), parseInt(offset)]);
+        
+        res.json({ success: true, registrations });
+    } catch (error) {
+        console.error('Admin AFA registrations error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 28. PROCESS AFA REGISTRATION (Admin)
+app.put('/api/admin/afa/registrations/:id', authenticateToken, authorize('afa:manage'), async (req, res) => {
+    try {
+        const { status, notes } = req.body;
+        
+        if (!['completed', 'rejected'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be completed or rejected' });
+        }
+        
+        if (status === 'rejected' && !notes) {
+            return res.status(400).json({ error: 'Notes are required when rejecting a registration' });
+        }
+        
+        // The registration and its order change together. A rejected order is
+        // marked refund_pending in the same step, so if the refund below does
+        // not go through, retryPendingRefunds() pays it on the next start.
+        const result = await withTransaction(pool, async connection => {
+            const [registrations] = await connection.query('SELECT * FROM afa_registrations WHERE id = ? FOR UPDATE', [req.params.id]);
+            if (registrations.length === 0) {
+                return { error: 'Registration not found', statusCode: 404 };
+            }
+            
+            const registration = registrations[0];
+            
+            // Only a pending registration can be processed, and only once
+            if (registration.status !== 'pending') {
+                return { error: `Registration already ${registration.status}`, statusCode: 409 };
+            }
+            
+            await connection.query(
+                'UPDATE afa_registrations SET status = ?, admin_notes = ?, processed_by = ?, processed_at = NOW() WHERE id = ?',
+                [status, notes || null, req.user.id, registration.id]
+            );
+            
+            if (status === 'completed') {
+                await connection.query(
+                    'UPDATE orders SET status = "completed", delivered_at = NOW(), admin_notes = ? WHERE order_id = ? AND status = "processing"',
+                    [notes || null, registration.order_id]
+                );
+            } else {
+                await connection.query(
+                    'UPDATE orders SET status = "failed", refund_pending = TRUE, admin_notes = ? WHERE order_id = ? AND status = "processing"',
+                    [notes, registration.order_id]
+                );
+            }
+            
+            return { registration };
+        });
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ error: result.error });
+        }
+        
+        const { registration } = result;
+        
+        if (status === 'completed') {
+            notifyOrderStatus(registration.order_id, 'completed');
+        } else {
+            await notifyOrderStatus(registration.order_id, 'failed', { reason: notes });
+            await refundOrder(registration.order_id, { reason: `AFA registration rejected: ${notes}`, adminId: req.user.id });
+        }
+        
+        res.json({
+            success: true,
+            message: `Registration ${status}`,
+            order_id: registration.order_id
+        });
+    } catch (error) {
+        console.error('Process AFA registration error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== RESELLER API KEYS ==========
+
+const MAX_ACTIVE_API_KEYS = 5;
+
+// 29. CREATE API KEY
+app.post('/api/api-keys', authenticateToken, async (req, res) => {
+    try {
+        const name = String(req.body.name || 'Default key').trim().slice(0, 100);
+        
+        const [active] = await pool.query(
+            'SELECT COUNT(*) as count FROM api_keys WHERE user_id = ? AND status = "active"',
+            [req.user.id]
+        );
+        
+        if (active[0].count >= MAX_ACTIVE_API_KEYS) {
+            return res.status(400).json({ error: `You can have at most ${MAX_ACTIVE_API_KEYS} active API keys` });
+        }
+        
+        const apiKey = `bbz_${crypto.randomBytes(16).toString('hex')}`;
+        const apiSecret = crypto.randomBytes(32).toString('hex');
+        
+        const [result] = await pool.query(
+            'INSERT INTO api_keys (user_id, api_key, api_secret, name) VALUES (?, ?, ?, ?)',
+            [req.user.id, apiKey, apiSecret, name]
+        );
+        
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Store the secret now, it will not be shown again.',
+            api_key: { id: result.insertId, name, api_key: apiKey, api_secret: apiSecret }
+        });
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 30. LIST API KEYS
+app.get('/api/api-keys', authenticateToken, async (req, res) => {
+    try {
+        const [keys] = await pool.query(
+            'SELECT id, name, api_key, status, last_used, created_at FROM api_keys WHERE user_id = ? ORDER BY created_at DESC',
+            [req.user.id]
+        );
+        
+        res.json({ success: true, api_keys: keys });
+    } catch (error) {
+        console.error('List API keys error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 31. REVOKE API KEY
+app.delete('/api/api-keys/:id', authenticateToken, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'UPDATE api_keys SET status = "revoked" WHERE id = ? AND user_id = ? AND status = "active"',
+            [req.params.id, req.user.id]
+        );
+        
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Active API key not found' });
+        }
+        
+        res.json({ success: true, message: 'API key revoked' });
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== ORDER WEBHOOK SETTINGS ==========
+
+function isValidWebhookUrl(url) {
+    try {
+        const parsed = new URL(url);
+        // Plain http is only accepted outside production, for local testing
+        return parsed.protocol === 'https:' || (parsed.protocol === 'http:' && process.env.NODE_ENV !== 'production');
+    } catch (error) {
+        return false;
+    }
+}
+
+// 32. SET WEBHOOK URL
+app.put('/api/webhooks', authenticateToken, async (req, res) => {
+    try {
+        const { url, rotate_secret } = req.body;
+        
+        if (!url || url.length > 500 || !isValidWebhookUrl(url)) {
+            return res.status(400).json({ error: 'A valid https callback URL is required' });
+        }
+        
+        const hostError = await checkWebhookHost(url);
+        if (hostError) {
+            return res.status(400).json({ error: hostError });
+        }
+        
+        const [existing] = await pool.query('SELECT id FROM webhook_endpoints WHERE user_id = ?', [req.user.id]);
+        let secret = null;
+        
+        if (existing.length === 0) {
+            secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+            await pool.query(
+                'INSERT INTO webhook_endpoints (user_id, url, secret) VALUES (?, ?, ?)',
+                [req.user.id, url, secret]
+            );
+        } else if (rotate_secret) {
+            secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+            await pool.query(
+                'UPDATE webhook_endpoints SET url = ?, secret = ?, status = "active" WHERE user_id = ?',
+                [url, secret, req.user.id]
+            );
+        } else {
+            await pool.query(
+                'UPDATE webhook_endpoints SET url = ?, status = "active" WHERE user_id = ?',
+                [url, req.user.id]
+            );
+        }
+        
+        res.json({
+            success: true,
+            message: 'Webhook URL saved',
+            webhook: {
+                url,
+                events: [...WEBHOOK_EVENTS.map(status => `order.${status}`), ...SUBSCRIPTION_WEBHOOK_EVENTS],
+                // Only returned when a new secret is generated
+                ...(secret && { secret })
+            }
+        });
+    } catch (error) {
+        console.error('Set webhook error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 33. GET WEBHOOK SETTINGS
+app.get('/api/webhooks', authenticateToken, async (req, res) => {
+    try {
+        const [endpoints] = await pool.query(
+            'SELECT url, status, created_at, updated_at FROM webhook_endpoints WHERE user_id = ?',
+            [req.user.id]
+        );
+        
+        res.json({ success: true, webhook: endpoints[0] || null });
+    } catch (error) {
+        console.error('Get webhook error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 34. DISABLE WEBHOOK
+app.delete('/api/webhooks', authenticateToken, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'UPDATE webhook_endpoints SET status = "disabled" WHERE user_id = ? AND status = "active"',
+            [req.user.id]
+        );
+        
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'No active webhook' });
+        }
+        
+        res.json({ success: true, message: 'Webhook disabled' });
+    } catch (error) {
+        console.error('Disable webhook error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 35. LIST WEBHOOK DELIVERIES
+app.get('/api/webhooks/deliveries', authenticateToken, async (req, res) => {
+    try {
+        const { status, order_id, limit = 20, offset = 0 } = req.query;
+        
+        let query = 'SELECT delivery_id, order_id, event, status, attempts, last_status_code, last_error, next_attempt_at, delivered_at, created_at FROM webhook_deliveries WHERE user_id = ?';
+        const params = [req.user.id];
+        
+        if (status) {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+        
+        if (order_id) {
+            query += ' AND order_id = ?';
+            params.push(order_id);
+        }
+        
+        query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+        params.push(parseInt(limit), parseInt(offset));
+        
+        const [deliveries] = await pool.query(query, params);
+        
+        res.json({ success: true, deliveries });
+    } catch (error) {
+        console.error('Webhook deliveries error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 36. GET WEBHOOK DELIVERY WITH ATTEMPT LOG
+app.get('/api/webhooks/deliveries/:deliveryId', authenticateToken, async (req, res) => {
+    try {
+        const [deliveries] = await pool.query(
+            'SELECT * FROM webhook_deliveries WHERE delivery_id = ? AND user_id = ?',
+            [req.params.deliveryId, req.user.id]
+        );
+        
+        if (deliveries.length === 0) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        
+        const [attempts] = await pool.query(
+            'SELECT attempt, manual, status_code, error, duration_ms, created_at FROM webhook_delivery_attempts WHERE delivery_id = ? ORDER BY id',
+            [req.params.deliveryId]
+        );
+        
+        res.json({ success: true, delivery: deliveries[0], attempts });
+    } catch (error) {
+        console.error('Webhook delivery error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 37. REPLAY WEBHOOK DELIVERY
+app.post('/api/webhooks/deliveries/:deliveryId/replay', authenticateToken, async (req, res) => {
+    try {
+        const [deliveries] = await pool.query(
+            'SELECT delivery_id FROM webhook_deliveries WHERE delivery_id = ? AND user_id = ?',
+            [req.params.deliveryId, req.user.id]
+        );
+        
+        if (deliveries.length === 0) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        
+        const result = await attemptWebhookDelivery(req.params.deliveryId, { manual: true });
+        
+        if (!result) {
+            return res.status(409).json({ error: 'Webhook endpoint is disabled' });
+        }
+        
+        res.json({
+            success: result.ok,
+            message: result.ok ? 'Webhook delivered' : 'Webhook delivery failed',
+            attempt: result.attempt,
+            status_code: result.statusCode,
+            error: result.error
+        });
+    } catch (error) {
+        console.error('Webhook replay error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== RESELLER API (v1) ==========
+
+// 38. V1: LIST BUNDLES
+app.get('/api/v1/bundles', authenticateApiKey, async (req, res) => {
+    try {
+        const [products] = await pool.query(
+            'SELECT id, network, bundle_size, price, validity_days FROM data_bundle_products WHERE status = "active" ORDER BY network, price'
+        );
+        
+        const level = await getUserLevel(req.user.id);
+        const promotions = await getRunningPromotions();
+        
+        res.json({
+            success: true,
+            level: level.level,
+            bundles: products.map(({ id, ...product }) => {
+                const pricing = promoPricing({ id, ...product }, promotions);
+                return {
+                    ...product,
+                    price: applyLevelDiscount(pricing.price, level.discount_percent),
+                    base_price: product.price,
+                    promo_price: pricing.promo_price,
+                    promotion_ends_at: pricing.promotion ? pricing.promotion.ends_at : null
+                };
+            })
+        });
+    } catch (error) {
+        console.error('V1 bundles error:', error);
+        res.status(500).json({ error: 'Failed to fetch bundles' });
+    }
+});
+
+// 39. V1: PLACE ORDER
+app.post('/api/v1/orders', authenticateApiKey, async (req, res) => {
+    try {
+        const result = await purchaseDataBundle(req.user.id, req.body);
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ error: result.error, detected_network: result.detectedNetwork });
+        }
+        
+        res.status(201).json({
+            success: true,
+            order: {
+                order_id: result.orderId,
+                amount: result.price,
+                status: 'processing',
+                network: req.body.network,
+                bundle_size: req.body.bundle_size,
+                beneficiary_number: result.beneficiary
+            },
+            warning: result.warning || undefined
+        });
+    } catch (error) {
+        console.error('V1 order error:', error);
+        res.status(500).json({ error: 'Data purchase failed' });
+    }
+});
+
+// 40. V1: ORDER STATUS
+app.get('/api/v1/orders/:orderId', authenticateApiKey, async (req, res) => {
+    try {
+        const [orders] = await pool.query(
+            `SELECT order_id, order_type, network, bundle_size, amount, beneficiary_number, status, created_at, delivered_at 
+             FROM orders WHERE order_id = ? AND user_id = ?`,
+            [req.params.orderId, req.user.id]
+        );
+        
+        if (orders.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        res.json({ success: true, order: orders[0] });
+    } catch (error) {
+        console.error('V1 order status error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 41. V1: WALLET BALANCE
+app.get('/api/v1/balance', authenticateApiKey, async (req, res) => {
+    try {
+        const [wallets] = await pool.query(
+            'SELECT balance FROM wallets WHERE user_id = ?',
+            [req.user.id]
+        );
+        
+        res.json({
+            success: true,
+            balance: wallets[0] ? wallets[0].balance : 0,
+            currency: 'GHS'
+        });
+    } catch (error) {
+        console.error('V1 balance error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== WALLET WITHDRAWALS ==========
+
+const WITHDRAWAL_MIN_AMOUNT = parseFloat(process.env.WITHDRAWAL_MIN_AMOUNT) || 10;
+
+// Paystack mobile money bank codes for Ghana
+const MOBILE_MONEY_BANK_CODES = { MTN: 'MTN', Telecel: 'VOD', AirtelTigo: 'ATL' };
+
+// Mark a withdrawal paid once Paystack confirms the transfer
+async function completeWithdrawal(reference, transferCode) {
+    const [result] = await pool.query(
+        'UPDATE withdrawals SET status = "completed", transfer_code = COALESCE(?, transfer_code), processed_at = NOW() WHERE paystack_reference = ? AND status = "approved"',
+        [transferCode || null, reference]
+    );
+    
+    if (result.affectedRows > 0) {
+        console.log(`✅ Withdrawal ${reference} completed`);
+    }
+}
+
+// Give the held amount back to the wallet when a withdrawal is rejected or its
+// transfer fails. Locks the withdrawal row and only releases from pending or
+// approved, so a repeated webhook cannot credit the wallet twice.
+async function releaseWithdrawalHold(reference, { status, reason, adminId }) {
+    const withdrawal = await withTransaction(pool, async connection => {
+        const [withdrawals] = await connection.query(
+            'SELECT * FROM withdrawals WHERE paystack_reference = ? FOR UPDATE',
+            [reference]
+        );
+        
+        if (withdrawals.length === 0 || !['pending', 'approved'].includes(withdrawals[0].status)) {
+            return null;
+        }
+        
+        const withdrawal = withdrawals[0];
+        
+        await lockWallet(connection, withdrawal.user_id);
+        await creditWallet(connection, withdrawal.user_id, withdrawal.amount, {
+            transactionId: `${reference}-REFUND`,
+            contraAccount: 'system:withdrawals',
+            description: `Withdrawal ${status}: ${reason}`
+        });
+        
+        await connection.query(
+            'INSERT INTO wallet_transactions (user_id, transaction_id, reference, type, amount, description, status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [
+                withdrawal.user_id,
+                `${reference}-REFUND`,
+                reference,
+                'refund',
+                withdrawal.amount,
+                `Withdrawal ${status}: ${reason}`,
+                'completed'
+            ]
+        );
+        
+        await connection.query(
+            'UPDATE withdrawals SET status = ?, admin_notes = ?, processed_at = NOW() WHERE id = ?',
+            [status, reason, withdrawal.id]
+        );
+        
+        return withdrawal;
+    });
+    
+    if (!withdrawal) {
+        return false;
+    }
+    
+    console.log(`↩️ Withdrawal ${reference} ${status}, GHS ${withdrawal.amount} returned${adminId ? ` by admin #${adminId}` : ''}`);
+    return true;
+}
+
+const PAYSTACK_TRANSFER_FAILED_STATUSES = ['failed', 'reversed', 'rejected', 'abandoned', 'blocked'];
+
+// Send the Paystack transfer for an approved withdrawal. The hold is only
+// released when Paystack answers with a 4xx, i.e. it refused the transfer.
+// A timeout, connection error or 5xx may come after Paystack created the
+// transfer, so the withdrawal stays 'approved' and is settled later by the
+// transfer webhook or verifyWithdrawalTransfer().
+// Returns { status: 'paid' | 'queued' | 'failed' | 'unknown', reason, transfer }.
+async function sendWithdrawalTransfer(withdrawal, adminId) {
+    let transfer;
+    try {
+        const response = await axios.post(
+            `${PAYSTACK_BASE_URL}/transfer`,
+            {
+                source: 'balance',
+                amount: Math.round(withdrawal.amount * 100),
+                recipient: withdrawal.recipient_code,
+                reference: withdrawal.paystack_reference,
+                reason: `BuyBuzz withdrawal #${withdrawal.id}`
+            },
+            {
+                timeout: PAYSTACK_TIMEOUT_MS,
+                headers: {
+                    Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+        transfer = response.data.data;
+    } catch (error) {
+        const reason = error.response?.data?.message || error.message;
+        console.error('Paystack transfer error:', error.response?.data || error.message);
+        
+        const status = error.response?.status;
+        // A duplicate reference means an earlier attempt did create the transfer
+        const refused = status >= 400 && status < 500 && !/duplicate/i.test(reason);
+        
+        if (refused) {
+            await releaseWithdrawalHold(withdrawal.paystack_reference, {
+                status: 'failed',
+                reason: `Transfer could not be started: ${reason}`,
+                adminId
+            });
+            return { status: 'failed', reason };
+        }
+        
+        await pool.query(
+            'UPDATE withdrawals SET admin_notes = CONCAT_WS("\n", admin_notes, ?) WHERE id = ?',
+            [`[${new Date().toISOString()}] Transfer outcome unknown: ${reason}`, withdrawal.id]
+        );
+        return { status: 'unknown', reason };
+    }
+    
+    await pool.query(
+        'UPDATE withdrawals SET transfer_code = ? WHERE id = ?',
+        [transfer.transfer_code, withdrawal.id]
+    );
+    
+    if (transfer.status === 'success') {
+        await completeWithdrawal(withdrawal.paystack_reference, transfer.transfer_code);
+        return { status: 'paid', transfer };
+    }
+    
+    return { status: 'queued', transfer };
+}
+
+// Ask Paystack what became of an approved withdrawal's transfer and settle it.
+// If Paystack has no transfer with our reference the first send never reached
+// it, so it is sent again; the reference is unique at Paystack, so this can
+// never pay out twice.
+async function verifyWithdrawalTransfer(withdrawal, adminId) {
+    let transfer;
+    try {
+        const response = await axios.get(
+            `${PAYSTACK_BASE_URL}/transfer/verify/${encodeURIComponent(withdrawal.paystack_reference)}`,
+            { headers: { Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}` }, timeout: PAYSTACK_TIMEOUT_MS }
+        );
+        transfer = response.data.data;
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return sendWithdrawalTransfer(withdrawal, adminId);
+        }
+        
+        console.error('Paystack transfer verify error:', error.response?.data || error.message);
+        return { status: 'unknown', reason: error.response?.data?.message || error.message };
+    }
+    
+    if (transfer.status === 'success') {
+        await completeWithdrawal(withdrawal.paystack_reference, transfer.transfer_code);
+        return { status: 'paid', transfer };
+    }
+    
+    if (PAYSTACK_TRANSFER_FAILED_STATUSES.includes(transfer.status)) {
+        await releaseWithdrawalHold(withdrawal.paystack_reference, {
+            status: 'failed',
+            reason: `Paystack transfer ${transfer.status}${transfer.reason ? ': ' + transfer.reason : ''}`,
+            adminId
+        });
+        return { status: 'failed', reason: `Paystack transfer ${transfer.status}`, transfer };
+    }
+    
+    return { status: 'queued', transfer };
+}
+
+// Response for the admin approve/verify endpoints
+function withdrawalTransferResponse(res, result) {
+    const transfer = result.transfer
+        ? { reference: result.transfer.reference, transfer_code: result.transfer.transfer_code, status: result.transfer.status }
+        : undefined;
+    
+    if (result.status === 'failed') {
+        return res.status(502).json({ error: 'Paystack transfer failed, funds returned to wallet', reason: result.reason, transfer });
+    }
+    
+    if (result.status === 'unknown') {
+        return res.status(202).json({
+            success: true,
+            message: 'Transfer outcome unknown; the withdrawal stays approved until Paystack confirms it. Check again with POST /api/admin/withdrawals/:id/verify',
+            reason: result.reason
+        });
+    }
+    
+    res.json({
+        success: true,
+        message: result.status === 'paid' ? 'Withdrawal paid' : 'Transfer queued, awaiting Paystack confirmation',
+        transfer
+    });
+}
+
+// 42. SET WITHDRAWAL RECIPIENT (Mobile Money)
+app.put('/api/withdrawals/recipient', authenticateToken, async (req, res) => {
+    try {
+        const { account_name, account_number, provider } = req.body;
+        const mobileNumber = String(account_number || '').replace(/\s/g, '');
+        
+        if (!account_name || !/^0\d{9}$/.test(mobileNumber)) {
+            return res.status(400).json({ error: 'Account name and a 10-digit mobile money number are required' });
+        }
+        
+        if (!MOBILE_MONEY_BANK_CODES[provider]) {
+            return res.status(400).json({ error: 'Provider must be MTN, Telecel or AirtelTigo' });
+        }
+        
+        const response = await axios.post(
+            `${PAYSTACK_BASE_URL}/transferrecipient`,
+            {
+                type: 'mobile_money',
+                name: account_name,
+                account_number: mobileNumber,
+                bank_code: MOBILE_MONEY_BANK_CODES[provider],
+                currency: 'GHS'
+            },
+            {
+                timeout: PAYSTACK_TIMEOUT_MS,
+                headers: {
+                    Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+        
+        const recipientCode = response.data.data.recipient_code;
+        
+        await pool.query(
+            `INSERT INTO withdrawal_recipients (user_id, recipient_code, account_name, account_number, provider) VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE recipient_code = VALUES(recipient_code), account_name = VALUES(account_name),
+                                     account_number = VALUES(account_number), provider = VALUES(provider)`,
+            [req.user.id, recipientCode, account_name, mobileNumber, provider]
+        );
+        
+        res.json({
+            success: true,
+            message: 'Withdrawal account saved',
+            recipient: { account_name, account_number: mobileNumber, provider }
+        });
+    } catch (error) {
+        console.error('Withdrawal recipient error:', error.response?.data || error.message);
+        
+        if (error.response && error.response.status === 400) {
+            return res.status(400).json({ error: error.response.data.message || 'Invalid mobile money details' });
+        }
+        res.status(500).json({ error: 'Could not save withdrawal account' });
+    }
+});
+
+// 43. REQUEST WITHDRAWAL
+app.post('/api/withdrawals', authenticateToken, async (req, res) => {
+    try {
+        const amount = parseFloat(req.body.amount);
+        
+        if (!amount || amount < WITHDRAWAL_MIN_AMOUNT) {
+            return res.status(400).json({ error: `Minimum withdrawal is GHS ${WITHDRAWAL_MIN_AMOUNT}` });
+        }
+        
+        const [recipients] = await pool.query(
+            'SELECT * FROM withdrawal_recipients WHERE user_id = ?',
+            [req.user.id]
+        );
+        
+        if (recipients.length === 0) {
+            return res.status(400).json({ error: 'Set up a mobile money withdrawal account first' });
+        }
+        
+        const reference = `WDR-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        
+        const withdrawalId = await withTransaction(pool, async connection => {
+            await lockWallet(connection, req.user.id);
+            
+            // The amount leaves the wallet now and is returned if the withdrawal
+            // is rejected or the transfer fails (throws InsufficientBalanceError)
+            await debitWallet(connection, req.user.id, amount, {
+                transactionId: reference,
+                contraAccount: 'system:withdrawals',
+                description: `Withdrawal to ${recipients[0].provider} ${recipients[0].account_number}`
+            });
+            
+            await connection.query(
+                'INSERT INTO wallet_transactions (user_id, transaction_id, reference, type, amount, description, status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [
+                    req.user.id,
+                    reference,
+                    reference,
+                    'debit',
+                    amount,
+                    `Withdrawal to ${recipients[0].provider} ${recipients[0].account_number}`,
+                    'completed'
+                ]
+            );
+            
+            const [result] = await connection.query(
+                'INSERT INTO withdrawals (user_id, amount, paystack_reference, recipient_code) VALUES (?, ?, ?, ?)',
+                [req.user.id, amount, reference, recipients[0].recipient_code]
+            );
+            
+            return result.insertId;
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Withdrawal requested and awaiting approval',
+            withdrawal: { id: withdrawalId, amount, reference, status: 'pending' }
+        });
+    } catch (error) {
+        if (error instanceof InsufficientBalanceError) {
+            return res.status(400).json({ error: 'Insufficient balance' });
+        }
+        console.error('Withdrawal request error:', error);
+        res.status(500).json({ error: 'Withdrawal request failed' });
+    }
+});
+
+// 44. GET USER WITHDRAWALS
+app.get('/api/withdrawals', authenticateToken, async (req, res) => {
+    try {
+        const [withdrawals] = await pool.query(
+            'SELECT id, amount, status, paystack_reference as reference, admin_notes, processed_at, created_at FROM withdrawals WHERE user_id = ? ORDER BY created_at DESC LIMIT 50',
+            [req.user.id]
+        );
+        
+        const [recipients] = await pool.query(
+            'SELECT account_name, account_number, provider FROM withdrawal_recipients WHERE user_id = ?',
+            [req.user.id]
+        );
+        
+        res.json({ success: true, recipient: recipients[0] || null, withdrawals });
+    } catch (error) {
+        console.error('Withdrawals error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 45. WITHDRAWAL QUEUE (Admin)
+app.get('/api/admin/withdrawals', authenticateToken, authorize('withdrawals:manage'), async (req, res) => {
+    try {
+        const { status = 'pending', limit = 50, offset = 0 } = req.query;
+        
+        const [withdrawals] = await pool.query(`
+            SELECT w.*, u.full_name, u.email, r.account_name, r.account_number, r.provider
+            FROM withdrawals w
+            JOIN users u ON u.id = w.user_id
+            LEFT JOIN withdrawal_recipients r ON r.user_id = w.user_id
+            WHERE w.status = ?
+            ORDER BY w.created_at ASC LIMIT ? OFFSET ?
+        `, [status, parseInt(limit), parseInt(offset)]);
+        
+        res.json({ success: true, withdrawals });
+    } catch (error) {
+        console.error('Admin withdrawals error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 46. APPROVE WITHDRAWAL (Admin)
+app.post('/api/admin/withdrawals/:id/approve', authenticateToken, authorize('withdrawals:manage'), async (req, res) => {
+    try {
+        // Claim the withdrawal first so two admins cannot both send the transfer
+        const [claim] = await pool.query(
+            'UPDATE withdrawals SET status = "approved", admin_notes = ? WHERE id = ? AND status = "pending"',
+            [req.body.notes || null, req.params.id]
+        );
+        
+        if (claim.affectedRows === 0) {
+            return res.status(409).json({ error: 'Withdrawal not found or already processed' });
+        }
+        
+        const [withdrawals] = await pool.query('SELECT * FROM withdrawals WHERE id = ?', [req.params.id]);
+        
+        withdrawalTransferResponse(res, await sendWithdrawalTransfer(withdrawals[0], req.user.id));
+    } catch (error) {
+        console.error('Approve withdrawal error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 47. REJECT WITHDRAWAL (Admin)
+app.post('/api/admin/withdrawals/:id/reject', authenticateToken, authorize('withdrawals:manage'), async (req, res) => {
+    try {
+        if (!req.body.notes) {
+            return res.status(400).json({ error: 'Notes are required when rejecting a withdrawal' });
+        }
+        
+        const [withdrawals] = await pool.query(
+            'SELECT paystack_reference FROM withdrawals WHERE id = ? AND status = "pending"',
+            [req.params.id]
+        );
+        
+        if (withdrawals.length === 0) {
+            return res.status(409).json({ error: 'Withdrawal not found or already processed' });
+        }
+        
+        const released = await releaseWithdrawalHold(withdrawals[0].paystack_reference, {
+            status: 'rejected',
+            reason: req.body.notes,
+            adminId: req.user.id
+        });
+        
+        if (!released) {
+            return res.status(409).json({ error: 'Withdrawal already processed' });
+        }
+        
+        res.json({ success: true, message: 'Withdrawal rejected and funds returned to wallet' });
+    } catch (error) {
+        console.error('Reject withdrawal error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 105. VERIFY WITHDRAWAL TRANSFER (Admin)
+// Settles an approved withdrawal whose transfer outcome was not known at approval
+app.post('/api/admin/withdrawals/:id/verify', authenticateToken, authorize('withdrawals:manage'), async (req, res) => {
+    try {
+        const [withdrawals] = await pool.query('SELECT * FROM withdrawals WHERE id = ?', [req.params.id]);
+        
+        if (withdrawals.length === 0) {
+            return res.status(404).json({ error: 'Withdrawal not found' });
+        }
+        
+        if (withdrawals[0].status !== 'approved') {
+            return res.status(409).json({ error: `Withdrawal is ${withdrawals[0].status}` });
+        }
+        
+        withdrawalTransferResponse(res, await verifyWithdrawalTransfer(withdrawals[0], req.user.id));
+    } catch (error) {
+        console.error('Verify withdrawal error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== PAYSTACK WEBHOOK LOGS (Admin) ==========
+
+// 48. LIST PAYSTACK WEBHOOK EVENTS (Admin)
+app.get('/api/admin/webhooks/paystack', authenticateToken, authorize('payments:manage'), async (req, res) => {
+    try {
+        const { event_type, status, reference, limit = 50, offset = 0 } = req.query;
+        
+        let query = 'SELECT id, event_type, reference, status, error, attempts, duplicate_count, processed_at, created_at FROM paystack_webhook_logs WHERE 1 = 1';
+        const params = [];
+        
+        if (event_type) {
+            query += ' AND event_type = ?';
+            params.push(event_type);
+        }
+        
+        if (status) {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+        
+        if (reference) {
+            query += ' AND reference = ?';
+            params.push(reference);
+        }
+        
+        query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+        params.push(parseInt(limit), parseInt(offset));
+        
+        const [events] = await pool.query(query, params);
+        
+        res.json({ success: true, events });
+    } catch (error) {
+        console.error('Paystack webhook logs error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 49. RE-PROCESS PAYSTACK WEBHOOK EVENT (Admin)
+app.post('/api/admin/webhooks/paystack/:id/reprocess', authenticateToken, authorize('payments:manage'), async (req, res) => {
+    try {
+        const [logs] = await pool.query('SELECT * FROM paystack_webhook_logs WHERE id = ?', [req.params.id]);
+        
+        if (logs.length === 0) {
+            return res.status(404).json({ error: 'Webhook event not found' });
+        }
+        
+        // Only signed events may move money
+        if (logs[0].status === 'invalid_signature' || !logs[0].payload) {
+            return res.status(400).json({ error: 'Event failed signature verification and cannot be processed' });
+        }
+        
+        const outcome = await processPaystackWebhookLog(logs[0].id, logs[0].payload);
+        
+        res.json({ success: true, event_type: logs[0].event_type, outcome });
+    } catch (error) {
+        console.error('Reprocess webhook error:', error);
+        res.status(500).json({ error: 'Re-processing failed', reason: error.message });
+    }
+});
+
+// ========== WALLET LEDGER & RECONCILIATION ==========
+
+const RECONCILIATION_INTERVAL_MS = (parseFloat(process.env.RECONCILIATION_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+
+const toCents = value => Math.round(Number(value || 0) * 100);
+
+// Recompute every wallet two ways - from its ledger entries and from its
+// completed wallet transactions - and compare both against wallets.balance.
+// Also checks that each ledger entry picks up where the previous one left off
+// and that every transaction's ledger entries balance to zero.
+async function reconcileWallets({ triggeredBy = null } = {}) {
+    const [wallets] = await pool.query(`
+        SELECT w.user_id, u.email, w.balance,
+            (SELECT COALESCE(SUM(IF(t.type IN ('credit', 'transfer_in', 'refund'), t.amount, -t.amount)), 0)
+             FROM wallet_transactions t WHERE t.user_id = w.user_id AND t.status = 'completed') AS transaction_balance,
+            (SELECT COALESCE(SUM(IF(l.direction = 'credit', l.amount, -l.amount)), 0)
+             FROM wallet_ledger_entries l WHERE l.account = CONCAT('wallet:', w.user_id)) AS ledger_balance,
+            (SELECT l.balance_after FROM wallet_ledger_entries l
+             WHERE l.account = CONCAT('wallet:', w.user_id) ORDER BY l.id DESC LIMIT 1) AS last_balance_after
+        FROM wallets w
+        LEFT JOIN users u ON u.id = w.user_id
+    `);
+    
+    const [chainBreaks] = await pool.query(`
+        SELECT user_id, COUNT(*) AS breaks FROM (
+            SELECT user_id, balance_before, LAG(balance_after) OVER (PARTITION BY account ORDER BY id) AS previous_after
+            FROM wallet_ledger_entries WHERE account LIKE 'wallet:%'
+        ) chained
+        WHERE previous_after IS NOT NULL AND previous_after <> balance_before
+        GROUP BY user_id
+    `);
+    const breaksByUser = new Map(chainBreaks.map(row => [row.user_id, Number(row.breaks)]));
+    
+    const [unbalanced] = await pool.query(`
+        SELECT transaction_id, SUM(IF(direction = 'debit', amount, -amount)) AS imbalance
+        FROM wallet_ledger_entries
+        GROUP BY transaction_id
+        HAVING imbalance <> 0
+        LIMIT 100
+    `);
+    
+    const totals = { wallet: 0, ledger: 0, transactions: 0 };
+    const drifts = [];
+    
+    for (const wallet of wallets) {
+        const balance = toCents(wallet.balance);
+        const ledger = toCents(wallet.ledger_balance);
+        const transactions = toCents(wallet.transaction_balance);
+        const lastAfter = wallet.last_balance_after === null ? ledger : toCents(wallet.last_balance_after);
+        const breaks = breaksByUser.get(wallet.user_id) || 0;
+        
+        totals.wallet += balance;
+        totals.ledger += ledger;
+        totals.transactions += transactions;
+        
+        if (balance !== ledger || balance !== transactions || balance !== lastAfter || breaks > 0) {
+            drifts.push({
+                user_id: wallet.user_id,
+                email: wallet.email,
+                wallet_balance: balance / 100,
+                ledger_balance: ledger / 100,
+                transaction_balance: transactions / 100,
+                last_balance_after: lastAfter / 100,
+                ledger_drift: (balance - ledger) / 100,
+                transaction_drift: (balance - transactions) / 100,
+                chain_breaks: breaks
+            });
+        }
+    }
+    
+    const report = { drifts, unbalanced_transactions: unbalanced };
+    
+    const [run] = await pool.query(
+        `INSERT INTO wallet_reconciliation_runs 
+         (triggered_by, wallets_checked, drift_count, unbalanced_transactions, total_wallet_balance, total_ledger_balance, total_transaction_balance, report) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            triggeredBy,
+            wallets.length,
+            drifts.length,
+            unbalanced.length,
+            totals.wallet / 100,
+            totals.ledger / 100,
+            totals.transactions / 100,
+            JSON.stringify(report)
+        ]
+    );
+    
+    if (drifts.length > 0 || unbalanced.length > 0) {
+        console.warn(`⚠️ Wallet reconciliation #${run.insertId}: ${drifts.length} wallet(s) drifted, ${unbalanced.length} unbalanced transaction(s)`);
+    }
+    
+    return {
+        id: run.insertId,
+        wallets_checked: wallets.length,
+        drift_count: drifts.length,
+        unbalanced_transactions: unbalanced.length,
+        total_wallet_balance: totals.wallet / 100,
+        total_ledger_balance: totals.ledger / 100,
+        total_transaction_balance: totals.transactions / 100,
+        ...report
+    };
+}
+
+let reconciliationBusy = false;
+
+async function runScheduledReconciliation() {
+    if (reconciliationBusy) return;
+    reconciliationBusy = true;
+    
+    try {
+        await reconcileWallets();
+    } catch (error) {
+        console.error('Wallet reconciliation error:', error);
+    } finally {
+        reconciliationBusy = false;
+    }
+}
+
+// A restart resets setInterval, so with frequent deploys a plain interval may
+// never fire. The first run is timed from the last recorded run instead (and
+// happens straight away if that is already overdue).
+async function startReconciliationJob() {
+    let delay = 0;
+    
+    try {
+        const [runs] = await pool.query('SELECT MAX(created_at) as last_run FROM wallet_reconciliation_runs');
+        if (runs[0].last_run) {
+            delay = Math.max(0, new Date(runs[0].last_run).getTime() + RECONCILIATION_INTERVAL_MS - Date.now());
+        }
+    } catch (error) {
+        console.error('Reconciliation schedule error:', error);
+    }
+    
+    setTimeout(() => {
+        runScheduledReconciliation();
+        setInterval(runScheduledReconciliation, RECONCILIATION_INTERVAL_MS);
+    }, delay);
+}
+
+// 50. GET WALLET LEDGER
+app.get('/api/wallet/ledger', authenticateToken, async (req, res) => {
+    try {
+        const { limit = 50, offset = 0 } = req.query;
+        
+        const [entries] = await pool.query(
+            `SELECT id, transaction_id, direction, amount, balance_before, balance_after, description, created_at 
+             FROM wallet_ledger_entries WHERE account = ? ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [`wallet:${req.user.id}`, parseInt(limit), parseInt(offset)]
+        );
+        
+        res.json({ success: true, entries });
+    } catch (error) {
+        console.error('Wallet ledger error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 51. RUN WALLET RECONCILIATION (Admin)
+app.post('/api/admin/reconciliation/run', authenticateToken, authorize('finance:reconcile'), async (req, res) => {
+    try {
+        if (reconciliationBusy) {
+            return res.status(409).json({ error: 'A reconciliation is already running' });
+        }
+        
+        reconciliationBusy = true;
+        let result;
+        try {
+            result = await reconcileWallets({ triggeredBy: req.user.id });
+        } finally {
+            reconciliationBusy = false;
+        }
+        
+        res.json({ success: true, reconciliation: result });
+    } catch (error) {
+        console.error('Run reconciliation error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 52. LIST RECONCILIATION RUNS (Admin)
+app.get('/api/admin/reconciliation', authenticateToken, authorize('finance:reconcile'), async (req, res) => {
+    try {
+        const { limit = 20, offset = 0 } = req.query;
+        
+        const [runs] = await pool.query(
+            `SELECT id, triggered_by, wallets_checked, drift_count, unbalanced_transactions, 
+                    total_wallet_balance, total_ledger_balance, total_transaction_balance, created_at 
+             FROM wallet_reconciliation_runs ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [parseInt(limit), parseInt(offset)]
+        );
+        
+        res.json({ success: true, runs });
+    } catch (error) {
+        console.error('Reconciliation runs error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 53. GET RECONCILIATION REPORT (Admin)
+app.get('/api/admin/reconciliation/:id', authenticateToken, authorize('finance:reconcile'), async (req, res) => {
+    try {
+        const [runs] = await pool.query('SELECT * FROM wallet_reconciliation_runs WHERE id = ?', [req.params.id]);
+        
+        if (runs.length === 0) {
+            return res.status(404).json({ error: 'Reconciliation run not found' });
+        }
+        
+        res.json({ success: true, run: runs[0] });
+    } catch (error) {
+        console.error('Reconciliation report error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== WALLET LEVELS ==========
+
+const WALLET_LEVELS = ['Bronze', 'Silver', 'Gold', 'Platinum'];
+const WALLET_LEVEL_WINDOW_DAYS = parseInt(process.env.WALLET_LEVEL_WINDOW_DAYS) || 30;
+const WALLET_LEVEL_INTERVAL_MS = (parseFloat(process.env.WALLET_LEVEL_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Level rules ordered from Bronze up
+async function getLevelRules(db = pool) {
+    const [rules] = await db.query('SELECT level, min_volume, discount_percent FROM wallet_level_rules');
+    return rules.sort((a, b) => WALLET_LEVELS.indexOf(a.level) - WALLET_LEVELS.indexOf(b.level));
+}
+
+async function getLevelDiscount(level, db = pool) {
+    const [rules] = await db.query('SELECT discount_percent FROM wallet_level_rules WHERE level = ?', [level]);
+    return rules.length > 0 ? Number(rules[0].discount_percent) : 0;
+}
+
+async function getUserLevel(userId) {
+    const [wallets] = await pool.query('SELECT level FROM wallets WHERE user_id = ?', [userId]);
+    const level = wallets[0] ? wallets[0].level : 'Bronze';
+    return { level, discount_percent: await getLevelDiscount(level) };
+}
+
+// Discounted price rounded to the pesewa
+function applyLevelDiscount(price, discountPercent) {
+    return Math.round(Number(price) * (100 - Number(discountPercent || 0))) / 100;
+}
+
+// Rolling purchase volume: orders paid for in the window that were not
+// refunded or failed
+async function getPurchaseVolume(userId) {
+    const [volume] = await pool.query(
+        `SELECT COALESCE(SUM(amount), 0) as total FROM orders 
+         WHERE user_id = ? AND status IN ("processing", "completed") AND created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)`,
+        [userId, WALLET_LEVEL_WINDOW_DAYS]
+    );
+    return Number(volume[0].total);
+}
+
+// The highest level whose threshold the volume reaches
+function levelForVolume(rules, volume) {
+    let level = rules[0];
+    for (const rule of rules) {
+        if (volume >= Number(rule.min_volume)) level = rule;
+    }
+    return level;
+}
+
+// Move every wallet to the level its rolling purchase volume earns, up or
+// down, and record each change with the numbers behind it
+async function evaluateWalletLevels() {
+    const rules = await getLevelRules();
+    if (rules.length === 0) return { checked: 0, changes: [] };
+    
+    const [wallets] = await pool.query(
+        `SELECT w.user_id, w.level, COALESCE(SUM(o.amount), 0) as volume 
+         FROM wallets w 
+         LEFT JOIN orders o ON o.user_id = w.user_id AND o.status IN ("processing", "completed") 
+            AND o.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+         GROUP BY w.user_id, w.level`,
+        [WALLET_LEVEL_WINDOW_DAYS]
+    );
+    
+    const changes = [];
+    
+    for (const wallet of wallets) {
+        const volume = Number(wallet.volume);
+        const target = levelForVolume(rules, volume);
+        
+        if (target.level === wallet.level) continue;
+        
+        const promoted = WALLET_LEVELS.indexOf(target.level) > WALLET_LEVELS.indexOf(wallet.level);
+        const current = rules.find(rule => rule.level === wallet.level);
+        const reason = promoted
+            ? `${WALLET_LEVEL_WINDOW_DAYS}-day purchase volume GHS ${volume.toFixed(2)} reached the ${target.level} threshold of GHS ${Number(target.min_volume).toFixed(2)}`
+            : `${WALLET_LEVEL_WINDOW_DAYS}-day purchase volume GHS ${volume.toFixed(2)} fell below the ${wallet.level} threshold of GHS ${Number(current ? current.min_volume : 0).toFixed(2)}`;
+        
+        // Skip wallets whose level moved since they were read
+        const [updated] = await pool.query(
+            'UPDATE wallets SET level = ? WHERE user_id = ? AND level = ?',
+            [target.level, wallet.user_id, wallet.level]
+        );
+        
+        if (updated.affectedRows === 0) continue;
+        
+        await pool.query(
+            'INSERT INTO wallet_level_changes (user_id, from_level, to_level, purchase_volume, reason) VALUES (?, ?, ?, ?, ?)',
+            [wallet.user_id, wallet.level, target.level, volume, reason]
+        );
+        
+        changes.push({ user_id: wallet.user_id, from: wallet.level, to: target.level, volume, reason });
+    }
+    
+    if (changes.length > 0) {
+        console.log(`🏅 Wallet levels: ${changes.length} wallet(s) changed level`);
+    }
+    
+    return { checked: wallets.length, changes };
+}
+
+let walletLevelJobBusy = false;
+
+async function runWalletLevelJob() {
+    if (walletLevelJobBusy) return null;
+    walletLevelJobBusy = true;
+    
+    try {
+        return await evaluateWalletLevels();
+    } finally {
+        walletLevelJobBusy = false;
+    }
+}
+
+// Also runs once at startup: a restart resets setInterval, so with frequent
+// deploys the interval alone might never fire. Re-evaluating is harmless, as
+// wallets already on the right level are left alone.
+function startWalletLevelJob() {
+    const run = () => runWalletLevelJob().catch(error => console.error('Wallet level job error:', error));
+    
+    run();
+    setInterval(run, WALLET_LEVEL_INTERVAL_MS);
+}
+
+// 54. GET WALLET LEVEL PROGRESS
+app.get('/api/wallet/level', authenticateToken, async (req, res) => {
+    try {
+        const rules = await getLevelRules();
+        const { level, discount_percent } = await getUserLevel(req.user.id);
+        const volume = await getPurchaseVolume(req.user.id);
+        
+        const next = rules[rules.findIndex(rule => rule.level === level) + 1] || null;
+        
+        const [history] = await pool.query(
+            'SELECT from_level, to_level, purchase_volume, reason, created_at FROM wallet_level_changes WHERE user_id = ? ORDER BY created_at DESC LIMIT 20',
+            [req.user.id]
+        );
+        
+        res.json({
+            success: true,
+            level,
+            discount_percent,
+            window_days: WALLET_LEVEL_WINDOW_DAYS,
+            purchase_volume: volume,
+            next_level: next ? {
+                level: next.level,
+                min_volume: next.min_volume,
+                discount_percent: next.discount_percent,
+                remaining: Math.max(0, Math.round((Number(next.min_volume) - volume) * 100) / 100)
+            } : null,
+            levels: rules,
+            history
+        });
+    } catch (error) {
+        console.error('Wallet level error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 55. GET WALLET LEVEL RULES (Admin)
+app.get('/api/admin/wallet-levels', authenticateToken, authorize('catalog:manage'), async (req, res) => {
+    try {
+        const rules = await getLevelRules();
+        const [counts] = await pool.query('SELECT level, COUNT(*) as wallets FROM wallets GROUP BY level');
+        
+        res.json({
+            success: true,
+            window_days: WALLET_LEVEL_WINDOW_DAYS,
+            levels: rules.map(rule => ({
+                ...rule,
+                wallets: (counts.find(count => count.level === rule.level) || { wallets: 0 }).wallets
+            }))
+        });
+    } catch (error) {
+        console.error('Wallet level rules error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 56. UPDATE WALLET LEVEL RULE (Admin)
+app.put('/api/admin/wallet-levels/:level', authenticateToken, authorize('catalog:manage'), async (req, res) => {
+    try {
+        const { level } = req.params;
+        if (!WALLET_LEVELS.includes(level)) {
+            return res.status(404).json({ error: 'Unknown wallet level' });
+        }
+        
+        const rules = await getLevelRules();
+        const rule = rules.find(r => r.level === level);
+        
+        const minVolume = req.body.min_volume !== undefined ? Number(req.body.min_volume) : Number(rule.min_volume);
+        const discount = req.body.discount_percent !== undefined ? Number(req.body.discount_percent) : Number(rule.discount_percent);
+        
+        if (!Number.isFinite(minVolume) || minVolume < 0 || (level === 'Bronze' && minVolume !== 0)) {
+            return res.status(400).json({ error: 'min_volume must be 0 or more, and 0 for Bronze' });
+        }
+        
+        if (!Number.isFinite(discount) || discount < 0 || discount >= 100) {
+            return res.status(400).json({ error: 'discount_percent must be between 0 and 100' });
+        }
+        
+        // Thresholds must keep climbing from Bronze to Platinum
+        const index = rules.indexOf(rule);
+        const below = rules[index - 1];
+        const above = rules[index + 1];
+        if ((below && minVolume <= Number(below.min_volume)) || (above && minVolume >= Number(above.min_volume))) {
+            return res.status(400).json({ error: 'min_volume must sit between the neighbouring levels' });
+        }
+        
+        await pool.query(
+            'UPDATE wallet_level_rules SET min_volume = ?, discount_percent = ?, updated_by = ? WHERE level = ?',
+            [minVolume, discount, req.user.id, level]
+        );
+        
+        res.json({ success: true, level, min_volume: minVolume, discount_percent: discount });
+    } catch (error) {
+        console.error('Update wallet level error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 57. RE-EVALUATE WALLET LEVELS NOW (Admin)
+app.post('/api/admin/wallet-levels/evaluate', authenticateToken, authorize('catalog:manage'), async (req, res) => {
+    try {
+        const result = await runWalletLevelJob();
+        
+        if (!result) {
+            return res.status(409).json({ error: 'Wallet levels are already being evaluated' });
+        }
+        
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Evaluate wallet levels error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== AGENT STOREFRONTS ==========
+
+const STOREFRONT_RESERVED_SLUGS = ['admin', 'api', 'store', 'login', 'signup', 'wallet', 'dashboard', 'buybuzz'];
+const STOREFRONT_MAX_MARKUP_PERCENT = 100;
+const STOREFRONT_MAX_MARKUP_FIXED = 50;
+// Longest value each free-text profile field may hold
+const STOREFRONT_TEXT_LIMITS = {
+    business_name: 100,
+    business_email: 100,
+    business_location: 255,
+    business_description: 1000
+};
+
+const isStorefrontReference = reference => typeof reference === 'string' && reference.startsWith('STORE-');
+
+const storefrontUrl = slug => `${process.env.FRONTEND_URL || 'http://localhost:8080'}/store/${slug}`;
+
+// Price a guest pays on an agent's storefront, rounded to the pesewa
+function storefrontPrice(basePrice, profile) {
+    const base = Number(basePrice);
+    const markup = Number(profile.markup_value || 0);
+    
+    return profile.markup_type === 'fixed'
+        ? Math.round((base + markup) * 100) / 100
+        : Math.round(base * (100 + markup)) / 100;
+}
+
+// What a guest pays for a bundle on an agent's storefront: the catalog price
+// after promotions, plus the agent's markup. The store page, guest checkout
+// and flyers all price through here so they always show the same amount.
+function storefrontPricing(product, profile, promotions) {
+    const pricing = promoPricing(product, promotions);
+    
+    return {
+        basePrice: Number(pricing.price),
+        price: storefrontPrice(pricing.price, profile),
+        regularPrice: pricing.promotion ? storefrontPrice(product.price, profile) : null,
+        promotion: pricing.promotion
+    };
+}
+
+async function getStorefront(slug) {
+    const [profiles] = await pool.query(
+        'SELECT * FROM user_business_profiles WHERE slug = ? AND storefront_enabled = TRUE',
+        [String(slug).toLowerCase()]
+    );
+    return profiles[0] || null;
+}
+
+// Paystack confirmed a guest's payment: move the order on to the vendor.
+// The sale row is locked so a webhook and a status check cannot both settle it.
+async function settleStorefrontSale(reference, paystackData) {
+    const result = await withTransaction(pool, async connection => {
+        const [sales] = await connection.query(
+            'SELECT * FROM storefront_sales WHERE paystack_reference = ? FOR UPDATE',
+            [reference]
+        );
+        
+        if (sales.length === 0) {
+            return { status: 'not_found', message: 'No storefront sale for this reference' };
+        }
+        
+        const sale = sales[0];
+        
+        // An expired or cancelled sale can still be paid from an open Paystack
+        // page; the order is closed by then, so that payment is refunded below
+        if (!['pending_payment', 'expired', 'cancelled'].includes(sale.status)) {
+            return { status: 'already_settled', message: `Sale is ${sale.status}`, orderId: sale.order_id };
+        }
+        
+        const paidAmount = paystackData.amount / 100;
+        const currency = paystackData.currency || 'GHS';
+        
+        if (Math.round(paidAmount * 100) !== Math.round(Number(sale.sale_price) * 100) || currency !== 'GHS') {
+            console.warn(`⚠️ Storefront sale ${reference} paid ${currency} ${paidAmount}, expected GHS ${sale.sale_price}`);
+            return { status: 'amount_mismatch', message: `Paid ${currency} ${paidAmount} but GHS ${sale.sale_price} was initialised` };
+        }
+        
+        const [order] = await connection.query(
+            'UPDATE orders SET status = "processing" WHERE order_id = ? AND status = "pending_payment"',
+            [sale.order_id]
+        );
+        
+        // The order was closed before the money arrived, so hand it back
+        if (order.affectedRows === 0) {
+            await connection.query(
+                'UPDATE storefront_sales SET status = "refund_pending", paid_at = NOW() WHERE id = ?',
+                [sale.id]
+            );
+            return { status: 'order_closed', message: 'Order was closed before payment; refunding customer', orderId: sale.order_id };
+        }
+        
+        await connection.query(
+            'UPDATE storefront_sales SET status = "paid", paid_at = NOW() WHERE id = ?',
+            [sale.id]
+        );
+        await recordOrderEvent(sale.order_id, {
+            action: 'paid',
+            fromStatus: 'pending_payment',
+            toStatus: 'processing',
+            note: `Paystack ${reference}`
+        }, connection);
+        
+        return { status: 'settled', message: 'Payment confirmed, bundle on its way', orderId: sale.order_id };
+    });
+    
+    if (result.status === 'settled') {
+        notifyOrderStatus(result.orderId, 'processing');
+        dispatchOrder(result.orderId);
+    } else if (result.status === 'order_closed') {
+        await requestPaystackRefund('storefront_sales', reference);
+    }
+    
+    return result;
+}
+
+async function handleStorefrontCharge(data) {
+    const result = await settleStorefrontSale(data.reference, data);
+    
+    if (result.status === 'settled' || result.status === 'order_closed') {
+        return { status: 'processed', note: result.message };
+    }
+    
+    if (result.status === 'amount_mismatch') {
+        return { status: 'flagged', note: result.message };
+    }
+    
+    return { status: 'ignored', note: result.message };
+}
+
+// Credit the agent's wallet with their markup once a storefront order is
+// delivered. Only a 'paid' sale is credited and it moves to 'completed' in the
+// same transaction, so the margin is paid at most once.
+async function creditStorefrontMargin(orderId) {
+    try {
+        await withTransaction(pool, async connection => {
+            const [sales] = await connection.query(
+                'SELECT * FROM storefront_sales WHERE order_id = ? AND status = "paid" FOR UPDATE',
+                [orderId]
+            );
+            
+            if (sales.length === 0) return;
+            
+            const sale = sales[0];
+            const transactionId = `MARGIN-${orderId}`;
+            
+            if (Number(sale.margin) > 0) {
+                await lockWallet(connection, sale.agent_id);
+                await creditWallet(connection, sale.agent_id, sale.margin, {
+                    transactionId,
+                    contraAccount: 'system:storefront_sales',
+                    description: `Storefront margin on order #${orderId}`
+                });
+                
+                await connection.query(
+                    'INSERT INTO wallet_transactions (user_id, transaction_id, reference, type, amount, description, status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                    [sale.agent_id, transactionId, orderId, 'credit', sale.margin, `Storefront margin on order #${orderId}`, 'completed']
+                );
+            }
+            
+            await connection.query(
+                'UPDATE storefront_sales SET status = "completed", completed_at = NOW() WHERE id = ?',
+                [sale.id]
+            );
+        });
+    } catch (error) {
+        console.error('Storefront margin error:', error);
+    }
+}
+
+// 58. GET MY STOREFRONT
+app.get('/api/storefront', authenticateToken, async (req, res) => {
+    try {
+        const [profiles] = await pool.query(
+            'SELECT * FROM user_business_profiles WHERE user_id = ?',
+            [req.user.id]
+        );
+        
+        const [stats] = await pool.query(
+            `SELECT COUNT(*) as sales, COALESCE(SUM(sale_price), 0) as revenue, COALESCE(SUM(margin), 0) as margin_earned 
+             FROM storefront_sales WHERE agent_id = ? AND status = "completed"`,
+            [req.user.id]
+        );
+        
+        const profile = profiles[0] || null;
+        
+        res.json({
+            success: true,
+            profile,
+            url: profile && profile.slug ? storefrontUrl(profile.slug) : null,
+            stats: stats[0]
+        });
+    } catch (error) {
+        console.error('Storefront error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 59. SET UP STOREFRONT / BUSINESS PROFILE
+app.put('/api/storefront', authenticateToken, async (req, res) => {
+    try {
+        const [profiles] = await pool.query('SELECT * FROM user_business_profiles WHERE user_id = ?', [req.user.id]);
+        const current = profiles[0] || {};
+        
+        // Only the fields sent are changed
+        const profile = {
+            business_name: current.business_name || null,
+            business_email: current.business_email || null,
+            business_phone: current.business_phone || null,
+            whatsapp_number: current.whatsapp_number || null,
+            business_location: current.business_location || null,
+            business_description: current.business_description || null,
+            theme_color: current.theme_color || '#7f5af0',
+            slug: current.slug || null,
+            markup_type: current.markup_type || 'percent',
+            markup_value: current.markup_value !== undefined ? Number(current.markup_value) : 0,
+            storefront_enabled: Boolean(current.storefront_enabled)
+        };
+        
+        for (const field of Object.keys(profile)) {
+            if (req.body[field] !== undefined) profile[field] = req.body[field];
+        }
+        
+        for (const [field, maxLength] of Object.entries(STOREFRONT_TEXT_LIMITS)) {
+            const value = profile[field];
+            if (value !== null && (typeof value !== 'string' || value.trim().length > maxLength)) {
+                return res.status(400).json({ error: `${field} must be text of at most ${maxLength} characters` });
+            }
+            profile[field] = value ? value.trim() || null : null;
+        }
+        
+        if (profile.business_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(profile.business_email)) {
+            return res.status(400).json({ error: 'business_email must be a valid email address' });
+        }
+        
+        // Contact numbers are stored in E.164 like beneficiary numbers
+        for (const field of ['business_phone', 'whatsapp_number']) {
+            if (profile[field] === null || profile[field] === '') {
+                profile[field] = null;
+                continue;
+            }
+            const phone = normalizeGhanaPhone(profile[field]);
+            if (!phone) {
+                return res.status(400).json({ error: `${field} must be a valid Ghana mobile number` });
+            }
+            profile[field] = phone.e164;
+        }
+        
+        if (typeof profile.slug !== 'string' && profile.slug !== null) {
+            return res.status(400).json({ error: 'Slug must be 3-40 lowercase letters, numbers or dashes and not a reserved word' });
+        }
+        
+        profile.slug = profile.slug ? profile.slug.trim().toLowerCase() : null;
+        profile.markup_value = Number(profile.markup_value);
+        profile.storefront_enabled = Boolean(profile.storefront_enabled);
+        
+        if (profile.slug && (!/^[a-z0-9][a-z0-9-]{1,38}[a-z0-9]$/.test(profile.slug) || STOREFRONT_RESERVED_SLUGS.includes(profile.slug))) {
+            return res.status(400).json({ error: 'Slug must be 3-40 lowercase letters, numbers or dashes and not a reserved word' });
+        }
+        
+        if (typeof profile.theme_color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(profile.theme_color)) {
+            return res.status(400).json({ error: 'Theme color must be a hex color like #7f5af0' });
+        }
+        
+        if (!['percent', 'fixed'].includes(profile.markup_type)) {
+            return res.status(400).json({ error: 'Markup type must be percent or fixed' });
+        }
+        
+        const maxMarkup = profile.markup_type === 'percent' ? STOREFRONT_MAX_MARKUP_PERCENT : STOREFRONT_MAX_MARKUP_FIXED;
+        if (!Number.isFinite(profile.markup_value) || profile.markup_value < 0 || profile.markup_value > maxMarkup) {
+            return res.status(400).json({ error: `Markup must be between 0 and ${maxMarkup}` });
+        }
+        
+        if (profile.storefront_enabled && (!profile.slug || !profile.business_name)) {
+            return res.status(400).json({ error: 'A business name and slug are required to open a storefront' });
+        }
+        
+        if (profile.slug) {
+            const [taken] = await pool.query(
+                'SELECT user_id FROM user_business_profiles WHERE slug = ? AND user_id <> ?',
+                [profile.slug, req.user.id]
+            );
+            if (taken.length > 0) {
+                return res.status(409).json({ error: 'That storefront link is already taken' });
+            }
+        }
+        
+        const columns = Object.keys(profile);
+        await pool.query(
+            `INSERT INTO user_business_profiles (user_id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')}) 
+             ON DUPLICATE KEY UPDATE ${columns.map(column => `${column} = VALUES(${column})`).join(', ')}`,
+            [req.user.id, ...columns.map(column => profile[column])]
+        );
+        
+        res.json({
+            success: true,
+            message: 'Storefront saved',
+            profile,
+            url: profile.slug ? storefrontUrl(profile.slug) : null
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'That storefront link is already taken' });
+        }
+        console.error('Save storefront error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 60. GET STOREFRONT SALES
+app.get('/api/storefront/sales', authenticateToken, async (req, res) => {
+    try {
+        const { status, limit = 50, offset = 0 } = req.query;
+        
+        let query = `SELECT s.order_id, s.customer_email, s.base_price, s.sale_price, s.margin, s.status, s.paid_at, s.completed_at, s.created_at, 
+                            o.network, o.bundle_size, o.beneficiary_number, o.status as order_status 
+                     FROM storefront_sales s JOIN orders o ON o.order_id = s.order_id WHERE s.agent_id = ?`;
+        const params = [req.user.id];
+        
+        if (status) {
+            query += ' AND s.status = ?';
+            params.push(status);
+        }
+        
+        query += ' ORDER BY s.created_at DESC LIMIT ? OFFSET ?';
+        params.push(parseInt(limit), parseInt(offset));
+        
+        const [sales] = await pool.query(query, params);
+        
+        res.json({ success: true, sales });
+    } catch (error) {
+        console.error('Storefront sales error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 61. PUBLIC STOREFRONT
+app.get('/api/store/:slug', async (req, res) => {
+    try {
+        const store = await getStorefront(req.params.slug);
+        
+        if (!store) {
+            return res.status(404).json({ error: 'Store not found' });
+        }
+        
+        const [products] = await pool.query(
+            'SELECT * FROM data_bundle_products WHERE status = "active" ORDER BY network, price'
+        );
+        const promotions = await getRunningPromotions();
+        
+        // Promotions lower the agent's cost; the markup goes on top
+        const bundles = {};
+        products.forEach(product => {
+            if (!bundles[product.network]) {
+                bundles[product.network] = [];
+            }
+            const pricing = storefrontPricing(product, store, promotions);
+            bundles[product.network].push({
+                size: product.bundle_size,
+                price: pricing.price,
+                regular_price: pricing.regularPrice,
+                validity: `${product.validity_days} days`
+            });
+        });
+        
+        res.json({
+            success: true,
+            store: {
+                slug: store.slug,
+                business_name: store.business_name,
+                description: store.business_description,
+                whatsapp_number: store.whatsapp_number,
+                location: store.business_location,
+                theme_color: store.theme_color
+            },
+            bundles
+        });
+    } catch (error) {
+        console.error('Public storefront error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 62. STOREFRONT GUEST CHECKOUT
+app.post('/api/store/:slug/checkout', async (req, res) => {
+    try {
+        const { network, bundle_size, beneficiary_number, email } = req.body;
+        
+        const store = await getStorefront(req.params.slug);
+        if (!store) {
+            return res.status(404).json({ error: 'Store not found' });
+        }
+        
+        if (!['MTN', 'Telecel', 'AirtelTigo'].includes(network)) {
+            return res.status(400).json({ error: 'Invalid network' });
+        }
+        
+        if (!bundle_size || !beneficiary_number) {
+            return res.status(400).json({ error: 'Bundle size and beneficiary number are required' });
+        }
+        
+        const beneficiary = checkBeneficiary(beneficiary_number, network, { allowPorted: isTruthyFlag(req.body.allow_ported) });
+        if (beneficiary.error) {
+            return res.status(400).json({ error: beneficiary.error, detected_network: beneficiary.detectedNetwork });
+        }
+        
+        if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({ error: 'A valid email is required for the payment receipt' });
+        }
+        
+        const [product] = await pool.query(
+            'SELECT * FROM data_bundle_products WHERE network = ? AND bundle_size = ? AND status = "active"',
+            [network, bundle_size]
+        );
+        
+        if (product.length === 0) {
+            return res.status(400).json({ error: 'Invalid bundle selection' });
+        }
+        
+        const pricing = storefrontPricing(product[0], store, await getRunningPromotions());
+        const basePrice = pricing.basePrice;
+        const salePrice = pricing.price;
+        const margin = Math.round((salePrice - basePrice) * 100) / 100;
+        
+        // The order belongs to the guest, not the agent (it must not count
+        // towards the agent's own purchases); storefront_sales links the two
+        const { orderId, reference } = await withTransaction(pool, async connection => {
+            const orderId = await nextOrderId(connection);
+            // Order ids are sequential; the random part keeps guests' order
+            // status (and beneficiary numbers) from being walked by number
+            const reference = `STORE-${orderId}-${crypto.randomBytes(4).toString('hex')}`;
+            
+            await connection.query(
+                `INSERT INTO orders (order_id, user_id, order_type, product_name, network, bundle_size, amount, product_id, list_price, promotion_id, beneficiary_number, payment_reference, status) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [orderId, null, 'data_bundle', `${network} ${bundle_size}`, network, bundle_size, salePrice, product[0].id, product[0].price, pricing.promotion ? pricing.promotion.id : null, beneficiary.number, reference, 'pending_payment']
+            );
+            await recordPortedWarning(orderId, beneficiary.warning, connection);
+            
+            await connection.query(
+                'INSERT INTO storefront_sales (order_id, agent_id, paystack_reference, customer_email, base_price, sale_price, margin) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [orderId, store.user_id, reference, email, basePrice, salePrice, margin]
+            );
+            
+            return { orderId, reference };
+        });
+        
+        let response;
+        try {
+            response = await axios.post(
+                `${PAYSTACK_BASE_URL}/transaction/initialize`,
+                {
+                    email,
+                    amount: Math.round(salePrice * 100),
+                    currency: 'GHS',
+                    reference,
+                    metadata: { order_id: orderId, storefront: store.slug },
+                    callback_url: `${storefrontUrl(store.slug)}/callback`
+                },
+                {
+                    timeout: PAYSTACK_TIMEOUT_MS,
+                    headers: {
+                        Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+        } catch (error) {
+            console.error('Storefront Paystack init error:', error.response?.data || error.message);
+            await pool.query('UPDATE orders SET status = "cancelled" WHERE order_id = ? AND status = "pending_payment"', [orderId]);
+            await pool.query('UPDATE storefront_sales SET status = "cancelled" WHERE order_id = ?', [orderId]);
+            return res.status(502).json({ error: 'Payment initialization failed' });
+        }
+        
+        res.json({
+            success: true,
+            order_id: orderId,
+            reference,
+            amount: salePrice,
+            authorization_url: response.data.data.authorization_url,
+            access_code: response.data.data.access_code
+        });
+    } catch (error) {
+        console.error('Storefront checkout error:', error);
+        res.status(500).json({ error: 'Checkout failed' });
+    }
+});
+
+// Public order status lookups may call Paystack, so each client gets a few a minute
+const guestOrderStatusLimit = rateLimit({ windowMs: 60 * 1000, max: 20 });
+
+// 63. STOREFRONT ORDER STATUS (Guest)
+app.get('/api/store/:slug/orders/:reference', guestOrderStatusLimit, async (req, res) => {
+    try {
+        const [sales] = await pool.query(
+            `SELECT s.*, p.slug FROM storefront_sales s 
+             JOIN user_business_profiles p ON p.user_id = s.agent_id 
+             WHERE s.paystack_reference = ? AND p.slug = ?`,
+            [req.params.reference, String(req.params.slug).toLowerCase()]
+        );
+        
+        if (sales.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        // The guest came back before the webhook did, so ask Paystack directly
+        if (sales[0].status === 'pending_payment' && claimPaystackReverify(req.params.reference)) {
+            try {
+                const response = await axios.get(
+                    `${PAYSTACK_BASE_URL}/transaction/verify/${encodeURIComponent(req.params.reference)}`,
+                    {
+                        timeout: PAYSTACK_TIMEOUT_MS,
+                        headers: { Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}` }
+                    }
+                );
+                
+                if (response.data.data.status === 'success') {
+                    await settleStorefrontSale(req.params.reference, response.data.data);
+                }
+            } catch (error) {
+                console.error('Storefront verify error:', error.response?.data || error.message);
+            }
+        }
+        
+        const [orders] = await pool.query(
+            'SELECT order_id, product_name, network, bundle_size, amount, beneficiary_number, status, created_at, delivered_at FROM orders WHERE order_id = ?',
+            [sales[0].order_id]
+        );
+        
+        res.json({ success: true, order: orders[0] });
+    } catch (error) {
+        console.error('Storefront order status error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== PROMOTIONAL FLYERS ==========
+
+const FLYER_FORMATS = ['png', 'svg'];
+
+// Build what the flyer shows from the agent's business profile and the active
+// bundle catalog, at the prices the agent's storefront charges right now
+// (running promotions included)
+async function buildFlyerSnapshot(userId, { template, networks }) {
+    const [profiles] = await pool.query('SELECT * FROM user_business_profiles WHERE user_id = ?', [userId]);
+    const profile = profiles[0];
+    
+    if (!profile || !profile.business_name) {
+        return { error: 'Add a business name to your profile before generating a flyer', statusCode: 400 };
+    }
+    
+    const [products] = await pool.query(
+        'SELECT id, network, bundle_size, price FROM data_bundle_products WHERE status = "active" ORDER BY network, price'
+    );
+    const promotions = await getRunningPromotions();
+    
+    const selected = {};
+    products.forEach(product => {
+        if (networks && !networks.includes(product.network)) return;
+        if (!selected[product.network]) {
+            selected[product.network] = [];
+        }
+        selected[product.network].push({ size: product.bundle_size, price: storefrontPricing(product, profile, promotions).price });
+    });
+    
+    if (Object.keys(selected).length === 0) {
+        return { error: 'No active bundles for the selected networks', statusCode: 400 };
+    }
+    
+    return {
+        snapshot: {
+            template,
+            business: {
+                name: profile.business_name,
+                whatsapp: profile.whatsapp_number || profile.business_phone || null,
+                color: profile.theme_color || '#7f5af0',
+                description: profile.business_description || null
+            },
+            networks: selected,
+            generated_at: new Date().toISOString()
+        }
+    };
+}
+
+// Charge the wallet for a flyer and keep its snapshot with the order
+async function purchaseFlyer(userId, product, snapshot) {
+    const result = await withTransaction(pool, async connection => {
+        const wallet = await lockWallet(connection, userId);
+        
+        if (!wallet || Number(wallet.balance) < Number(product.price)) {
+            return { error: 'Insufficient wallet balance', statusCode: 400 };
+        }
+        
+        const orderId = await nextOrderId(connection);
+        const transactionId = `FLYER-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const productName = `${product.name} (${flyerTemplates[snapshot.template].name})`;
+        
+        await debitWallet(connection, userId, product.price, {
+            transactionId,
+            contraAccount: 'system:sales',
+            description: productName
+        });
+        
+        await connection.query(
+            'INSERT INTO wallet_transactions (user_id, transaction_id, reference, type, amount, description, status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [userId, transactionId, orderId, 'debit', product.price, productName, 'completed']
+        );
+        
+        await connection.query(
+            `INSERT INTO orders (order_id, user_id, order_type, product_name, amount, status, delivered_at) 
+             VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+            [orderId, userId, 'flyer_generation', productName, product.price, 'completed']
+        );
+        
+        await connection.query(
+            'INSERT INTO flyer_generations (order_id, user_id, template, snapshot) VALUES (?, ?, ?, ?)',
+            [orderId, userId, snapshot.template, JSON.stringify(snapshot)]
+        );
+        
+        return { orderId, amount: product.price };
+    });
+    
+    if (!result.error) {
+        notifyOrderStatus(result.orderId, 'completed');
+    }
+    
+    return result;
+}
+
+// 64. LIST FLYER TEMPLATES
+app.get('/api/flyers/templates', async (req, res) => {
+    try {
+        const [products] = await pool.query(
+            'SELECT product_code, name, price, description FROM service_products WHERE order_type = "flyer_generation" AND status = "active" LIMIT 1'
+        );
+        
+        res.json({
+            success: true,
+            product: products[0] || null,
+            formats: FLYER_FORMATS,
+            templates: listTemplates()
+        });
+    } catch (error) {
+        console.error('Flyer templates error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 65. GENERATE FLYER
+app.post('/api/flyers', authenticateToken, async (req, res) => {
+    try {
+        const { template = 'classic', format = 'png', networks } = req.body;
+        
+        if (!flyerTemplates[template]) {
+            return res.status(400).json({ error: `Template must be one of: ${Object.keys(flyerTemplates).join(', ')}` });
+        }
+        
+        if (!FLYER_FORMATS.includes(format)) {
+            return res.status(400).json({ error: 'Format must be png or svg' });
+        }
+        
+        if (networks !== undefined && (!Array.isArray(networks) || networks.length === 0)) {
+            return res.status(400).json({ error: 'Networks must be a non-empty list' });
+        }
+        
+        const [products] = await pool.query(
+            'SELECT * FROM service_products WHERE order_type = "flyer_generation" AND status = "active" LIMIT 1'
+        );
+        
+        if (products.length === 0) {
+            return res.status(404).json({ error: 'Flyer generation is currently unavailable' });
+        }
+        
+        const built = await buildFlyerSnapshot(req.user.id, { template, networks });
+        if (built.error) {
+            return res.status(built.statusCode).json({ error: built.error });
+        }
+        
+        const result = await purchaseFlyer(req.user.id, products[0], built.snapshot);
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ error: result.error });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Flyer generated',
+            order_id: result.orderId,
+            amount: result.amount,
+            template,
+            download_url: `/api/flyers/${result.orderId}?format=${format}`
+        });
+    } catch (error) {
+        console.error('Flyer generation error:', error);
+        res.status(500).json({ error: 'Flyer generation failed' });
+    }
+});
+
+// 66. DOWNLOAD FLYER
+app.get('/api/flyers/:orderId', authenticateToken, async (req, res) => {
+    try {
+        const format = req.query.format || 'png';
+        
+        if (!FLYER_FORMATS.includes(format)) {
+            return res.status(400).json({ error: 'Format must be png or svg' });
+        }
+        
+        const [flyers] = await pool.query(
+            'SELECT * FROM flyer_generations WHERE order_id = ? AND user_id = ?',
+            [req.params.orderId, req.user.id]
+        );
+        
+        if (flyers.length === 0) {
+            return res.status(404).json({ error: 'Flyer not found' });
+        }
+        
+        const flyer = renderFlyer(flyers[0].snapshot, format);
+        
+        res.set('Content-Type', flyer.contentType);
+        res.set('Content-Disposition', `attachment; filename="flyer-${flyers[0].order_id}.${format}"`);
+        res.send(flyer.body);
+    } catch (error) {
+        console.error('Flyer download error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== ADMIN ORDER CONSOLE ==========
+
+// Move an order to a new status on an admin's say-so. The order row is locked,
+// the current status must be one of `from`, and the admin's note is kept both
+// in admin_notes and in the order's event history. Only data bundle orders
+// can be driven this way; vouchers and AFA registrations have their own flows.
+// `check(order)` may return a reason to refuse; `alsoUpdate(connection, order)`
+// makes further changes in the same transaction.
+async function applyAdminOrderAction(orderId, adminId, { action, from, to, note, setDeliveredAt = false, resetDelivery = false, check = null, alsoUpdate = null }) {
+    return withTransaction(pool, async connection => {
+        const [orders] = await connection.query('SELECT * FROM orders WHERE order_id = ? FOR UPDATE', [orderId]);
+        
+        if (orders.length === 0) {
+            return { error: 'Order not found', statusCode: 404 };
+        }
+        
+        const order = orders[0];
+        
+        if (order.order_type !== 'data_bundle') {
+            return { error: 'Only data bundle orders can be changed from the order console', statusCode: 400 };
+        }
+        
+        if (!from.includes(order.status)) {
+            return { error: `Cannot ${action} an order with status ${order.status}`, statusCode: 409 };
+        }
+        
+        const refusal = check && check(order);
+        if (refusal) {
+            return { error: refusal, statusCode: 409 };
+        }
+        
+        const adminNote = `[${new Date().toISOString()}] ${action} by admin #${adminId}${note ? ': ' + note : ''}`;
+        
+        await connection.query(
+            `UPDATE orders SET status = ?, admin_notes = CONCAT_WS("\n", admin_notes, ?)${setDeliveredAt ? ', delivered_at = NOW()' : ''}${resetDelivery ? ', delivery_response = NULL, refund_pending = FALSE' : ''} WHERE order_id = ?`,
+            [to, adminNote, orderId]
+        );
+        
+        await recordOrderEvent(orderId, { action, fromStatus: order.status, toStatus: to, note, adminId }, connection);
+        
+        if (alsoUpdate) {
+            await alsoUpdate(connection, order);
+        }
+        
+        return { order: { ...order, status: to }, previousStatus: order.status };
+    });
+}
+
+// Orders still being sent to or polled from the vendor may yet be delivered,
+// so the console leaves them alone until the vendor answers or they're flagged
+const refuseLiveDelivery = order => (activeVendorDeliveries.has(order.order_id) ? VENDOR_DELIVERY_LIVE_ERROR : null);
+
+// 67. SEARCH ORDERS (Admin)
+app.get('/api/admin/orders', authenticateToken, authorize('orders:read'), async (req, res) => {
+    try {
+        const { status, network, order_type, from, to, beneficiary, user: userFilter, q } = req.query;
+        const { limit, offset } = parsePagination(req.query, { limit: 50, maxLimit: 200 });
+        
+        let where = ' WHERE 1 = 1';
+        const params = [];
+        
+        if (status) {
+            where += ' AND o.status = ?';
+            params.push(status);
+        }
+        
+        if (network) {
+            where += ' AND o.network = ?';
+            params.push(network);
+        }
+        
+        if (order_type) {
+            where += ' AND o.order_type = ?';
+            params.push(order_type);
+        }
+        
+        if (from) {
+            where += ' AND o.created_at >= ?';
+            params.push(from);
+        }
+        
+        // A bare date includes the whole day
+        if (to) {
+            where += /^\d{4}-\d{2}-\d{2}$/.test(to) ? ' AND o.created_at < DATE_ADD(?, INTERVAL 1 DAY)' : ' AND o.created_at <= ?';
+            params.push(to);
+        }
+        
+        // Full numbers match whichever form they were stored in (older
+        // orders predate E.164), so compare the last nine digits
+        if (beneficiary) {
+            const phone = normalizeGhanaPhone(beneficiary);
+            where += ' AND o.beneficiary_number LIKE ?';
+            params.push(phone ? `%${phone.e164.slice(-9)}` : `%${beneficiary}%`);
+        }
+        
+        // Numeric ids match the user id, anything else the email, name or phone
+        if (userFilter) {
+            if (/^\d+$/.test(userFilter)) {
+                where += ' AND o.user_id = ?';
+                params.push(parseInt(userFilter));
+            } else {
+                where += ' AND (u.email LIKE ? OR u.full_name LIKE ? OR u.phone LIKE ?)';
+                params.push(`%${userFilter}%`, `%${userFilter}%`, `%${userFilter}%`);
+            }
+        }
+        
+        if (q) {
+            where += ' AND (o.order_id LIKE ? OR o.payment_reference LIKE ?)';
+            params.push(`%${q}%`, `%${q}%`);
+        }
+        
+        const [orders] = await pool.query(
+            `SELECT o.*, u.full_name as user_name, u.email as user_email 
+             FROM orders o LEFT JOIN users u ON u.id = o.user_id${where} 
+             ORDER BY o.created_at DESC LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+        
+        const [total] = await pool.query(
+            `SELECT COUNT(*) as count, COALESCE(SUM(o.amount), 0) as amount FROM orders o LEFT JOIN users u ON u.id = o.user_id${where}`,
+            params
+        );
+        
+        res.json({
+            success: true,
+            orders,
+            pagination: {
+                total: total[0].count,
+                total_amount: total[0].amount,
+                limit,
+                offset
+            }
+        });
+    } catch (error) {
+        console.error('Admin orders error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 68. GET ORDER WITH HISTORY (Admin)
+app.get('/api/admin/orders/:orderId', authenticateToken, authorize('orders:read'), async (req, res) => {
+    try {
+        const [orders] = await pool.query(
+            `SELECT o.*, u.full_name as user_name, u.email as user_email, u.phone as user_phone 
+             FROM orders o LEFT JOIN users u ON u.id = o.user_id WHERE o.order_id = ?`,
+            [req.params.orderId]
+        );
+        
+        if (orders.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        const [history] = await pool.query(
+            'SELECT action, from_status, to_status, note, actor_type, actor_id, created_at FROM order_events WHERE order_id = ? ORDER BY id',
+            [req.params.orderId]
+        );
+        
+        // A bulk order is paid by one wallet debit for its whole batch, so
+        // show that alongside anything recorded against the order itself
+        const references = [orders[0].order_id];
+        if (orders[0].batch_id) references.push(orders[0].batch_id);
+        
+        const [transactions] = await pool.query(
+            'SELECT transaction_id, reference, type, amount, status, description, created_at FROM wallet_transactions WHERE reference IN (?) ORDER BY id',
+            [references]
+        );
+        
+        const [webhooks] = await pool.query(
+            'SELECT delivery_id, event, status, attempts, last_status_code, created_at FROM webhook_deliveries WHERE order_id = ? ORDER BY id',
+            [req.params.orderId]
+        );
+        
+        const [sales] = await pool.query('SELECT * FROM storefront_sales WHERE order_id = ?', [req.params.orderId]);
+        
+        res.json({
+            success: true,
+            order: orders[0],
+            history,
+            transactions,
+            webhooks,
+            storefront_sale: sales[0] || null
+        });
+    } catch (error) {
+        console.error('Admin order detail error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 69. RETRY ORDER DELIVERY (Admin)
+app.post('/api/admin/orders/:orderId/retry', authenticateToken, authorize('orders:manage'), async (req, res) => {
+    try {
+        // Failed orders are normally refunded straight away, so this is mostly
+        // for orders the vendor never gave a final answer on (flagged once
+        // polling gives up). One still being sent or polled is left alone.
+        const result = await applyAdminOrderAction(req.params.orderId, req.user.id, {
+            action: 'retry',
+            from: ['processing', 'failed'],
+            to: 'processing',
+            note: req.body.note,
+            resetDelivery: true,
+            check: refuseLiveDelivery
+        });
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ error: result.error });
+        }
+        
+        dispatchOrder(req.params.orderId);
+        
+        res.json({ success: true, message: 'Order re-sent to vendor', order_id: req.params.orderId, status: 'processing' });
+    } catch (error) {
+        console.error('Admin retry order error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 70. CANCEL ORDER (Admin)
+app.post('/api/admin/orders/:orderId/cancel', authenticateToken, authorize('orders:manage'), async (req, res) => {
+    try {
+        const { note } = req.body;
+        if (!note) {
+            return res.status(400).json({ error: 'A note explaining the cancellation is required' });
+        }
+        
+        const [orders] = await pool.query('SELECT order_id, status, order_type FROM orders WHERE order_id = ?', [req.params.orderId]);
+        if (orders.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        if (orders[0].order_type !== 'data_bundle') {
+            return res.status(400).json({ error: 'Only data bundle orders can be changed from the order console' });
+        }
+        
+        // Paid orders are refunded rather than just closed
+        if (['processing', 'failed'].includes(orders[0].status)) {
+            const refusal = orders[0].status === 'processing' && refuseLiveDelivery(orders[0]);
+            if (refusal) {
+                return res.status(409).json({ error: refusal });
+            }
+            
+            const refund = await refundOrder(req.params.orderId, { reason: `Cancelled: ${note}`, adminId: req.user.id });
+            
+            if (!refund.refunded) {
+                return res.status(409).json({ error: refund.error });
+            }
+            
+            return res.json({ success: true, message: 'Order cancelled and refunded', order_id: req.params.orderId, status: 'refunded', amount: refund.amount });
+        }
+        
+        // The payment is closed with the order, so money that still arrives
+        // for it is refunded rather than fulfilling the order
+        const result = await applyAdminOrderAction(req.params.orderId, req.user.id, {
+            action: 'cancel',
+            from: ['pending_payment'],
+            to: 'cancelled',
+            note,
+            alsoUpdate: async connection => {
+                for (const table of PAYSTACK_PAYMENT_TABLES) {
+                    await connection.query(
+                        `UPDATE ${table} SET status = "cancelled" WHERE order_id = ? AND status = "pending_payment"`,
+                        [req.params.orderId]
+                    );
+                }
+            }
+        });
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ error: result.error });
+        }
+        
+        res.json({ success: true, message: 'Order cancelled', order_id: req.params.orderId, status: 'cancelled' });
+    } catch (error) {
+        console.error('Admin cancel order error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 71. FORCE-COMPLETE ORDER (Admin)
+app.post('/api/admin/orders/:orderId/complete', authenticateToken, authorize('orders:manage'), async (req, res) => {
+    try {
+        const { note } = req.body;
+        if (!note) {
+            return res.status(400).json({ error: 'A note explaining the manual completion is required' });
+        }
+        
+        const result = await applyAdminOrderAction(req.params.orderId, req.user.id, {
+            action: 'force_complete',
+            from: ['processing', 'failed'],
+            to: 'completed',
+            note,
+            setDeliveredAt: true
+        });
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ error: result.error });
+        }
+        
+        notifyOrderStatus(req.params.orderId, 'completed', { note });
+        await creditStorefrontMargin(req.params.orderId);
+        
+        res.json({ success: true, message: 'Order marked completed', order_id: req.params.orderId, status: 'completed' });
+    } catch (error) {
+        console.error('Admin complete order error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 72. FAIL ORDER (Admin)
+app.post('/api/admin/orders/:orderId/fail', authenticateToken, authorize('orders:manage'), async (req, res) => {
+    try {
+        const { note } = req.body;
+        if (!note) {
+            return res.status(400).json({ error: 'A note explaining the failure is required' });
+        }
+        
+        const result = await applyAdminOrderAction(req.params.orderId, req.user.id, {
+            action: 'force_fail',
+            from: ['processing'],
+            to: 'failed',
+            note,
+            check: refuseLiveDelivery
+        });
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ error: result.error });
+        }
+        
+        // Same as a vendor failure: tell the customer, then give the money back
+        await notifyOrderStatus(req.params.orderId, 'failed', { reason: note });
+        const refund = await refundOrder(req.params.orderId, { reason: note, adminId: req.user.id });
+        
+        res.json({
+            success: true,
+            message: refund.refunded ? 'Order failed and refunded' : 'Order marked failed',
+            order_id: req.params.orderId,
+            status: refund.refunded ? 'refunded' : 'failed',
+            refund_error: refund.refunded ? undefined : refund.error
+        });
+    } catch (error) {
+        console.error('Admin fail order error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== ADMIN AUDIT LOG ==========
+
+// 73. SEARCH ADMIN AUDIT LOG (Super admin)
+app.get('/api/admin/audit-logs', authenticateToken, authorize('audit:read'), async (req, res) => {
+    try {
+        const { admin_id, action, target_type, target_id, from, to, q } = req.query;
+        const { limit, offset } = parsePagination(req.query, { limit: 50, maxLimit: 200 });
+        
+        let where = ' WHERE 1 = 1';
+        const params = [];
+        
+        if (admin_id) {
+            if (!/^\d+$/.test(admin_id)) {
+                return res.status(400).json({ error: 'admin_id must be a user id' });
+            }
+            where += ' AND l.admin_id = ?';
+            params.push(parseInt(admin_id));
+        }
+        
+        // "order." matches every order action
+        if (action) {
+            where += action.endsWith('.') ? ' AND l.action LIKE ?' : ' AND l.action = ?';
+            params.push(action.endsWith('.') ? `${action}%` : action);
+        }
+        
+        if (target_type) {
+            where += ' AND l.target_type = ?';
+            params.push(target_type);
+        }
+        
+        if (target_id) {
+            where += ' AND l.target_id = ?';
+            params.push(target_id);
+        }
+        
+        if (from) {
+            where += ' AND l.created_at >= ?';
+            params.push(from);
+        }
+        
+        if (to) {
+            where += /^\d{4}-\d{2}-\d{2}$/.test(to) ? ' AND l.created_at < DATE_ADD(?, INTERVAL 1 DAY)' : ' AND l.created_at <= ?';
+            params.push(to);
+        }
+        
+        if (q) {
+            where += ' AND (u.email LIKE ? OR l.action LIKE ? OR l.target_id LIKE ?)';
+            params.push(`%${q}%`, `%${q}%`, `%${q}%`);
+        }
+        
+        const [logs] = await pool.query(
+            `SELECT l.id, l.admin_id, u.email as admin_email, l.action, l.target_type, l.target_id, l.details, l.ip_address, l.user_agent, l.created_at 
+             FROM admin_activity_logs l LEFT JOIN users u ON u.id = l.admin_id${where} 
+             ORDER BY l.id DESC LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+        
+        const [total] = await pool.query(
+            `SELECT COUNT(*) as count FROM admin_activity_logs l LEFT JOIN users u ON u.id = l.admin_id${where}`,
+            params
+        );
+        
+        res.json({
+            success: true,
+            logs,
+            pagination: {
+                total: total[0].count,
+                limit,
+                offset
+            }
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== USER ROLES & ACCOUNT STATUS ==========
+
+// 74. LIST ROLES AND PERMISSIONS (Admin)
+app.get('/api/admin/roles', authenticateToken, authorize('users:read'), (req, res) => {
+    const roles = Object.keys(ROLES).map(role => ({
+        role,
+        inherits: ROLES[role].inherits || null,
+        permissions: [...new Set(
+            Object.values(ROLES).flatMap(r => r.permissions).filter(permission => hasPermission(role, permission))
+        )]
+    }));
+    
+    res.json({ success: true, roles });
+});
+
+// Super admins are managed in the database, not through the API, and nobody
+// changes their own account
+async function loadManageableUser(req, res) {
+    const userId = parseInt(req.params.id);
+    
+    if (userId === req.user.id) {
+        res.status(400).json({ error: 'You cannot change your own account' });
+        return null;
+    }
+    
+    const [users] = await pool.query(
+        'SELECT id, email, full_name, role, status, status_reason FROM users WHERE id = ?',
+        [userId]
+    );
+    
+    if (users.length === 0) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+    
+    if (users[0].role === 'super_admin') {
+        res.status(403).json({ error: 'Super admin accounts cannot be changed here' });
+        return null;
+    }
+    
+    return users[0];
+}
+
+// 75. PROMOTE / DEMOTE USER (Super admin)
+app.put('/api/admin/users/:id/role', authenticateToken, authorize('users:manage_roles'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        
+        if (!['user', 'admin'].includes(role)) {
+            return res.status(400).json({ error: 'role must be user or admin' });
+        }
+        
+        const user = await loadManageableUser(req, res);
+        if (!user) return;
+        
+        if (user.role === role) {
+            return res.status(400).json({ error: `User is already ${role}` });
+        }
+        
+        await pool.query('UPDATE users SET role = ? WHERE id = ?', [role, user.id]);
+        
+        res.json({
+            success: true,
+            message: `${user.email} is now ${role}`,
+            user: { id: user.id, email: user.email, role, previous_role: user.role }
+        });
+    } catch (error) {
+        console.error('Change role error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 76. SUSPEND / BAN / REACTIVATE USER (Super admin)
+app.put('/api/admin/users/:id/status', authenticateToken, authorize('users:moderate'), async (req, res) => {
+    try {
+        const { status, reason } = req.body;
+        
+        if (!['active', 'suspended', 'banned'].includes(status)) {
+            return res.status(400).json({ error: 'status must be active, suspended or banned' });
+        }
+        
+        if (status !== 'active' && !reason) {
+            return res.status(400).json({ error: 'A reason is required to suspend or ban a user' });
+        }
+        
+        const user = await loadManageableUser(req, res);
+        if (!user) return;
+        
+        if (user.status === status) {
+            return res.status(400).json({ error: `User is already ${status}` });
+        }
+        
+        // Takes effect on the user's next request; tokens are checked against
+        // the account status every time
+        await pool.query(
+            'UPDATE users SET status = ?, status_reason = ? WHERE id = ?',
+            [status, status === 'active' ? null : reason, user.id]
+        );
+        
+        res.json({
+            success: true,
+            message: `${user.email} is now ${status}`,
+            user: { id: user.id, email: user.email, status, previous_status: user.status }
+        });
+    } catch (error) {
+        console.error('Change status error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== BUNDLE CATALOG ==========
+
+const BUNDLE_NETWORKS = ['MTN', 'Telecel', 'AirtelTigo'];
+
+// Check the catalog fields present in body. With partial = false (create)
+// network, bundle_size and price are required. Returns { fields } holding
+// only the columns to write, or { error }.
+function validateBundleFields(body, { partial = false } = {}) {
+    const fields = {};
+    const { network, bundle_size, price, validity_days, description, status } = body;
+    
+    if (network !== undefined || !partial) {
+        if (!BUNDLE_NETWORKS.includes(network)) {
+            return { error: `network must be one of ${BUNDLE_NETWORKS.join(', ')}` };
+        }
+        fields.network = network;
+    }
+    
+    if (bundle_size !== undefined || !partial) {
+        if (typeof bundle_size !== 'string' || !/^\d+(\.\d+)?\s*(MB|GB)$/i.test(bundle_size.trim())) {
+            return { error: 'bundle_size must look like 500MB or 1.5GB' };
+        }
+        fields.bundle_size = bundle_size.trim().replace(/\s+/g, '').toUpperCase();
+    }
+    
+    if (price !== undefined || !partial) {
+        if (price === null || price === '' || isNaN(price) || Number(price) <= 0 || Number(price) > 10000) {
+            return { error: 'price must be a number between 0 and 10000' };
+        }
+        fields.price = Math.round(Number(price) * 100) / 100;
+    }
+    
+    if (validity_days !== undefined) {
+        if (!Number.isInteger(Number(validity_days)) || Number(validity_days) < 1 || Number(validity_days) > 365) {
+            return { error: 'validity_days must be a whole number of days between 1 and 365' };
+        }
+        fields.validity_days = Number(validity_days);
+    }
+    
+    if (description !== undefined) {
+        if (description !== null && (typeof description !== 'string' || description.length > 500)) {
+            return { error: 'description must be text of at most 500 characters' };
+        }
+        fields.description = description ? description.trim() : null;
+    }
+    
+    if (status !== undefined) {
+        if (!['active', 'inactive'].includes(status)) {
+            return { error: 'status must be active or inactive' };
+        }
+        fields.status = status;
+    }
+    
+    return { fields };
+}
+
+async function recordPriceChange(db, product, { oldPrice, newPrice, reason = null, changedBy = null }) {
+    await db.query(
+        `INSERT INTO bundle_price_history (product_id, network, bundle_size, old_price, new_price, reason, changed_by) 
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [product.id, product.network, product.bundle_size, oldPrice, newPrice, reason, changedBy]
+    );
+}
+
+// 77. LIST BUNDLE CATALOG (Admin)
+// Unlike /api/data/bundles this includes inactive bundles and sales counts.
+// Deleted bundles are left out unless asked for with ?status=deleted.
+app.get('/api/admin/bundles', authenticateToken, authorize('catalog:manage'), async (req, res) => {
+    try {
+        const { network, status } = req.query;
+        
+        let where = ' WHERE 1 = 1';
+        const params = [];
+        
+        if (network) {
+            where += ' AND p.network = ?';
+            params.push(network);
+        }
+        
+        if (status === 'deleted') {
+            where += ' AND p.deleted_at IS NOT NULL';
+        } else {
+            where += ' AND p.deleted_at IS NULL';
+            
+            if (status) {
+                where += ' AND p.status = ?';
+                params.push(status);
+            }
+        }
+        
+        const [bundles] = await pool.query(
+            `SELECT p.*, 
+                    (SELECT COUNT(*) FROM orders o WHERE o.product_id = p.id) as orders_count,
+                    (SELECT MAX(h.created_at) FROM bundle_price_history h WHERE h.product_id = p.id) as price_changed_at
+             FROM data_bundle_products p${where} 
+             ORDER BY p.network, p.price`,
+            params
+        );
+        
+        res.json({ success: true, bundles });
+    } catch (error) {
+        console.error('List bundles error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 78. CREATE BUNDLE (Admin)
+app.post('/api/admin/bundle', authenticateToken, authorize('catalog:manage'), async (req, res) => {
+    try {
+        const { fields, error } = validateBundleFields(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const product = await withTransaction(pool, async connection => {
+            // A deleted bundle still holds its network and size, so re-adding
+            // it brings the same row back (keeping its id for subscriptions,
+            // promotions and price history) with the new details
+            const [deleted] = await connection.query(
+                'SELECT id FROM data_bundle_products WHERE network = ? AND bundle_size = ? AND deleted_at IS NOT NULL FOR UPDATE',
+                [fields.network, fields.bundle_size]
+            );
+            
+            let productId;
+            
+            if (deleted.length > 0) {
+                const revived = { validity_days: 30, status: 'active', description: null, ...fields };
+                await connection.query(
+                    `UPDATE data_bundle_products SET ${Object.keys(revived).map(column => `${column} = ?`).join(', ')}, deleted_at = NULL WHERE id = ?`,
+                    [...Object.values(revived), deleted[0].id]
+                );
+                productId = deleted[0].id;
+            } else {
+                const columns = Object.keys(fields);
+                const [result] = await connection.query(
+                    `INSERT INTO data_bundle_products (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                    Object.values(fields)
+                );
+                productId = result.insertId;
+            }
+            
+            const [rows] = await connection.query('SELECT * FROM data_bundle_products WHERE id = ?', [productId]);
+            
+            await recordPriceChange(connection, rows[0], {
+                oldPrice: null,
+                newPrice: rows[0].price,
+                reason: req.body.reason || 'Bundle created',
+                changedBy: req.user.id
+            });
+            
+            return rows[0];
+        });
+        
+        res.locals.auditTargetId = product.id;
+        
+        res.status(201).json({ success: true, message: 'Bundle created', bundle: product });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A bundle with this network and size already exists' });
+        }
+        console.error('Create bundle error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 79. DELETE BUNDLE (Admin)
+// Soft delete: the row stays (inactive, with deleted_at set) because orders,
+// subscriptions, promotions and price history all point at it. Subscriptions
+// renewing this bundle are paused and their owners told, the same as when a
+// renewal finds its bundle gone.
+app.delete('/api/admin/bundle/:id', authenticateToken, authorize('catalog:manage'), async (req, res) => {
+    try {
+        const reason = 'Bundle withdrawn from sale';
+        
+        const deleted = await withTransaction(pool, async connection => {
+            const [rows] = await connection.query(
+                'SELECT * FROM data_bundle_products WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
+                [req.params.id]
+            );
+            
+            if (rows.length === 0) return null;
+            
+            await recordPriceChange(connection, rows[0], {
+                oldPrice: rows[0].price,
+                newPrice: null,
+                reason: req.body.reason || 'Bundle deleted',
+                changedBy: req.user.id
+            });
+            
+            await connection.query(
+                'UPDATE data_bundle_products SET status = "inactive", deleted_at = NOW() WHERE id = ?',
+                [rows[0].id]
+            );
+            
+            const [subscriptions] = await connection.query(
+                'SELECT * FROM bundle_subscriptions WHERE product_id = ? AND status = "active" FOR UPDATE',
+                [rows[0].id]
+            );
+            
+            if (subscriptions.length > 0) {
+                await connection.query(
+                    'UPDATE bundle_subscriptions SET status = "paused", paused_by = "system", pause_reason = ? WHERE product_id = ? AND status = "active"',
+                    [reason, rows[0].id]
+                );
+            }
+            
+            return { product: rows[0], subscriptions };
+        });
+        
+        if (!deleted) {
+            return res.status(404).json({ error: 'Bundle not found' });
+        }
+        
+        const { product, subscriptions } = deleted;
+        
+        for (const subscription of subscriptions) {
+            await notifyUser(subscription.user_id, {
+                type: 'subscription.paused',
+                title: 'Bundle subscription paused',
+                message: `Your ${subscription.network} ${subscription.bundle_size} renewal for ${subscription.beneficiary_number} was paused: ${reason}.`,
+                data: { subscription_id: subscription.id, reason }
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: `${product.network} ${product.bundle_size} deleted`,
+            subscriptions_paused: subscriptions.length
+        });
+    } catch (error) {
+        console.error('Delete bundle error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 80. BUNDLE PRICE HISTORY (Admin)
+app.get('/api/admin/bundle/:id/price-history', authenticateToken, authorize('catalog:manage'), async (req, res) => {
+    try {
+        const { limit = 50, offset = 0 } = req.query;
+        
+        const [history] = await pool.query(
+            `SELECT h.id, h.product_id, h.network, h.bundle_size, h.old_price, h.new_price, h.reason, 
+                    h.changed_by, u.email as changed_by_email, h.created_at 
+             FROM bundle_price_history h LEFT JOIN users u ON u.id = h.changed_by 
+             WHERE h.product_id = ? ORDER BY h.id DESC LIMIT ? OFFSET ?`,
+            [req.params.id, parseInt(limit), parseInt(offset)]
+        );
+        
+        const [product] = await pool.query('SELECT * FROM data_bundle_products WHERE id = ?', [req.params.id]);
+        
+        if (product.length === 0 && history.length === 0) {
+            return res.status(404).json({ error: 'Bundle not found' });
+        }
+        
+        res.json({ success: true, bundle: product[0] || null, history });
+    } catch (error) {
+        console.error('Price history error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== PROMOTIONS ==========
+
+// Promotions whose window covers this moment. Pass the purchase transaction's
+// connection so an order is priced with what was running when it was placed.
+async function getRunningPromotions(db = pool) {
+    const [promotions] = await db.query(
+        'SELECT * FROM promotions WHERE status = "active" AND starts_at <= NOW() AND ends_at > NOW()'
+    );
+    return promotions;
+}
+
+function promotionApplies(promotion, product) {
+    if (promotion.product_id) return promotion.product_id === product.id;
+    return !promotion.network || promotion.network === product.network;
+}
+
+function discountedPrice(price, promotion) {
+    const value = Number(promotion.discount_value);
+    
+    return promotion.discount_type === 'percent'
+        ? Math.round(Number(price) * (100 - value)) / 100
+        : Math.round((Number(price) - value) * 100) / 100;
+}
+
+// Catalog price of a bundle after promotions. Promotions don't stack: the one
+// giving the lowest price wins, and one that would make the bundle free is
+// ignored. Level discounts and storefront markups apply on top of `price`.
+function promoPricing(product, promotions) {
+    let best = null;
+    
+    for (const promotion of promotions) {
+        if (!promotionApplies(promotion, product)) continue;
+        
+        const price = discountedPrice(product.price, promotion);
+        if (price > 0 && (!best || price < best.price)) {
+            best = { price, promotion };
+        }
+    }
+    
+    return {
+        price: best ? best.price : product.price,
+        promo_price: best ? best.price : null,
+        promotion: best
+            ? { id: best.promotion.id, name: best.promotion.name, ends_at: best.promotion.ends_at }
+            : null
+    };
+}
+
+// Validate a full promotion (for updates, the stored row merged with the
+// changes). Returns { fields } ready to write, or { error }.
+async function validatePromotion(input) {
+    const { name, network, product_id, discount_type, discount_value, starts_at, ends_at } = input;
+    
+    if (!name || typeof name !== 'string' || name.trim().length > 100) {
+        return { error: 'name is required (at most 100 characters)' };
+    }
+    
+    if (network && product_id) {
+        return { error: 'Target either a network or a single bundle (product_id), not both' };
+    }
+    
+    if (network && !BUNDLE_NETWORKS.includes(network)) {
+        return { error: `network must be one of ${BUNDLE_NETWORKS.join(', ')}` };
+    }
+    
+    if (!['percent', 'fixed'].includes(discount_type)) {
+        return { error: 'discount_type must be percent or fixed' };
+    }
+    
+    const value = Number(discount_value);
+    if (isNaN(value) || value <= 0 || (discount_type === 'percent' && value >= 100)) {
+        return { error: discount_type === 'percent' ? 'discount_value must be between 0 and 100' : 'discount_value must be greater than 0' };
+    }
+    
+    const startsAt = new Date(starts_at);
+    const endsAt = new Date(ends_at);
+    
+    if (!starts_at || !ends_at || isNaN(startsAt) || isNaN(endsAt)) {
+        return { error: 'starts_at and ends_at must be valid dates' };
+    }
+    
+    if (endsAt <= startsAt) {
+        return { error: 'ends_at must be after starts_at' };
+    }
+    
+    if (endsAt <= new Date()) {
+        return { error: 'ends_at must be in the future' };
+    }
+    
+    if (product_id) {
+        const [products] = await pool.query('SELECT id, price FROM data_bundle_products WHERE id = ? AND deleted_at IS NULL', [product_id]);
+        
+        if (products.length === 0) {
+            return { error: 'Bundle not found' };
+        }
+        
+        if (discount_type === 'fixed' && value >= Number(products[0].price)) {
+            return { error: 'A fixed discount must be less than the bundle price' };
+        }
+    }
+    
+    return {
+        fields: {
+            name: name.trim(),
+            network: network || null,
+            product_id: product_id ? parseInt(product_id) : null,
+            discount_type,
+            discount_value: Math.round(value * 100) / 100,
+            starts_at: startsAt,
+            ends_at: endsAt
+        }
+    };
+}
+
+const PROMOTION_STATE_SQL = `CASE 
+    WHEN p.status = 'cancelled' THEN 'cancelled' 
+    WHEN NOW() < p.starts_at THEN 'scheduled' 
+    WHEN NOW() >= p.ends_at THEN 'ended' 
+    ELSE 'running' END`;
+
+async function getPromotion(id) {
+    const [promotions] = await pool.query(
+        `SELECT p.*, ${PROMOTION_STATE_SQL} as state, b.bundle_size, b.network as product_network 
+         FROM promotions p LEFT JOIN data_bundle_products b ON b.id = p.product_id 
+         WHERE p.id = ?`,
+        [id]
+    );
+    return promotions[0] || null;
+}
+
+// 81. LIST PROMOTIONS (Admin)
+app.get('/api/admin/promotions', authenticateToken, authorize('catalog:manage'), async (req, res) => {
+    try {
+        const { state, network } = req.query;
+        const { limit, offset } = parsePagination(req.query, { limit: 50, maxLimit: 200 });
+        
+        let where = ' WHERE 1 = 1';
+        const params = [];
+        
+        if (state) {
+            where += ` AND ${PROMOTION_STATE_SQL} = ?`;
+            params.push(state);
+        }
+        
+        if (network) {
+            where += ' AND (p.network = ? OR b.network = ?)';
+            params.push(network, network);
+        }
+        
+        const [promotions] = await pool.query(
+            `SELECT p.*, ${PROMOTION_STATE_SQL} as state, b.bundle_size, b.network as product_network, 
+                    (SELECT COUNT(*) FROM orders o WHERE o.promotion_id = p.id) as orders_count 
+             FROM promotions p LEFT JOIN data_bundle_products b ON b.id = p.product_id${where} 
+             ORDER BY p.starts_at DESC LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+        
+        res.json({ success: true, promotions });
+    } catch (error) {
+        console.error('List promotions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 82. CREATE PROMOTION (Admin)
+app.post('/api/admin/promotions', authenticateToken, authorize('catalog:manage'), async (req, res) => {
+    try {
+        const { fields, error } = await validatePromotion(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const [result] = await pool.query(
+            `INSERT INTO promotions (name, network, product_id, discount_type, discount_value, starts_at, ends_at, created_by) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [fields.name, fields.network, fields.product_id, fields.discount_type, fields.discount_value, fields.starts_at, fields.ends_at, req.user.id]
+        );
+        
+        res.locals.auditTargetId = result.insertId;
+        
+        res.status(201).json({ success: true, promotion: await getPromotion(result.insertId) });
+    } catch (error) {
+        console.error('Create promotion error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 83. UPDATE PROMOTION (Admin)
+// Changing a running promotion only affects orders placed after the change
+app.put('/api/admin/promotions/:id', authenticateToken, authorize('catalog:manage'), async (req, res) => {
+    try {
+        const promotion = await getPromotion(req.params.id);
+        
+        if (!promotion) {
+            return res.status(404).json({ error: 'Promotion not found' });
+        }
+        
+        if (['ended', 'cancelled'].includes(promotion.state)) {
+            return res.status(400).json({ error: `Promotion has ${promotion.state === 'ended' ? 'ended' : 'been cancelled'}` });
+        }
+        
+        const changes = {};
+        for (const field of ['name', 'network', 'product_id', 'discount_type', 'discount_value', 'starts_at', 'ends_at']) {
+            if (req.body[field] !== undefined) changes[field] = req.body[field];
+        }
+        
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'No updates provided' });
+        }
+        
+        const { fields, error } = await validatePromotion({ ...promotion, ...changes });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        await pool.query(
+            `UPDATE promotions SET name = ?, network = ?, product_id = ?, discount_type = ?, discount_value = ?, starts_at = ?, ends_at = ? 
+             WHERE id = ?`,
+            [fields.name, fields.network, fields.product_id, fields.discount_type, fields.discount_value, fields.starts_at, fields.ends_at, promotion.id]
+        );
+        
+        res.json({ success: true, promotion: await getPromotion(promotion.id) });
+    } catch (error) {
+        console.error('Update promotion error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 84. CANCEL PROMOTION (Admin)
+// Kept rather than deleted, since orders refer to the promotion they used
+app.delete('/api/admin/promotions/:id', authenticateToken, authorize('catalog:manage'), async (req, res) => {
+    try {
+        const promotion = await getPromotion(req.params.id);
+        
+        if (!promotion) {
+            return res.status(404).json({ error: 'Promotion not found' });
+        }
+        
+        if (promotion.state === 'cancelled') {
+            return res.status(400).json({ error: 'Promotion is already cancelled' });
+        }
+        
+        await pool.query('UPDATE promotions SET status = "cancelled" WHERE id = ?', [promotion.id]);
+        
+        res.json({ success: true, message: `Promotion "${promotion.name}" cancelled` });
+    } catch (error) {
+        console.error('Cancel promotion error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== CHECKOUT (PAY PER ORDER) ==========
+
+// Unpaid checkout and storefront orders are cancelled after this long
+const PAYMENT_EXPIRY_MINUTES = parseInt(process.env.PAYMENT_EXPIRY_MINUTES) || 30;
+const PAYMENT_EXPIRY_INTERVAL_MS = 60 * 1000;
+
+// Orders paid straight through Paystack keep their payment in one of these
+// tables, and are refunded through Paystack rather than to a wallet
+const PAYSTACK_PAYMENT_TABLES = ['storefront_sales', 'checkout_payments'];
+
+const isCheckoutReference = reference => typeof reference === 'string' && reference.startsWith('PAY-');
+
+async function paystackPaymentTable(orderId) {
+    for (const table of PAYSTACK_PAYMENT_TABLES) {
+        const [payments] = await pool.query(`SELECT id FROM ${table} WHERE order_id = ?`, [orderId]);
+        if (payments.length > 0) return table;
+    }
+    return null;
+}
+
+// Ask Paystack for a charge's current state. Null if Paystack can't be reached.
+async function verifyPaystackCharge(reference) {
+    try {
+        const response = await axios.get(
+            `${PAYSTACK_BASE_URL}/transaction/verify/${encodeURIComponent(reference)}`,
+            {
+                timeout: PAYSTACK_TIMEOUT_MS,
+                headers: { Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}` }
+            }
+        );
+        return response.data.data;
+    } catch (error) {
+        console.error(`Paystack verify ${reference} error:`, error.response?.data || error.message);
+        return null;
+    }
+}
+
+// Customers poll their order status while they wait, and every poll of an
+// unpaid order would otherwise ask Paystack again. Each reference is checked
+// with Paystack at most once per interval; the webhook covers the rest.
+const PAYSTACK_REVERIFY_INTERVAL_MS = 15 * 1000;
+const paystackVerifiedAt = new Map();
+
+setInterval(() => {
+    const cutoff = Date.now() - PAYSTACK_REVERIFY_INTERVAL_MS;
+    paystackVerifiedAt.forEach((checkedAt, reference) => {
+        if (checkedAt <= cutoff) paystackVerifiedAt.delete(reference);
+    });
+}, PAYSTACK_REVERIFY_INTERVAL_MS).unref();
+
+function claimPaystackReverify(reference) {
+    const checkedAt = paystackVerifiedAt.get(reference);
+    
+    if (checkedAt && Date.now() - checkedAt < PAYSTACK_REVERIFY_INTERVAL_MS) {
+        return false;
+    }
+    
+    paystackVerifiedAt.set(reference, Date.now());
+    return true;
+}
+
+// Ask Paystack to return a customer's payment. The row stays 'refund_pending'
+// until Paystack's refund.processed webhook arrives; if this call fails it is
+// retried by retryPendingRefunds() on the next start.
+async function requestPaystackRefund(table, reference) {
+    try {
+        const response = await axios.post(
+            `${PAYSTACK_BASE_URL}/refund`,
+            { transaction: reference },
+            {
+                timeout: PAYSTACK_TIMEOUT_MS,
+                headers: {
+                    Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+        
+        await pool.query(
+            `UPDATE ${table} SET paystack_refund_id = ? WHERE paystack_reference = ?`,
+            [String(response.data.data.id), reference]
+        );
+    } catch (error) {
+        console.error(`Paystack refund ${reference} error:`, error.response?.data || error.message);
+    }
+}
+
+// Close a Paystack-paid order that will not be delivered and refund the
+// customer through Paystack (for storefronts, instead of crediting the agent)
+async function refundPaystackOrder(table, orderId, { reason, adminId } = {}) {
+    const result = await withTransaction(pool, async connection => {
+        const [orders] = await connection.query(
+            'SELECT * FROM orders WHERE order_id = ? FOR UPDATE',
+            [orderId]
+        );
+        const [payments] = await connection.query(
+            `SELECT * FROM ${table} WHERE order_id = ? FOR UPDATE`,
+            [orderId]
+        );
+        
+        const order = orders[0];
+        const payment = payments[0];
+        
+        if (order.status === 'refunded') {
+            return { refunded: false, error: 'Order already refunded' };
+        }
+        
+        const refundable = adminId ? ['failed', 'processing'] : ['failed'];
+        if (!refundable.includes(order.status) || payment.status !== 'paid') {
+            return { refunded: false, error: `Order with status ${order.status} cannot be refunded` };
+        }
+        
+        // Same rule as refundOrder: the vendor may still deliver it
+        if (order.status === 'processing' && activeVendorDeliveries.has(orderId)) {
+            return { refunded: false, error: VENDOR_DELIVERY_LIVE_ERROR };
+        }
+        
+        const refundReason = reason || 'Order could not be delivered';
+        const note = `[${new Date().toISOString()}] Paystack refund of GHS ${order.amount} requested by ${adminId ? `admin #${adminId}` : 'system'}: ${refundReason}`;
+        
+        await connection.query(
+            'UPDATE orders SET status = "refunded", refund_pending = FALSE, admin_notes = CONCAT_WS("\n", admin_notes, ?) WHERE order_id = ?',
+            [note, orderId]
+        );
+        await connection.query(
+            `UPDATE ${table} SET status = "refund_pending" WHERE id = ?`,
+            [payment.id]
+        );
+        await recordOrderEvent(orderId, {
+            action: 'refunded',
+            fromStatus: order.status,
+            toStatus: 'refunded',
+            note: `GHS ${order.amount} refund requested through Paystack: ${refundReason}`,
+            adminId
+        }, connection);
+        
+        return { refunded: true, order_id: orderId, amount: order.amount, reason: refundReason, reference: payment.paystack_reference };
+    });
+    
+    if (result.refunded) {
+        console.log(`💸 Order ${orderId} refunded to customer through Paystack (GHS ${result.amount})`);
+        notifyOrderStatus(orderId, 'refunded', { reason: result.reason });
+        await requestPaystackRefund(table, result.reference);
+    }
+    
+    return result;
+}
+
+// Paystack confirmed a checkout payment: move the order on to the vendor.
+// Same shape as settleStorefrontSale, without an agent to pay.
+async function settleCheckoutPayment(reference, paystackData) {
+    const result = await withTransaction(pool, async connection => {
+        const [payments] = await connection.query(
+            'SELECT * FROM checkout_payments WHERE paystack_reference = ? FOR UPDATE',
+            [reference]
+        );
+        
+        if (payments.length === 0) {
+            return { status: 'not_found', message: 'No checkout payment for this reference' };
+        }
+        
+        const payment = payments[0];
+        
+        if (!['pending_payment', 'expired', 'cancelled'].includes(payment.status)) {
+            return { status: 'already_settled', message: `Payment is ${payment.status}`, orderId: payment.order_id };
+        }
+        
+        const paidAmount = paystackData.amount / 100;
+        const currency = paystackData.currency || 'GHS';
+        
+        if (Math.round(paidAmount * 100) !== Math.round(Number(payment.amount) * 100) || currency !== 'GHS') {
+            console.warn(`⚠️ Checkout ${reference} paid ${currency} ${paidAmount}, expected GHS ${payment.amount}`);
+            return { status: 'amount_mismatch', message: `Paid ${currency} ${paidAmount} but GHS ${payment.amount} was initialised` };
+        }
+        
+        const [order] = await connection.query(
+            'UPDATE orders SET status = "processing" WHERE order_id = ? AND status = "pending_payment"',
+            [payment.order_id]
+        );
+        
+        // Expired or cancelled before the money arrived, so hand it back
+        if (order.affectedRows === 0) {
+            await connection.query(
+                'UPDATE checkout_payments SET status = "refund_pending", paid_at = NOW() WHERE id = ?',
+                [payment.id]
+            );
+            return { status: 'order_closed', message: 'Order was closed before payment; refunding customer', orderId: payment.order_id };
+        }
+        
+        await connection.query(
+            'UPDATE checkout_payments SET status = "paid", paid_at = NOW() WHERE id = ?',
+            [payment.id]
+        );
+        await recordOrderEvent(payment.order_id, {
+            action: 'paid',
+            fromStatus: 'pending_payment',
+            toStatus: 'processing',
+            note: `Paystack ${reference}`
+        }, connection);
+        
+        return { status: 'settled', message: 'Payment confirmed, bundle on its way', orderId: payment.order_id };
+    });
+    
+    if (result.status === 'settled') {
+        notifyOrderStatus(result.orderId, 'processing');
+        dispatchOrder(result.orderId);
+    } else if (result.status === 'order_closed') {
+        await requestPaystackRefund('checkout_payments', reference);
+    }
+    
+    return result;
+}
+
+async function handleCheckoutCharge(data) {
+    const result = await settleCheckoutPayment(data.reference, data);
+    
+    if (result.status === 'settled' || result.status === 'order_closed') {
+        return { status: 'processed', note: result.message };
+    }
+    
+    if (result.status === 'amount_mismatch') {
+        return { status: 'flagged', note: result.message };
+    }
+    
+    return { status: 'ignored', note: result.message };
+}
+
+// A charge for the wrong amount is left for an admin while its order is still
+// open; once the order's payment window has passed it is closed and the
+// customer refunded through Paystack, so the payment does not stay
+// 'pending_payment' (and get re-checked by every expiry run) for ever.
+async function refundMismatchedPayment(order, charge) {
+    const paid = `${charge.currency || 'GHS'} ${charge.amount / 100}`;
+    
+    const closed = await withTransaction(pool, async connection => {
+        const [result] = await connection.query(
+            'UPDATE orders SET status = "cancelled" WHERE order_id = ? AND status = "pending_payment"',
+            [order.order_id]
+        );
+        
+        if (result.affectedRows === 0) return false;
+        
+        await connection.query(
+            `UPDATE ${order.payment_table} SET status = "refund_pending", paid_at = NOW() WHERE order_id = ? AND status = "pending_payment"`,
+            [order.order_id]
+        );
+        await recordOrderEvent(order.order_id, {
+            action: 'expired',
+            fromStatus: 'pending_payment',
+            toStatus: 'cancelled',
+            note: `Paid ${paid}, not the amount initialised; refunding through Paystack`
+        }, connection);
+        
+        return true;
+    });
+    
+    if (closed) {
+        console.log(`💸 Order ${order.order_id} closed: paid ${paid}, not the amount initialised; refunding`);
+        await requestPaystackRefund(order.payment_table, order.reference);
+    }
+}
+
+// Cancel checkout and storefront orders nobody paid for in time. Paystack is
+// asked first, so a payment whose webhook is late is settled, not expired.
+// Anything paid after this point is refunded by the settle functions.
+async function expireUnpaidOrders() {
+    const [orders] = await pool.query(
+        `SELECT o.order_id, 
+                COALESCE(c.paystack_reference, s.paystack_reference) as reference, 
+                IF(c.id IS NULL, 'storefront_sales', 'checkout_payments') as payment_table 
+         FROM orders o 
+         LEFT JOIN checkout_payments c ON c.order_id = o.order_id 
+         LEFT JOIN storefront_sales s ON s.order_id = o.order_id 
+         WHERE o.status = 'pending_payment' AND (c.id IS NOT NULL OR s.id IS NOT NULL) 
+         AND COALESCE(c.expires_at, DATE_ADD(o.created_at, INTERVAL ? MINUTE)) <= NOW()`,
+        [PAYMENT_EXPIRY_MINUTES]
+    );
+    
+    for (const order of orders) {
+        const charge = await verifyPaystackCharge(order.reference);
+        
+        if (charge && charge.status === 'success') {
+            const settled = order.payment_table === 'checkout_payments'
+                ? await settleCheckoutPayment(order.reference, charge)
+                : await settleStorefrontSale(order.reference, charge);
+            
+            if (settled.status === 'amount_mismatch') {
+                await refundMismatchedPayment(order, charge);
+            }
+            continue;
+        }
+        
+        await withTransaction(pool, async connection => {
+            const [closed] = await connection.query(
+                'UPDATE orders SET status = "cancelled" WHERE order_id = ? AND status = "pending_payment"',
+                [order.order_id]
+            );
+            
+            if (closed.affectedRows === 0) return;
+            
+            await connection.query(
+                `UPDATE ${order.payment_table} SET status = "expired" WHERE order_id = ? AND status = "pending_payment"`,
+                [order.order_id]
+            );
+            await recordOrderEvent(order.order_id, {
+                action: 'expired',
+                fromStatus: 'pending_payment',
+                toStatus: 'cancelled',
+                note: `Not paid within ${PAYMENT_EXPIRY_MINUTES} minutes`
+            }, connection);
+        });
+        
+        console.log(`⌛ Order ${order.order_id} expired unpaid`);
+    }
+}
+
+function startPaymentExpiryJob() {
+    setInterval(() => {
+        expireUnpaidOrders().catch(error => console.error('Payment expiry error:', error));
+    }, PAYMENT_EXPIRY_INTERVAL_MS);
+}
+
+// 85. CHECKOUT: BUY A BUNDLE WITH PAYSTACK
+// No wallet needed. Guests give an email for the receipt; signed-in users get
+// the order on their account at their level price.
+app.post('/api/checkout', optionalAuthenticateToken, async (req, res) => {
+    try {
+        const { network, bundle_size, beneficiary_number } = req.body;
+        const email = req.body.email || (req.user && req.user.email);
+        
+        if (!['MTN', 'Telecel', 'AirtelTigo'].includes(network)) {
+            return res.status(400).json({ error: 'Invalid network' });
+        }
+        
+        if (!bundle_size || !beneficiary_number) {
+            return res.status(400).json({ error: 'Bundle size and beneficiary number are required' });
+        }
+        
+        const beneficiary = checkBeneficiary(beneficiary_number, network, { allowPorted: isTruthyFlag(req.body.allow_ported) });
+        if (beneficiary.error) {
+            return res.status(400).json({ error: beneficiary.error, detected_network: beneficiary.detectedNetwork });
+        }
+        
+        if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({ error: 'A valid email is required for the payment receipt' });
+        }
+        
+        const [product] = await pool.query(
+            'SELECT * FROM data_bundle_products WHERE network = ? AND bundle_size = ? AND status = "active"',
+            [network, bundle_size]
+        );
+        
+        if (product.length === 0) {
+            return res.status(400).json({ error: 'Invalid bundle selection' });
+        }
+        
+        const pricing = promoPricing(product[0], await getRunningPromotions());
+        const level = req.user ? await getUserLevel(req.user.id) : null;
+        const amount = level ? applyLevelDiscount(pricing.price, level.discount_percent) : Number(pricing.price);
+        
+        const { orderId, reference } = await withTransaction(pool, async connection => {
+            const orderId = await nextOrderId(connection);
+            // Random suffix so the public status endpoint can't be walked by order number
+            const reference = `PAY-${orderId}-${crypto.randomBytes(4).toString('hex')}`;
+            
+            await connection.query(
+                `INSERT INTO orders (order_id, user_id, order_type, product_name, network, bundle_size, amount, product_id, list_price, promotion_id, beneficiary_number, payment_reference, status) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [orderId, req.user ? req.user.id : null, 'data_bundle', `${network} ${bundle_size}`, network, bundle_size, amount, product[0].id, product[0].price, pricing.promotion ? pricing.promotion.id : null, beneficiary.number, reference, 'pending_payment']
+            );
+            await recordPortedWarning(orderId, beneficiary.warning, connection);
+            
+            await connection.query(
+                `INSERT INTO checkout_payments (order_id, user_id, paystack_reference, customer_email, amount, expires_at) 
+                 VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+                [orderId, req.user ? req.user.id : null, reference, email, amount, PAYMENT_EXPIRY_MINUTES]
+            );
+            
+            return { orderId, reference };
+        });
+        
+        let response;
+        try {
+            response = await axios.post(
+                `${PAYSTACK_BASE_URL}/transaction/initialize`,
+                {
+                    email,
+                    amount: Math.round(amount * 100),
+                    currency: 'GHS',
+                    reference,
+                    metadata: { order_id: orderId, checkout: true },
+                    callback_url: `${process.env.FRONTEND_URL || 'http://localhost:8080'}/checkout/callback`
+                },
+                {
+                    timeout: PAYSTACK_TIMEOUT_MS,
+                    headers: {
+                        Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+        } catch (error) {
+            console.error('Checkout Paystack init error:', error.response?.data || error.message);
+            await pool.query('UPDATE orders SET status = "cancelled" WHERE order_id = ? AND status = "pending_payment"', [orderId]);
+            await pool.query('UPDATE checkout_payments SET status = "cancelled" WHERE order_id = ?', [orderId]);
+            return res.status(502).json({ error: 'Payment initialization failed' });
+        }
+        
+        res.json({
+            success: true,
+            order_id: orderId,
+            reference,
+            amount,
+            expires_in_minutes: PAYMENT_EXPIRY_MINUTES,
+            authorization_url: response.data.data.authorization_url,
+            access_code: response.data.data.access_code
+        });
+    } catch (error) {
+        console.error('Checkout error:', error);
+        res.status(500).json({ error: 'Checkout failed' });
+    }
+});
+
+// 86. CHECKOUT ORDER STATUS
+app.get('/api/checkout/:reference', guestOrderStatusLimit, async (req, res) => {
+    try {
+        const [payments] = await pool.query(
+            'SELECT * FROM checkout_payments WHERE paystack_reference = ?',
+            [req.params.reference]
+        );
+        
+        if (payments.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        // The customer came back before the webhook did, so ask Paystack directly
+        if (payments[0].status === 'pending_payment' && claimPaystackReverify(req.params.reference)) {
+            const charge = await verifyPaystackCharge(req.params.reference);
+            
+            if (charge && charge.status === 'success') {
+                await settleCheckoutPayment(req.params.reference, charge);
+            }
+        }
+        
+        const [orders] = await pool.query(
+            'SELECT order_id, product_name, network, bundle_size, amount, beneficiary_number, status, created_at, delivered_at FROM orders WHERE order_id = ?',
+            [payments[0].order_id]
+        );
+        const [payment] = await pool.query(
+            'SELECT status, expires_at, paid_at FROM checkout_payments WHERE id = ?',
+            [payments[0].id]
+        );
+        
+        res.json({ success: true, order: orders[0], payment: payment[0] });
+    } catch (error) {
+        console.error('Checkout status error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== BULK ORDERS ==========
+
+const BULK_ORDER_MAX_LINES = 500;
+
+// Turn a bulk upload into order lines. Accepts a text/csv body, or JSON with
+// either { csv } or { orders: [{ network, bundle_size, beneficiary_number }] }.
+function readBulkLines(body) {
+    if (typeof body === 'string' || (body && typeof body.csv === 'string')) {
+        const { headers, rows } = parseCsv(typeof body === 'string' ? body : body.csv);
+        
+        const missing = ['network', 'bundle_size', 'beneficiary_number'].filter(header => !headers.includes(header));
+        if (missing.length > 0) {
+            return { error: `CSV is missing column(s): ${missing.join(', ')}` };
+        }
+        
+        return { source: 'csv', rows };
+    }
+    
+    if (body && Array.isArray(body.orders)) {
+        return {
+            source: 'json',
+            rows: body.orders.map((order, index) => ({ ...order, line: index + 1 }))
+        };
+    }
+    
+    return { error: 'Send a CSV, or JSON with an orders array' };
+}
+
+// Validate every line, price the whole batch and debit the wallet once. Each
+// line becomes its own order (so it is delivered, tracked and refunded on its
+// own) tagged with the batch id. Nothing is charged if any line is invalid.
+async function placeBulkOrder(userId, { source, rows }) {
+    if (rows.length === 0) {
+        return { error: 'No order lines provided', statusCode: 400 };
+    }
+    
+    if (rows.length > BULK_ORDER_MAX_LINES) {
+        return { error: `A bulk order is limited to ${BULK_ORDER_MAX_LINES} lines`, statusCode: 400 };
+    }
+    
+    const [products] = await pool.query('SELECT * FROM data_bundle_products WHERE status = "active"');
+    
+    const lines = rows.map(row => {
+        const network = BUNDLE_NETWORKS.find(name => name.toLowerCase() === String(row.network || '').trim().toLowerCase());
+        const bundleSize = String(row.bundle_size || '').replace(/\s+/g, '').toUpperCase();
+        const beneficiary = network && row.beneficiary_number
+            ? checkBeneficiary(row.beneficiary_number, network, { allowPorted: isTruthyFlag(row.allow_ported) })
+            : null;
+        const errors = [];
+        
+        if (!network) {
+            errors.push('Invalid network');
+        }
+        if (!bundleSize) {
+            errors.push('bundle_size is required');
+        }
+        if (!row.beneficiary_number) {
+            errors.push('beneficiary_number is required');
+        }
+        if (beneficiary && beneficiary.error) {
+            errors.push(beneficiary.error);
+        }
+        
+        const product = products.find(candidate => candidate.network === network && candidate.bundle_size.toUpperCase() === bundleSize);
+        if (network && bundleSize && !product) {
+            errors.push('Invalid bundle selection');
+        }
+        
+        return {
+            line: row.line,
+            network,
+            bundle_size: product ? product.bundle_size : bundleSize,
+            beneficiary_number: beneficiary && beneficiary.number,
+            warning: beneficiary && beneficiary.warning,
+            product,
+            errors
+        };
+    });
+    
+    const invalid = lines.filter(line => line.errors.length > 0);
+    if (invalid.length > 0) {
+        return {
+            error: `${invalid.length} of ${lines.length} lines are invalid; nothing was charged`,
+            statusCode: 400,
+            lines: invalid.map(line => ({ line: line.line, errors: line.errors }))
+        };
+    }
+    
+    const result = await withTransaction(pool, async connection => {
+        const wallet = await lockWallet(connection, userId);
+        
+        if (!wallet) {
+            return { error: 'Insufficient wallet balance', statusCode: 400 };
+        }
+        
+        // Same pricing as a single purchase, at the moment of purchase
+        const promotions = await getRunningPromotions(connection);
+        const discountPercent = await getLevelDiscount(wallet.level, connection);
+        
+        lines.forEach(line => {
+            line.pricing = promoPricing(line.product, promotions);
+            line.price = applyLevelDiscount(line.pricing.price, discountPercent);
+        });
+        
+        const total = Math.round(lines.reduce((sum, line) => sum + line.price * 100, 0)) / 100;
+        
+        if (Number(wallet.balance) < total) {
+            return { error: `Insufficient wallet balance: this batch costs GHS ${total.toFixed(2)}`, statusCode: 400 };
+        }
+        
+        const batchId = `BULK-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+        const description = `Bulk order ${batchId} (${lines.length} bundles)`;
+        
+        await debitWallet(connection, userId, total, {
+            transactionId: batchId,
+            contraAccount: 'system:sales',
+            description
+        });
+        
+        await connection.query(
+            'INSERT INTO wallet_transactions (user_id, transaction_id, reference, type, amount, description, status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [userId, batchId, batchId, 'debit', total, description, 'completed']
+        );
+        
+        await connection.query(
+            'INSERT INTO bulk_order_batches (batch_id, user_id, source, total_lines, total_amount) VALUES (?, ?, ?, ?, ?)',
+            [batchId, userId, source, lines.length, total]
+        );
+        
+        const orders = [];
+        for (const line of lines) {
+            const orderId = await nextOrderId(connection);
+            
+            await connection.query(
+                `INSERT INTO orders (order_id, user_id, order_type, product_name, network, bundle_size, amount, product_id, list_price, promotion_id, batch_id, batch_line, beneficiary_number, status) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    orderId,
+                    userId,
+                    'data_bundle',
+                    `${line.network} ${line.bundle_size}`,
+                    line.network,
+                    line.bundle_size,
+                    line.price,
+                    line.product.id,
+                    line.product.price,
+                    line.pricing.promotion ? line.pricing.promotion.id : null,
+                    batchId,
+                    line.line,
+                    line.beneficiary_number,
+                    'processing'
+                ]
+            );
+            await recordPortedWarning(orderId, line.warning, connection);
+            
+            orders.push({
+                line: line.line,
+                order_id: orderId,
+                network: line.network,
+                bundle_size: line.bundle_size,
+                beneficiary_number: line.beneficiary_number,
+                amount: line.price,
+                warning: line.warning || undefined
+            });
+        }
+        
+        return { batchId, total, orders };
+    });
+    
+    if (result.error) {
+        return result;
+    }
+    
+    // One at a time so a big batch doesn't flood the vendor
+    (async () => {
+        for (const order of result.orders) {
+            notifyOrderStatus(order.order_id, 'processing');
+            await dispatchOrder(order.order_id);
+        }
+    })();
+    
+    return result;
+}
+
+// Batch summary plus per-line progress. Failed lines are refunded to the
+// wallet one by one (see refundOrder), so they show up here as 'refunded'.
+async function getBulkBatch(userId, batchId) {
+    const [batches] = await pool.query(
+        'SELECT batch_id, source, total_lines, total_amount, created_at FROM bulk_order_batches WHERE batch_id = ? AND user_id = ?',
+        [batchId, userId]
+    );
+    
+    if (batches.length === 0) return null;
+    
+    const [lines] = await pool.query(
+        `SELECT batch_line as line, order_id, network, bundle_size, beneficiary_number, amount, status, created_at, delivered_at 
+         FROM orders WHERE batch_id = ? AND user_id = ? ORDER BY batch_line`,
+        [batchId, userId]
+    );
+    
+    const counts = { processing: 0, completed: 0, failed: 0, refunded: 0 };
+    let refundedAmount = 0;
+    
+    lines.forEach(line => {
+        counts[line.status] = (counts[line.status] || 0) + 1;
+        if (line.status === 'refunded') refundedAmount += Number(line.amount) * 100;
+    });
+    
+    return {
+        ...batches[0],
+        status: counts.processing > 0 ? 'processing' : (counts.completed === lines.length ? 'completed' : 'completed_with_failures'),
+        progress: {
+            ...counts,
+            finished: lines.length - counts.processing,
+            refunded_amount: Math.round(refundedAmount) / 100
+        },
+        lines
+    };
+}
+
+// 87. BULK DATA BUNDLE ORDER
+// Accepts a text/csv body (columns: network, bundle_size, beneficiary_number,
+// optionally allow_ported for numbers ported to another network)
+// or JSON { csv } / { orders: [...] }
+app.post('/api/data/bulk', authenticateToken, express.text({ type: 'text/csv', limit: '1mb' }), async (req, res) => {
+    try {
+        const input = readBulkLines(req.body);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+        
+        const result = await placeBulkOrder(req.user.id, input);
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ error: result.error, lines: result.lines });
+        }
+        
+        res.json({
+            success: true,
+            message: `${result.orders.length} data bundle orders initiated`,
+            batch_id: result.batchId,
+            total_amount: result.total,
+            orders: result.orders
+        });
+    } catch (error) {
+        console.error('Bulk order error:', error);
+        res.status(500).json({ error: 'Bulk order failed' });
+    }
+});
+
+// 88. LIST BULK ORDERS
+app.get('/api/data/bulk', authenticateToken, async (req, res) => {
+    try {
+        const { limit = 20, offset = 0 } = req.query;
+        
+        const [batches] = await pool.query(
+            `SELECT b.batch_id, b.source, b.total_lines, b.total_amount, b.created_at, 
+                    SUM(o.status = 'processing') as processing, 
+                    SUM(o.status = 'completed') as completed, 
+                    SUM(o.status = 'refunded') as refunded 
+             FROM bulk_order_batches b LEFT JOIN orders o ON o.batch_id = b.batch_id 
+             WHERE b.user_id = ? GROUP BY b.id ORDER BY b.id DESC LIMIT ? OFFSET ?`,
+            [req.user.id, parseInt(limit), parseInt(offset)]
+        );
+        
+        res.json({ success: true, batches });
+    } catch (error) {
+        console.error('List bulk orders error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 89. BULK ORDER STATUS
+app.get('/api/data/bulk/:batchId', authenticateToken, async (req, res) => {
+    try {
+        const batch = await getBulkBatch(req.user.id, req.params.batchId);
+        
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        
+        res.json({ success: true, batch });
+    } catch (error) {
+        console.error('Bulk order status error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 90. V1: BULK ORDER
+// JSON only, so the whole body is covered by the request signature
+app.post('/api/v1/orders/bulk', authenticateApiKey, async (req, res) => {
+    try {
+        const input = readBulkLines(req.body);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+        
+        const result = await placeBulkOrder(req.user.id, input);
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ error: result.error, lines: result.lines });
+        }
+        
+        res.status(201).json({
+            success: true,
+            batch_id: result.batchId,
+            total_amount: result.total,
+            orders: result.orders
+        });
+    } catch (error) {
+        console.error('V1 bulk order error:', error);
+        res.status(500).json({ error: 'Bulk order failed' });
+    }
+});
+
+// 91. V1: BULK ORDER STATUS
+app.get('/api/v1/orders/bulk/:batchId', authenticateApiKey, async (req, res) => {
+    try {
+        const batch = await getBulkBatch(req.user.id, req.params.batchId);
+        
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        
+        res.json({ success: true, batch });
+    } catch (error) {
+        console.error('V1 bulk order status error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ========== SAVED BENEFICIARIES & REPEAT ORDERS ==========
+
+const MAX_SAVED_BENEFICIARIES = 50;
+
+async function getSavedBeneficiary(userId, id) {
+    const [beneficiaries] = await pool.query(
+        'SELECT * FROM saved_beneficiaries WHERE id = ? AND user_id = ?',
+        [id, userId]
+    );
+    return beneficiaries[0] || null;
+}
+
+// Check label, number and network for a saved beneficiary. The default
+// network falls back to the one the number's prefix belongs to. A default
+// network other than the prefix's needs allow_ported (the number was ported),
+// which is then stored so orders to the saved number don't have to repeat it.
+function validateSavedBeneficiary({ label, phone_number, default_network, allow_ported }) {
+    const trimmedLabel = String(label || '').trim();
+    
+    if (!trimmedLabel || trimmedLabel.length > 50) {
+        return { error: 'label is required (at most 50 characters)' };
+    }
+    
+    const phone = normalizeGhanaPhone(phone_number);
+    if (!phone || !phone.network) {
+        return { error: 'phone_number must be a valid MTN, Telecel or AirtelTigo number' };
+    }
+    
+    if (default_network && !BUNDLE_NETWORKS.includes(default_network)) {
+        return { error: `default_network must be one of ${BUNDLE_NETWORKS.join(', ')}` };
+    }
+    
+    const network = default_network || phone.network;
+    const beneficiary = checkBeneficiary(phone.e164, network, { allowPorted: isTruthyFlag(allow_ported) });
+    if (beneficiary.error) {
+        return { error: beneficiary.error };
+    }
+    
+    return {
+        fields: {
+            label: trimmedLabel,
+            phone_number: phone.e164,
+            default_network: network,
+            allow_ported: Boolean(beneficiary.warning)
+        }
+    };
+}
+
+// Order fields for a saved beneficiary. Its ported flag only holds for the
+// network it was saved with, not for a different network asked for now.
+function savedBeneficiaryOrder(saved, { network, allow_ported }) {
+    const orderNetwork = network || saved.default_network;
+    
+    return {
+        network: orderNetwork,
+        beneficiary_number: saved.phone_number,
+        allow_ported: allow_ported || (Boolean(saved.allow_ported) && orderNetwork === saved.default_network)
+    };
+}
+
+// 92. LIST SAVED BENEFICIARIES
+app.get('/api/beneficiaries', authenticateToken, async (req, res) => {
+    try {
+        const [beneficiaries] = await pool.query(
+            `SELECT id, label, phone_number, default_network, allow_ported, last_used_at, created_at 
+             FROM saved_beneficiaries WHERE user_id = ? 
+             ORDER BY last_used_at IS NULL, last_used_at DESC, label`,
+            [req.user.id]
+        );
+        
+        res.json({ success: true, beneficiaries });
+    } catch (error) {
+        console.error('List beneficiaries error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 93. SAVE BENEFICIARY
+// { label, phone_number, default_network?, allow_ported? }
+app.post('/api/beneficiaries', authenticateToken, async (req, res) => {
+    try {
+        const { fields, error } = validateSavedBeneficiary(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const [count] = await pool.query(
+            'SELECT COUNT(*) as count FROM saved_beneficiaries WHERE user_id = ?',
+            [req.user.id]
+        );
+        
+        if (count[0].count >= MAX_SAVED_BENEFICIARIES) {
+            return res.status(400).json({ error: `You can save up to ${MAX_SAVED_BENEFICIARIES} beneficiaries` });
+        }
+        
+        const [result] = await pool.query(
+            'INSERT INTO saved_beneficiaries (user_id, label, phone_number, default_network, allow_ported) VALUES (?, ?, ?, ?, ?)',
+            [req.user.id, fields.label, fields.phone_number, fields.default_network, fields.allow_ported]
+        );
+        
+        res.status(201).json({ success: true, beneficiary: { id: result.insertId, ...fields } });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'This number is already saved' });
+        }
+        console.error('Save beneficiary error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 94. UPDATE SAVED BENEFICIARY
+app.put('/api/beneficiaries/:id', authenticateToken, async (req, res) => {
+    try {
+        const saved = await getSavedBeneficiary(req.user.id, req.params.id);
+        
+        if (!saved) {
+            return res.status(404).json({ error: 'Beneficiary not found' });
+        }
+        
+        // A new number without a network gets the new number's network
+        const { fields, error } = validateSavedBeneficiary({
+            label: req.body.label !== undefined ? req.body.label : saved.label,
+            phone_number: req.body.phone_number !== undefined ? req.body.phone_number : saved.phone_number,
+            default_network: req.body.default_network !== undefined || req.body.phone_number !== undefined
+                ? req.body.default_network
+                : saved.default_network,
+            allow_ported: req.body.allow_ported !== undefined ? req.body.allow_ported : saved.allow_ported
+        });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        await pool.query(
+            'UPDATE saved_beneficiaries SET label = ?, phone_number = ?, default_network = ?, allow_ported = ? WHERE id = ?',
+            [fields.label, fields.phone_number, fields.default_network, fields.allow_ported, saved.id]
+        );
+        
+        res.json({ success: true, beneficiary: { id: saved.id, ...fields } });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'This number is already saved' });
+        }
+        console.error('Update beneficiary error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 95. DELETE SAVED BENEFICIARY
+app.delete('/api/beneficiaries/:id', authenticateToken, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'DELETE FROM saved_beneficiaries WHERE id = ? AND user_id = ?',
+            [req.params.id, req.user.id]
+        );
+        
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Beneficiary not found' });
+        }
+        
+        res.json({ success: true, message: 'Beneficiary deleted' });
+    } catch (error) {
+        console.error('Delete beneficiary error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 96. REPEAT ORDER
+// Buys the same bundle for the same number again, at today's price (current
+// catalog price, promotions and wallet level), paid from the wallet.
+app.post('/api/orders/:orderId/repeat', authenticateToken, async (req, res) => {
+    try {
+        const [orders] = await pool.query(
+            'SELECT order_id, order_type, network, bundle_size, beneficiary_number, status FROM orders WHERE order_id = ? AND user_id = ?',
+            [req.params.orderId, req.user.id]
+        );
+        
+        if (orders.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        const original = orders[0];
+        const { purchase, error, statusCode } = repeatOrderPurchase(original, { allowPorted: req.body.allow_ported });
+        
+        if (error) {
+            return res.status(statusCode).json({ error, order_type: original.order_type });
+        }
+        
+        const [available] = await pool.query(
+            'SELECT id FROM data_bundle_products WHERE network = ? AND bundle_size = ? AND status = "active"',
+            [original.network, original.bundle_size]
+        );
+        
+        if (available.length === 0) {
+            return res.status(400).json({ error: `${original.network} ${original.bundle_size} is no longer available` });
+        }
+        
+        const result = await purchaseDataBundle(req.user.id, purchase);
+        
+        if (result.error) {
+            return res.status(result.statusCode).json({ error: result.error, detected_network: result.detectedNetwork });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Data bundle purchase initiated',
+            order_id: result.orderId,
+            repeat_of: original.order_id,
+            amount: result.price,
+            status: 'processing',
+            beneficiary: result.beneficiary,
+            warning: result.warning || undefined
+        });
+    } catch (error) {
+        console.error('Repeat order error:', error);
+        res.status(500).json({ error: 'Data purchase failed' });
+    }
+});
+
+// ========== NOTIFICATIONS ==========
+
+// In-app notice for a user, also sent to their webhook URL (if they have one)
+// as `type`. Never throws; a lost notice must not undo the work behind it.
+async function notifyUser(userId, { type, title, message, data = {} }) {
+    try {
+        await pool.query(
+            'INSERT INTO user_notifications (user_id, type, title, message, data) VALUES (?, ?, ?, ?, ?)',
+            [userId, type, title, message, JSON.stringify(data)]
+        );
+        
+        await queueWebhookEvent(userId, type, { title, message, ...data });
+    } catch (error) {
+        console.error('User notification error:', error);
+    }
+}
+
+// 97. LIST NOTIFICATIONS
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+    try {
+        const { unread, limit = 20, offset = 0 } = req.query;
+        
+        const [notifications] = await pool.query(
+            `SELECT id, type, title, message, data, read_at, created_at FROM user_notifications 
+             WHERE user_id = ?${unread === 'true' ? ' AND read_at IS NULL' : ''} 
+             ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [req.user.id, parseInt(limit), parseInt(offset)]
+        );
+        
+        const [count] = await pool.query(
+            'SELECT COUNT(*) as count FROM user_notifications WHERE user_id = ? AND read_at IS NULL',
+            [req.user.id]
+        );
+        
+        res.json({ success: true, unread_count: count[0].count, notifications });
+    } catch (error) {
+        console.error('Notifications error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// 98. MARK NOTIFICATIONS READ
+// :id is a notification id, or "all"
+app.post('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+    try {
+        const [result] = req.params.id === 'all'
+            ? await pool.query(
+                'UPDATE user_notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL',
+                [req.user.id]
+            )
+            : await pool.query(
+                'UPDATE user_notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = ? AND user_id = ?',
+                [req.params.id, req.user.id]
+            );
+        
+        if (req.params.id !== 'all' && result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+        
+        res.json({ success: true, marked: result.affectedRows });
+    } catch (error) {
+        console.error('Mark notification error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
 });
 
-// ========== DATA BUNDLE API ==========
+// ========== BUNDLE SUBSCRIPTIONS ==========
+
+const SUBSCRIPTION_CADENCES = ['on_expiry', 'daily', 'weekly', 'monthly'];
+const SUBSCRIPTION_WEBHOOK_EVENTS = ['subscription.paused'];
+const MAX_ACTIVE_SUBSCRIPTIONS = 20;
+const SUBSCRIPTION_INTERVAL_MS = (parseFloat(process.env.SUBSCRIPTION_INTERVAL_MINUTES) || 5) * 60 * 1000;
+
+let subscriptionJobRunning = false;
+
+// When the next bundle is due after one bought at `from`. on_expiry renews
+// when the bundle just bought runs out.
+function nextRenewal(cadence, validityDays, from = new Date()) {
+    const next = new Date(from);
+    
+    if (cadence === 'monthly') {
+        next.setMonth(next.getMonth() + 1);
+    } else {
+        next.setDate(next.getDate() + ({ daily: 1, weekly: 7 }[cadence] || validityDays || 30));
+    }
+    
+    return next;
+}
+
+async function getSubscription(userId, id) {
+    const [subscriptions] = await pool.query(
+        `SELECT s.*, p.price as current_price, p.validity_days, p.status as product_status 
+         FROM bundle_subscriptions s LEFT JOIN data_bundle_products p ON p.id = s.product_id 
+         WHERE s.id = ? AND s.user_id = ?`,
+        [id, userId]
+    );
+    return subscriptions[0] || null;
+}
+
+async function pauseSubscription(subscription, reason, pausedBy) {
+    await pool.query(
+        'UPDATE bundle_subscriptions SET status = "paused", paused_by = ?, pause_reason = ? WHERE id = ? AND status = "active"',
+        [pausedBy, reason, subscription.id]
+    );
+}
+
+// Place one renewal from the wallet. The purchase re-checks the subscription
+// under a row lock and advances next_run_at in the same transaction as the
+// debit, so a subscription paused or cancelled mid-run is not charged and a
+// crash can never leave a paid renewal still due. Any other refusal (low
+// balance, bundle gone, number no longer valid) will not fix itself by
+// retrying, so the subscription is paused and the user told; they resume it
+// once sorted.
+async function renewSubscription(subscription) {
+    const result = await purchaseDataBundle(subscription.user_id, {
+        network: subscription.network,
+        bundle_size: subscription.bundle_size,
+        beneficiary_number: subscription.beneficiary_number,
+        allow_ported: subscription.allow_ported
+    }, {
+        subscription: { id: subscription.id, nextRunAt: nextRenewal(subscription.cadence, subscription.validity_days) }
+    });
+    
+    if (result.notDue) {
+        return { renewed: false, reason: result.error };
+    }
+    
+    if (result.error) {
+        const lowBalance = result.error.startsWith('Insufficient wallet balance');
+        const reason = lowBalance ? 'Insufficient wallet balance' : result.error;
+        
+        await pauseSubscription(subscription, reason, 'system');
+        await notifyUser(subscription.user_id, {
+            type: 'subscription.paused',
+            title: lowBalance ? 'Top up to keep your bundle renewing' : 'Bundle subscription paused',
+            message: `Your ${subscription.network} ${subscription.bundle_size} renewal for ${subscription.beneficiary_number} was paused: ${reason}. Resume it once this is sorted.`,
+            data: { subscription_id: subscription.id, reason }
+        });
+        
+        console.log(`⏸️ Subscription #${subscription.id} paused: ${reason}`);
+        return { renewed: false, reason };
+    }
+    
+    return { renewed: true, orderId: result.orderId };
+}
+
+async function runSubscriptionJob() {
+    // A slow run must not overlap the next tick and buy the same renewal twice
+    if (subscriptionJobRunning) return;
+    subscriptionJobRunning = true;
+    
+    try {
+        const [due] = await pool.query(
+            `SELECT s.*, p.validity_days FROM bundle_subscriptions s 
+             JOIN users u ON u.id = s.user_id 
+             LEFT JOIN data_bundle_products p ON p.id = s.product_id 
+             WHERE s.status = "active" AND s.next_run_at <= NOW() AND u.status = "active" 
+             ORDER BY s.next_run_at LIMIT 200`
+        );
+        
+        let renewed = 0;
+        for (const subscription of due) {
+            try {
+                const result = await renewSubscription(subscription);
+                if (result.renewed) renewed++;
+            } catch (error) {
+                // Left due, so the next run tries again
+                console.error(`Subscription #${subscription.id} renewal error:`, error);
+            }
+        }
+        
+        if (due.length > 0) {
+            console.log(`🔁 Subscriptions: ${renewed} of ${due.length} renewed`);
+        }
+    } finally {
+        subscriptionJobRunning = false;
+    }
+}
+
+// Renewals that fell due while the server was down are placed on start
+function startSubscriptionJob() {
+    const run = () => runSubscriptionJob().catch(error => console.error('Subscription job error:', error));
+    
+    run();
+    setInterval(run, SUBSCRIPTION_INTERVAL_MS);
+}
+
+// A refunded renewal never delivered its bundle. The subscription keeps its
+// schedule (renewing again straight away would most likely fail the same
+// way), so the user is told and can buy the bundle now if they need it.
+async function notifySubscriptionRefund(subscriptionId, { order_id: orderId, amount, reason }) {
+    const [subscriptions] = await pool.query('SELECT * FROM bundle_subscriptions WHERE id = ?', [subscriptionId]);
+    const subscription = subscriptions[0];
+    
+    if (!subscription) return;
+    
+    const next = subscription.status === 'active'
+        ? `It will renew again on ${new Date(subscription.next_run_at).toDateString()}; buy the bundle now if you need it sooner.`
+        : 'Buy the bundle now if you still need it.';
+    
+    await notifyUser(subscription.user_id, {
+        type: 'subscription.renewal_refunded',
+        title: 'Bundle renewal refunded',
+        message: `Your ${subscription.network} ${subscription.bundle_size} renewal for ${subscription.beneficiary_number} (order #${orderId}) was not delivered and GHS ${amount} was returned to your wallet: ${reason}. ${next}`,
+        data: { subscription_id: subscription.id, order_id: orderId, reason }
+    });
+}
 
-// 9. GET AVAILABLE DATA BUNDLES
-app.get('/api/data/bundles', async (req, res) => {
+// 99. LIST SUBSCRIPTIONS
+app.get('/api/subscriptions', authenticateToken, async (req, res) => {
     try {
-        const [products] = await pool.query(
-            'SELECT * FROM data_bundle_products WHERE status = "active" ORDER BY network, price'
+        const [subscriptions] = await pool.query(
+            `SELECT s.id, s.network, s.bundle_size, s.beneficiary_number, s.cadence, s.status, s.pause_reason, 
+                    s.next_run_at, s.last_order_id, s.last_renewed_at, s.renewals, s.created_at, p.price as base_price 
+             FROM bundle_subscriptions s LEFT JOIN data_bundle_products p ON p.id = s.product_id 
+             WHERE s.user_id = ? AND s.status != "cancelled" ORDER BY s.next_run_at`,
+            [req.user.id]
         );
         
-        const bundles = {};
-        products.forEach(product => {
-            if (!bundles[product.network]) {
-                bundles[product.network] = [];
-            }
-            bundles[product.network].push({
-                size: product.bundle_size,
-                price: product.price,
-                validity: `${product.validity_days} days`
-            });
-        });
-        
-        res.json({ success: true, bundles });
+        res.json({ success: true, subscriptions });
     } catch (error) {
-        console.error('Bundles error:', error);
-        res.status(500).json({ error: 'Failed to fetch bundles' });
+        console.error('List subscriptions error:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-// 10. BUY DATA BUNDLE
-app.post('/api/data/buy', authenticateToken, async (req, res) => {
+// 100. CREATE SUBSCRIPTION
+// { network, bundle_size, beneficiary_number | beneficiary_id, cadence, start_at? }
+// The first bundle is bought at start_at (default: the next scheduler run),
+// then by cadence. Each renewal is charged at the price of the day.
+app.post('/api/subscriptions', authenticateToken, async (req, res) => {
     try {
-        const { network, bundle_size, beneficiary_number } = req.body;
+        let { network, bundle_size, beneficiary_number, cadence = 'on_expiry', start_at, allow_ported } = req.body;
         
-        if (!['MTN', 'Telecel', 'AirtelTigo'].includes(network)) {
-            return res.status(400).json({ error: 'Invalid network' });
+        if (req.body.beneficiary_id) {
+            const saved = await getSavedBeneficiary(req.user.id, req.body.beneficiary_id);
+            
+            if (!saved) {
+                return res.status(404).json({ error: 'Saved beneficiary not found' });
+            }
+            
+            ({ network, beneficiary_number, allow_ported } = savedBeneficiaryOrder(saved, { network, allow_ported }));
+        }
+        
+        if (!SUBSCRIPTION_CADENCES.includes(cadence)) {
+            return res.status(400).json({ error: `cadence must be one of ${SUBSCRIPTION_CADENCES.join(', ')}` });
         }
         
         if (!bundle_size || !beneficiary_number) {
@@ -569,358 +7695,140 @@ app.post('/api/data/buy', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'Invalid bundle selection' });
         }
         
-        const price = product[0].price;
-        
-        const [wallets] = await pool.query(
-            'SELECT balance FROM wallets WHERE user_id = ?',
-            [req.user.id]
-        );
-        
-        if (wallets[0].balance < price) {
-            return res.status(400).json({ error: 'Insufficient wallet balance' });
+        const beneficiary = checkBeneficiary(beneficiary_number, network, { allowPorted: isTruthyFlag(allow_ported) });
+        if (beneficiary.error) {
+            return res.status(400).json({ error: beneficiary.error, detected_network: beneficiary.detectedNetwork });
         }
         
-        const [seq] = await pool.query('SELECT last_number FROM order_sequence');
-        const orderId = `BUZZ-${seq[0].last_number + 1}`;
-        
-        await pool.query('START TRANSACTION');
-        
-        try {
-            await pool.query(
-                'UPDATE wallets SET balance = balance - ? WHERE user_id = ?',
-                [price, req.user.id]
-            );
-            
-            const transactionId = `DATA-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-            
-            await pool.query(
-                'INSERT INTO wallet_transactions (user_id, transaction_id, type, amount, description, status) VALUES (?, ?, ?, ?, ?, ?)',
-                [
-                    req.user.id,
-                    transactionId,
-                    'debit',
-                    price,
-                    `${network} ${bundle_size} data bundle`,
-                    'completed'
-                ]
-            );
-            
-            await pool.query(
-                `INSERT INTO orders (order_id, user_id, order_type, product_name, network, bundle_size, amount, beneficiary_number, status) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [
-                    orderId,
-                    req.user.id,
-                    'data_bundle',
-                    `${network} ${bundle_size}`,
-                    network,
-                    bundle_size,
-                    price,
-                    beneficiary_number,
-                    'processing'
-                ]
-            );
-            
-            await pool.query(
-                'UPDATE order_sequence SET last_number = last_number + 1'
-            );
-            
-            await pool.query('COMMIT');
-            
-            // SIMULATE DATA DELIVERY (Replace with actual vendor API call)
-            setTimeout(async () => {
-                try {
-                    await pool.query(
-                        'UPDATE orders SET status = "completed", delivered_at = NOW() WHERE order_id = ?',
-                        [orderId]
-                    );
-                    console.log(`✅ Data bundle delivered: ${orderId}`);
-                } catch (err) {
-                    console.error('Delivery update error:', err);
-                }
-            }, 3000);
-            
-            res.json({
-                success: true,
-                message: 'Data bundle purchase initiated',
-                order_id: orderId,
-                amount: price,
-                status: 'processing',
-                beneficiary: beneficiary_number
-            });
-            
-        } catch (error) {
-            await pool.query('ROLLBACK');
-            throw error;
+        const startAt = start_at ? new Date(start_at) : new Date();
+        if (isNaN(startAt)) {
+            return res.status(400).json({ error: 'start_at must be a valid date' });
         }
         
-    } catch (error) {
-        console.error('Data purchase error:', error);
-        res.status(500).json({ error: 'Data purchase failed' });
-    }
-});
-
-// 11. CHECK ORDER STATUS
-app.get('/api/orders/:orderId', authenticateToken, async (req, res) => {
-    try {
-        const [orders] = await pool.query(
-            'SELECT * FROM orders WHERE order_id = ? AND user_id = ?',
-            [req.params.orderId, req.user.id]
+        const [active] = await pool.query(
+            'SELECT COUNT(*) as count FROM bundle_subscriptions WHERE user_id = ? AND status != "cancelled"',
+            [req.user.id]
         );
         
-        if (orders.length === 0) {
-            return res.status(404).json({ error: 'Order not found' });
-        }
-        
-        res.json({ success: true, order: orders[0] });
-    } catch (error) {
-        res.status(500).json({ error: 'Server error' });
-    }
-});
-
-// 12. GET USER ORDERS
-app.get('/api/orders', authenticateToken, async (req, res) => {
-    try {
-        const { status, limit = 20, offset = 0 } = req.query;
-        
-        let query = 'SELECT * FROM orders WHERE user_id = ?';
-        const params = [req.user.id];
-        
-        if (status) {
-            query += ' AND status = ?';
-            params.push(status);
+        if (active[0].count >= MAX_ACTIVE_SUBSCRIPTIONS) {
+            return res.status(400).json({ error: `You can have up to ${MAX_ACTIVE_SUBSCRIPTIONS} subscriptions` });
         }
         
-        query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-        params.push(parseInt(limit), parseInt(offset));
-        
-        const [orders] = await pool.query(query, params);
-        
-        const [total] = await pool.query(
-            'SELECT COUNT(*) as count FROM orders WHERE user_id = ?',
-            [req.user.id]
+        const [result] = await pool.query(
+            `INSERT INTO bundle_subscriptions (user_id, product_id, network, bundle_size, beneficiary_number, allow_ported, cadence, next_run_at) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.id, product[0].id, network, product[0].bundle_size, beneficiary.number, Boolean(beneficiary.warning), cadence, startAt]
         );
         
-        res.json({
+        res.status(201).json({
             success: true,
-            orders,
-            pagination: {
-                total: total[0].count,
-                limit: parseInt(limit),
-                offset: parseInt(offset)
-            }
+            message: 'Subscription created',
+            subscription: await getSubscription(req.user.id, result.insertId),
+            warning: beneficiary.warning || undefined
         });
     } catch (error) {
-        console.error('Orders error:', error);
+        console.error('Create subscription error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// ========== ADMIN ENDPOINTS ==========
-
-// 13. GET ALL USERS (Admin only)
-app.get('/api/admin/users', authenticateToken, async (req, res) => {
+// 101. SUBSCRIPTION DETAILS (with the orders it placed)
+app.get('/api/subscriptions/:id', authenticateToken, async (req, res) => {
     try {
-        const [user] = await pool.query('SELECT role FROM users WHERE id = ?', [req.user.id]);
-        if (user[0].role !== 'admin' && user[0].role !== 'super_admin') {
-            return res.status(403).json({ error: 'Admin access required' });
+        const subscription = await getSubscription(req.user.id, req.params.id);
+        
+        if (!subscription) {
+            return res.status(404).json({ error: 'Subscription not found' });
         }
         
-        const [users] = await pool.query(`
-            SELECT u.*, w.balance, w.level 
-            FROM users u 
-            LEFT JOIN wallets w ON u.id = w.user_id 
-            ORDER BY u.created_at DESC
-        `);
+        const [orders] = await pool.query(
+            `SELECT order_id, amount, status, created_at, delivered_at FROM orders 
+             WHERE subscription_id = ? AND user_id = ? ORDER BY id DESC LIMIT 20`,
+            [subscription.id, req.user.id]
+        );
         
-        res.json({ success: true, users });
+        res.json({ success: true, subscription, orders });
     } catch (error) {
-        console.error('Admin users error:', error);
+        console.error('Subscription details error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// 14. GET SYSTEM STATS (Admin only)
-app.get('/api/admin/stats', authenticateToken, async (req, res) => {
+// 102. PAUSE SUBSCRIPTION
+app.post('/api/subscriptions/:id/pause', authenticateToken, async (req, res) => {
     try {
-        const [user] = await pool.query('SELECT role FROM users WHERE id = ?', [req.user.id]);
-        if (user[0].role !== 'admin' && user[0].role !== 'super_admin') {
-            return res.status(403).json({ error: 'Admin access required' });
+        const subscription = await getSubscription(req.user.id, req.params.id);
+        
+        if (!subscription) {
+            return res.status(404).json({ error: 'Subscription not found' });
         }
         
-        const [userCount] = await pool.query('SELECT COUNT(*) as count FROM users');
-        const [orderCount] = await pool.query('SELECT COUNT(*) as count FROM orders');
-        const [todayOrders] = await pool.query(
-            'SELECT COUNT(*) as count FROM orders WHERE DATE(created_at) = CURDATE()'
-        );
-        const [totalRevenue] = await pool.query(
-            'SELECT SUM(amount) as total FROM orders WHERE status = "completed"'
-        );
-        const [walletTotal] = await pool.query('SELECT SUM(balance) as total FROM wallets');
+        if (subscription.status !== 'active') {
+            return res.status(400).json({ error: `Subscription is ${subscription.status}` });
+        }
         
-        res.json({
-            success: true,
-            stats: {
-                total_users: userCount[0].count,
-                total_orders: orderCount[0].count,
-                today_orders: todayOrders[0].count,
-                total_revenue: totalRevenue[0].total || 0,
-                total_wallet_balance: walletTotal[0].total || 0
-            }
-        });
+        await pauseSubscription(subscription, 'Paused by user', 'user');
+        
+        res.json({ success: true, message: 'Subscription paused' });
     } catch (error) {
-        console.error('Admin stats error:', error);
+        console.error('Pause subscription error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// ========== UTILITY ENDPOINTS ==========
-
-// 15. HEALTH CHECK
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'ok',
-        service: 'BuyBuzz DataHub API',
-        version: '1.0.0',
-        timestamp: new Date().toISOString(),
-        features: ['auth', 'wallet', 'paystack', 'data-bundles', 'orders']
-    });
-});
-
-// 16. UPDATE BUNDLE PRICES (Admin)
-app.put('/api/admin/bundle/:id', authenticateToken, async (req, res) => {
+// 103. RESUME SUBSCRIPTION
+// A renewal missed while paused is bought on the next scheduler run
+app.post('/api/subscriptions/:id/resume', authenticateToken, async (req, res) => {
     try {
-        const [user] = await pool.query('SELECT role FROM users WHERE id = ?', [req.user.id]);
-        if (user[0].role !== 'admin' && user[0].role !== 'super_admin') {
-            return res.status(403).json({ error: 'Admin access required' });
-        }
-        
-        const { price, status } = req.body;
-        
-        if (price !== undefined && (isNaN(price) || price <= 0)) {
-            return res.status(400).json({ error: 'Invalid price' });
-        }
-        
-        const updates = [];
-        const params = [];
+        const subscription = await getSubscription(req.user.id, req.params.id);
         
-        if (price !== undefined) {
-            updates.push('price = ?');
-            params.push(price);
+        if (!subscription) {
+            return res.status(404).json({ error: 'Subscription not found' });
         }
         
-        if (status !== undefined && ['active', 'inactive'].includes(status)) {
-            updates.push('status = ?');
-            params.push(status);
+        if (subscription.status !== 'paused') {
+            return res.status(400).json({ error: `Subscription is ${subscription.status}` });
         }
         
-        if (updates.length === 0) {
-            return res.status(400).json({ error: 'No updates provided' });
+        if (subscription.product_status !== 'active') {
+            return res.status(400).json({ error: `${subscription.network} ${subscription.bundle_size} is no longer available` });
         }
         
-        params.push(req.params.id);
-        
         await pool.query(
-            `UPDATE data_bundle_products SET ${updates.join(', ')} WHERE id = ?`,
-            params
+            `UPDATE bundle_subscriptions SET status = "active", paused_by = NULL, pause_reason = NULL, 
+             next_run_at = GREATEST(next_run_at, NOW()) WHERE id = ?`,
+            [subscription.id]
         );
         
-        res.json({ success: true, message: 'Bundle updated successfully' });
+        res.json({ success: true, message: 'Subscription resumed', subscription: await getSubscription(req.user.id, subscription.id) });
     } catch (error) {
-        console.error('Update bundle error:', error);
+        console.error('Resume subscription error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// 17. WALLET-TO-WALLET TRANSFER
-app.post('/api/wallet/transfer', authenticateToken, async (req, res) => {
+// 104. CANCEL SUBSCRIPTION
+app.post('/api/subscriptions/:id/cancel', authenticateToken, async (req, res) => {
     try {
-        const { recipient_email, amount, note } = req.body;
-        
-        if (!recipient_email || !amount || amount <= 0) {
-            return res.status(400).json({ error: 'Valid recipient email and amount required' });
-        }
+        const subscription = await getSubscription(req.user.id, req.params.id);
         
-        if (recipient_email === req.user.email) {
-            return res.status(400).json({ error: 'Cannot transfer to yourself' });
+        if (!subscription) {
+            return res.status(404).json({ error: 'Subscription not found' });
         }
         
-        const [recipient] = await pool.query('SELECT id FROM users WHERE email = ?', [recipient_email]);
-        if (recipient.length === 0) {
-            return res.status(404).json({ error: 'Recipient not found' });
+        if (subscription.status === 'cancelled') {
+            return res.status(400).json({ error: 'Subscription is already cancelled' });
         }
         
-        const [senderWallet] = await pool.query(
-            'SELECT balance FROM wallets WHERE user_id = ?',
-            [req.user.id]
+        await pool.query(
+            'UPDATE bundle_subscriptions SET status = "cancelled", cancelled_at = NOW() WHERE id = ?',
+            [subscription.id]
         );
         
-        if (senderWallet[0].balance < amount) {
-            return res.status(400).json({ error: 'Insufficient balance' });
-        }
-        
-        await pool.query('START TRANSACTION');
-        
-        try {
-            // Deduct from sender
-            await pool.query(
-                'UPDATE wallets SET balance = balance - ? WHERE user_id = ?',
-                [amount, req.user.id]
-            );
-            
-            const senderTxId = `TRANSFER-OUT-${Date.now()}`;
-            await pool.query(
-                'INSERT INTO wallet_transactions (user_id, transaction_id, type, amount, description, status) VALUES (?, ?, ?, ?, ?, ?)',
-                [
-                    req.user.id,
-                    senderTxId,
-                    'transfer_out',
-                    amount,
-                    `Transfer to ${recipient_email}${note ? ': ' + note : ''}`,
-                    'completed'
-                ]
-            );
-            
-            // Add to recipient
-            await pool.query(
-                'UPDATE wallets SET balance = balance + ? WHERE user_id = ?',
-                [amount, recipient[0].id]
-            );
-            
-            const recipientTxId = `TRANSFER-IN-${Date.now()}`;
-            await pool.query(
-                'INSERT INTO wallet_transactions (user_id, transaction_id, type, amount, description, status) VALUES (?, ?, ?, ?, ?, ?)',
-                [
-                    recipient[0].id,
-                    recipientTxId,
-                    'transfer_in',
-                    amount,
-                    `Transfer from ${req.user.email}${note ? ': ' + note : ''}`,
-                    'completed'
-                ]
-            );
-            
-            await pool.query('COMMIT');
-            
-            const [updatedWallet] = await pool.query(
-                'SELECT balance FROM wallets WHERE user_id = ?',
-                [req.user.id]
-            );
-            
-            res.json({
-                success: true,
-                message: 'Transfer completed successfully',
-                new_balance: updatedWallet[0].balance
-            });
-            
-        } catch (error) {
-            await pool.query('ROLLBACK');
-            throw error;
-        }
-        
+        res.json({ success: true, message: 'Subscription cancelled' });
     } catch (error) {
-        console.error('Transfer error:', error);
-        res.status(500).json({ error: 'Transfer failed' });
+        console.error('Cancel subscription error:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
@@ -952,6 +7860,14 @@ app.use((err, req, res, next) => {
 
 async function startServer() {
     await initializeDB();
+    await resumeVendorDeliveries();
+    await retryPendingRefunds();
+    startWebhookWorker();
+    startReconciliationJob();
+    startWalletLevelJob();
+    startPaymentExpiryJob();
+    startSubscriptionJob();
+    startApiSignaturePurge();
     
     app.listen(PORT, () => {
         console.log(`🚀 Server running on http://localhost:${PORT}`);
@@ -965,16 +7881,70 @@ async function startServer() {
         console.log(`   POST /api/webhook/paystack     - Paystack webhook`);
         console.log(`   GET  /api/data/bundles         - Get available data bundles`);
         console.log(`   POST /api/data/buy             - Buy data bundle`);
+        console.log(`   POST /api/checkout             - Buy data bundle with Paystack (guest)`);
+        console.log(`   GET  /api/checkout/:reference  - Checkout order status`);
+        console.log(`   POST /api/data/bulk            - Bulk data bundle order (CSV/JSON)`);
+        console.log(`   GET  /api/data/bulk/:batchId   - Bulk order progress`);
+        console.log(`   POST /api/v1/orders/bulk       - V1: Bulk order`);
+        console.log(`   GET  /api/beneficiaries        - Saved beneficiaries`);
+        console.log(`   POST /api/beneficiaries        - Save beneficiary`);
+        console.log(`   POST /api/orders/:orderId/repeat - Repeat order at current price`);
+        console.log(`   GET  /api/subscriptions        - Bundle subscriptions`);
+        console.log(`   POST /api/subscriptions        - Subscribe to a bundle`);
+        console.log(`   POST /api/subscriptions/:id/pause|resume|cancel - Manage subscription`);
+        console.log(`   GET  /api/notifications        - In-app notifications`);
         console.log(`   GET  /api/orders               - Get user orders`);
         console.log(`   POST /api/wallet/transfer      - Wallet-to-wallet transfer`);
+        console.log(`   GET  /api/vouchers/products    - Results checker prices`);
+        console.log(`   POST /api/vouchers/buy         - Buy BECE/WASSCE results checker`);
+        console.log(`   GET  /api/vouchers/orders      - Purchased results checkers`);
+        console.log(`   POST /api/afa/register         - Register MTN AFA bundle`);
+        console.log(`   GET  /api/afa/registrations    - User AFA registrations`);
+        console.log(`   POST /api/api-keys             - Create reseller API key`);
+        console.log(`   GET  /api/v1/...               - Reseller API (HMAC-signed)`);
+        console.log(`   PUT  /api/webhooks             - Set order status callback URL`);
+        console.log(`   POST /api/webhooks/deliveries/:id/replay - Resend a notification`);
+        console.log(`   POST /api/withdrawals          - Request a wallet withdrawal`);
+        console.log(`   GET  /api/wallet/ledger        - Wallet ledger with running balance`);
+        console.log(`   GET  /api/wallet/level         - Wallet level, volume and discount`);
+        console.log(`   PUT  /api/storefront           - Set up agent storefront and markup`);
+        console.log(`   GET  /api/store/:slug          - Public agent storefront`);
+        console.log(`   POST /api/store/:slug/checkout - Guest checkout via Paystack`);
+        console.log(`   POST /api/flyers               - Generate a price list flyer`);
+        console.log(`   GET  /api/flyers/:orderId      - Download a flyer (PNG/SVG)`);
         console.log(`   GET  /api/admin/users          - Admin: Get all users`);
         console.log(`   GET  /api/admin/stats          - Admin: Get system stats`);
+        console.log(`   POST /api/admin/orders/:orderId/refund - Admin: Refund an order`);
+        console.log(`   GET  /api/admin/orders         - Admin: Search orders across users`);
+        console.log(`   POST /api/admin/orders/:orderId/(retry|cancel|complete|fail) - Admin: Order actions`);
+        console.log(`   GET  /api/admin/audit-logs     - Super admin: Admin audit trail`);
+        console.log(`   GET  /api/admin/roles          - Admin: Roles and permissions`);
+        console.log(`   PUT  /api/admin/users/:id/role - Super admin: Promote/demote admin`);
+        console.log(`   PUT  /api/admin/users/:id/status - Super admin: Suspend/ban/reactivate`);
+        console.log(`   GET  /api/admin/bundles        - Admin: Bundle catalog`);
+        console.log(`   POST /api/admin/bundle         - Admin: Create bundle`);
+        console.log(`   DELETE /api/admin/bundle/:id   - Admin: Delete bundle`);
+        console.log(`   GET  /api/admin/bundle/:id/price-history - Admin: Price history`);
+        console.log(`   GET  /api/admin/promotions     - Admin: List promotions`);
+        console.log(`   POST /api/admin/promotions     - Admin: Schedule promotion`);
+        console.log(`   PUT  /api/admin/promotions/:id - Admin: Update promotion`);
+        console.log(`   DELETE /api/admin/promotions/:id - Admin: Cancel promotion`);
+        console.log(`   POST /api/admin/vouchers/import - Admin: Import voucher CSV`);
+        console.log(`   GET  /api/admin/vouchers/inventory - Admin: Voucher stock levels`);
+        console.log(`   PUT  /api/admin/afa/registrations/:id - Admin: Complete/reject AFA`);
+        console.log(`   POST /api/admin/withdrawals/:id/approve - Admin: Pay out a withdrawal`);
+        console.log(`   POST /api/admin/withdrawals/:id/verify - Admin: Settle a transfer with an unknown outcome`);
+        console.log(`   POST /api/admin/webhooks/paystack/:id/reprocess - Admin: Re-run a Paystack event`);
+        console.log(`   POST /api/admin/reconciliation/run - Admin: Reconcile wallets against the ledger`);
+        console.log(`   PUT  /api/admin/wallet-levels/:level - Admin: Set level threshold and discount`);
         console.log(`   GET  /health                   - Health check`);
         console.log(`\n🔑 Environment variables needed:`);
         console.log(`   PAYSTACK_SECRET_KEY           - Your Paystack secret key`);
         console.log(`   PAYSTACK_WEBHOOK_SECRET       - Paystack webhook secret`);
         console.log(`   JWT_SECRET                    - JWT signing secret`);
         console.log(`   DB_*                          - Database credentials`);
+        console.log(`   DATA_VENDOR_URL               - Data vendor API base URL`);
+        console.log(`   DATA_VENDOR_API_KEY           - Data vendor API key`);
     });
 }
 
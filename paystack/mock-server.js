@@ -0,0 +1,203 @@
+// paystack/mock-server.js - LOCAL STAND-IN FOR THE PAYSTACK API
+//
+// Run with `npm run mock:paystack` and set PAYSTACK_BASE_URL to it. Transfers
+// settle after MOCK_PAYSTACK_DELAY_MS by posting a signed transfer.success or
+// transfer.failed event to MOCK_PAYSTACK_WEBHOOK_URL, just like Paystack does.
+// Mobile money numbers ending in 0000 always fail to receive transfers.
+// Charges from /transaction/initialize stay pending until you
+// POST /transaction/:reference/pay (optionally with { amount } in pesewas to
+// simulate an underpayment), which sends charge.success. Refunds of paid
+// charges are processed after MOCK_PAYSTACK_DELAY_MS with refund.processed.
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+require('dotenv').config();
+
+const PORT = process.env.MOCK_PAYSTACK_PORT || 4100;
+const SECRET_KEY = process.env.PAYSTACK_SECRET_KEY || '';
+const WEBHOOK_SECRET = process.env.PAYSTACK_WEBHOOK_SECRET || '';
+const WEBHOOK_URL = process.env.MOCK_PAYSTACK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/webhook/paystack`;
+const DELAY_MS = parseInt(process.env.MOCK_PAYSTACK_DELAY_MS) || 3000;
+
+const app = express();
+app.use(express.json());
+
+const recipients = new Map();
+const transfers = new Map();
+const charges = new Map();
+const refunds = new Map();
+
+const code = prefix => `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+
+app.use((req, res, next) => {
+    if (SECRET_KEY && req.headers['authorization'] !== `Bearer ${SECRET_KEY}`) {
+        return res.status(401).json({ status: false, message: 'Invalid key' });
+    }
+    next();
+});
+
+async function sendWebhook(event, data) {
+    const body = JSON.stringify({ event, data });
+    const signature = crypto.createHmac('sha512', WEBHOOK_SECRET).update(body).digest('hex');
+    
+    try {
+        await axios.post(WEBHOOK_URL, body, {
+            headers: { 'Content-Type': 'application/json', 'x-paystack-signature': signature }
+        });
+        console.log(`📨 ${event} ${data.reference || data.transaction_reference} -> ${WEBHOOK_URL}`);
+    } catch (error) {
+        console.error(`Webhook ${event} ${data.reference || data.transaction_reference} failed:`, error.message);
+    }
+}
+
+app.post('/transaction/initialize', (req, res) => {
+    const { email, amount, currency, callback_url, reference, metadata } = req.body;
+    
+    if (!email || !Number.isInteger(amount) || amount <= 0) {
+        return res.status(400).json({ status: false, message: 'Email and a valid amount are required' });
+    }
+    
+    const charge = {
+        id: Date.now(),
+        reference: reference || code('T'),
+        access_code: code('AC'),
+        amount,
+        currency: currency || 'GHS',
+        customer: { email },
+        metadata: metadata || null,
+        callback_url,
+        status: 'abandoned'
+    };
+    charges.set(charge.reference, charge);
+    
+    res.json({
+        status: true,
+        message: 'Authorization URL created',
+        data: {
+            authorization_url: `http://localhost:${PORT}/checkout/${charge.access_code}`,
+            access_code: charge.access_code,
+            reference: charge.reference
+        }
+    });
+});
+
+app.post('/transaction/:reference/pay', (req, res) => {
+    const charge = charges.get(req.params.reference);
+    if (!charge) {
+        return res.status(404).json({ status: false, message: 'Transaction not found' });
+    }
+    
+    if (req.body && req.body.amount) {
+        charge.amount = req.body.amount;
+    }
+    charge.status = 'success';
+    charge.channel = 'mobile_money';
+    charge.paid_at = new Date().toISOString();
+    sendWebhook('charge.success', charge);
+    
+    res.json({ status: true, message: 'Charge paid', data: charge });
+});
+
+app.get('/transaction/verify/:reference', (req, res) => {
+    const charge = charges.get(req.params.reference);
+    if (!charge) {
+        return res.status(400).json({ status: false, message: 'Transaction reference not found' });
+    }
+    res.json({ status: true, message: 'Verification successful', data: charge });
+});
+
+app.post('/refund', (req, res) => {
+    const charge = charges.get(req.body.transaction);
+    
+    if (!charge || charge.status !== 'success') {
+        return res.status(400).json({ status: false, message: 'Transaction not found or not successful' });
+    }
+    
+    if (refunds.has(charge.reference)) {
+        return res.status(400).json({ status: false, message: 'Transaction has been fully reversed' });
+    }
+    
+    const refund = {
+        id: Date.now(),
+        amount: req.body.amount || charge.amount,
+        currency: charge.currency,
+        transaction_reference: charge.reference,
+        transaction: { id: charge.id, reference: charge.reference },
+        status: 'pending'
+    };
+    refunds.set(charge.reference, refund);
+    
+    setTimeout(() => {
+        refund.status = 'processed';
+        sendWebhook('refund.processed', refund);
+    }, DELAY_MS);
+    
+    res.json({ status: true, message: 'Refund has been queued for processing', data: refund });
+});
+
+app.post('/transferrecipient', (req, res) => {
+    const { type, name, account_number, bank_code, currency } = req.body;
+    
+    if (type !== 'mobile_money' || !name || !/^0\d{9}$/.test(account_number || '') || !['MTN', 'VOD', 'ATL'].includes(bank_code)) {
+        return res.status(400).json({ status: false, message: 'Invalid mobile money recipient details' });
+    }
+    
+    const recipient = {
+        recipient_code: code('RCP'),
+        type,
+        name,
+        currency: currency || 'GHS',
+        details: { account_number, bank_code }
+    };
+    recipients.set(recipient.recipient_code, recipient);
+    
+    res.status(201).json({ status: true, message: 'Transfer recipient created successfully', data: recipient });
+});
+
+app.post('/transfer', (req, res) => {
+    const { amount, recipient, reference, reason } = req.body;
+    const account = recipients.get(recipient);
+    
+    if (!account) {
+        return res.status(400).json({ status: false, message: 'Recipient not found' });
+    }
+    
+    if (!Number.isInteger(amount) || amount <= 0) {
+        return res.status(400).json({ status: false, message: 'Invalid amount' });
+    }
+    
+    if (reference && transfers.has(reference)) {
+        return res.status(400).json({ status: false, message: 'Duplicate Transfer Reference' });
+    }
+    
+    const transfer = {
+        reference: reference || code('TRX'),
+        transfer_code: code('TRF'),
+        amount,
+        currency: 'GHS',
+        reason,
+        recipient: account,
+        status: 'pending'
+    };
+    transfers.set(transfer.reference, transfer);
+    
+    setTimeout(() => {
+        const failed = account.details.account_number.endsWith('0000');
+        transfer.status = failed ? 'failed' : 'success';
+        sendWebhook(failed ? 'transfer.failed' : 'transfer.success', transfer);
+    }, DELAY_MS);
+    
+    res.json({ status: true, message: 'Transfer has been queued', data: transfer });
+});
+
+app.get('/transfer/verify/:reference', (req, res) => {
+    const transfer = transfers.get(req.params.reference);
+    if (!transfer) {
+        return res.status(404).json({ status: false, message: 'Transfer not found' });
+    }
+    res.json({ status: true, message: 'Transfer retrieved', data: transfer });
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Mock Paystack running on http://localhost:${PORT} (webhooks -> ${WEBHOOK_URL})`);
+});
@@ -0,0 +1,51 @@
+// test/repeat-order.test.js - REPEATING A PAST ORDER
+//
+// POST /api/orders/:orderId/repeat turns the original order into a purchase
+// with repeatOrderPurchase(); these check which orders it accepts and what it
+// buys.
+const test = require('node:test');
+const assert = require('node:assert');
+const { repeatOrderPurchase } = require('../utils/orders');
+
+const bundleOrder = {
+    order_id: 'ORD-4001',
+    order_type: 'data_bundle',
+    network: 'MTN',
+    bundle_size: '1GB',
+    beneficiary_number: '+233241234567',
+    status: 'failed'
+};
+
+test('a data bundle order repeats as the same bundle for the same number', () => {
+    const { purchase, error } = repeatOrderPurchase(bundleOrder);
+
+    assert.strictEqual(error, undefined);
+    assert.deepStrictEqual(purchase, {
+        network: 'MTN',
+        bundle_size: '1GB',
+        beneficiary_number: '+233241234567',
+        allow_ported: false
+    });
+});
+
+test('a number that was delivered to before may be a ported number', () => {
+    assert.strictEqual(repeatOrderPurchase({ ...bundleOrder, status: 'completed' }).purchase.allow_ported, true);
+    assert.strictEqual(repeatOrderPurchase(bundleOrder, { allowPorted: 'yes' }).purchase.allow_ported, true);
+});
+
+test('other order types are refused with a 400 that says what to do instead', () => {
+    for (const orderType of ['results_checker', 'afa_bundle', 'flyer_generation', 'top_up']) {
+        const result = repeatOrderPurchase({ ...bundleOrder, order_type: orderType });
+
+        assert.strictEqual(result.purchase, undefined, `${orderType} was repeated`);
+        assert.strictEqual(result.statusCode, 400);
+        assert.match(result.error, /instead|new one/, `${orderType} error does not say what to do instead`);
+    }
+});
+
+test('an order type it does not know is refused', () => {
+    const result = repeatOrderPurchase({ ...bundleOrder, order_type: 'gift_card' });
+
+    assert.strictEqual(result.statusCode, 400);
+    assert.strictEqual(result.error, 'Only data bundle orders can be repeated');
+});
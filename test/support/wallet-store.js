@@ -0,0 +1,370 @@
+// test/support/wallet-store.js - WALLET TABLES FOR THE CONCURRENCY TESTS
+//
+// createWalletStore() gives the tests a pool holding just the tables the
+// helpers in utils/transactions.js touch: wallets, wallet_ledger_entries,
+// wallet_transactions and order_sequence.
+//
+// With TEST_DB_NAME set the tests run against that MySQL database (connection
+// settings from TEST_DB_HOST, TEST_DB_PORT, TEST_DB_USER, TEST_DB_PASSWORD),
+// which is the run that proves the SQL itself; do it before merging changes
+// to utils/transactions.js. Those tables are emptied before each test, so
+// never point it at a real database.
+//
+// Without it they run against an in-memory stand-in that behaves like InnoDB
+// for these statements: SELECT ... FOR UPDATE and UPDATE take a row lock held
+// until COMMIT or ROLLBACK (waiters time out like innodb_lock_wait_timeout),
+// ROLLBACK undoes the transaction's writes, and every statement yields to the
+// event loop a random number of times so concurrent transactions interleave.
+// Statements are recognised by table and shape rather than exact text, so
+// reformatting a query or changing its column list is fine; a statement of a
+// new kind fails loudly with "does not support" until it is taught here.
+
+const LOCK_WAIT_TIMEOUT_MS = 5000;
+
+const toCents = value => Math.round(Number(value) * 100);
+const fromCents = cents => (cents / 100).toFixed(2);
+
+function randomYield() {
+    let turns = Math.floor(Math.random() * 4);
+    return new Promise(resolve => {
+        const next = () => (turns-- > 0 ? setImmediate(next) : resolve());
+        next();
+    });
+}
+
+// Split the `(?, ?, NULL, ...), (...)` groups of an INSERT into rows of values
+function insertRows(columnList, valuesList, params) {
+    const columns = columnList.split(',').map(column => column.trim());
+    const groups = valuesList.match(/\(([^)]*)\)/g);
+    let next = 0;
+
+    return groups.map(group => {
+        const tokens = group.slice(1, -1).split(',').map(token => token.trim());
+        const row = {};
+        tokens.forEach((token, index) => {
+            row[columns[index]] = token === '?' ? params[next++] : null;
+        });
+        return row;
+    });
+}
+
+// Pick the requested columns (`*` or `a, b as c`) from a row
+function project(row, columnList) {
+    if (columnList.trim() === '*') return { ...row };
+
+    const picked = {};
+    columnList.split(',').forEach(column => {
+        const [name, alias] = column.trim().split(/\s+as\s+/i);
+        picked[alias || name] = row[name];
+    });
+    return picked;
+}
+
+class MemoryConnection {
+    constructor(store) {
+        this.store = store;
+        this.inTransaction = false;
+        this.undo = [];
+        this.locks = new Set();
+        this.lastInsertId = 0;
+    }
+
+    async beginTransaction() {
+        this.inTransaction = true;
+    }
+
+    async commit() {
+        this.undo = [];
+        this.finish();
+    }
+
+    async rollback() {
+        while (this.undo.length > 0) {
+            this.undo.pop()();
+        }
+        this.finish();
+    }
+
+    release() {}
+
+    finish() {
+        this.inTransaction = false;
+        this.locks.forEach(key => this.store.unlock(key));
+        this.locks.clear();
+    }
+
+    // Row locks are keyed by table and row, e.g. 'wallet:1001'
+    async lock(key) {
+        if (this.locks.has(key)) return;
+        await this.store.lock(key, this);
+        this.locks.add(key);
+    }
+
+    // Writes outside a transaction commit straight away, as with autocommit
+    async write(apply) {
+        const autocommit = !this.inTransaction;
+        let result;
+
+        try {
+            result = await apply();
+        } catch (error) {
+            if (autocommit) await this.rollback();
+            throw error;
+        }
+
+        if (autocommit) await this.commit();
+        return result;
+    }
+
+    async query(sql, params = []) {
+        await randomYield();
+
+        const statement = sql.replace(/`/g, '').replace(/\s+/g, ' ').trim().replace(/;$/, '');
+        const store = this.store;
+        let match;
+
+        if ((match = statement.match(/^SELECT (.+) FROM wallets WHERE user_id = \?( FOR UPDATE)?$/i))) {
+            if (match[2]) await this.lock(`wallet:${params[0]}`);
+            const wallet = store.wallets.get(params[0]);
+            return [wallet ? [project(store.walletRow(params[0]), match[1])] : []];
+        }
+
+        if ((match = statement.match(/^UPDATE wallets SET balance = balance ([+-]) \? WHERE user_id = \?( AND balance >= \?)?$/i))) {
+            const [amount, userId] = params;
+
+            return this.write(async () => {
+                await this.lock(`wallet:${userId}`);
+
+                const wallet = store.wallets.get(userId);
+                if (!wallet || (match[2] && wallet.balance < toCents(params[2]))) {
+                    return [{ affectedRows: 0 }];
+                }
+
+                const before = wallet.balance;
+                wallet.balance += toCents(amount) * (match[1] === '+' ? 1 : -1);
+                this.undo.push(() => {
+                    wallet.balance = before;
+                });
+                return [{ affectedRows: 1 }];
+            });
+        }
+
+        if (/^UPDATE order_sequence SET last_number = LAST_INSERT_ID\(last_number \+ 1\)$/i.test(statement)) {
+            return this.write(async () => {
+                await this.lock('order_sequence');
+
+                const before = store.lastOrderNumber;
+                store.lastOrderNumber += 1;
+                this.lastInsertId = store.lastOrderNumber;
+                this.undo.push(() => {
+                    store.lastOrderNumber = before;
+                });
+                return [{ affectedRows: 1 }];
+            });
+        }
+
+        if ((match = statement.match(/^SELECT LAST_INSERT_ID\(\)(?: as (\w+))?$/i))) {
+            return [[{ [match[1] || 'LAST_INSERT_ID()']: this.lastInsertId }]];
+        }
+
+        if ((match = statement.match(/^INSERT INTO (wallet_ledger_entries|wallet_transactions) \(([^)]*)\) VALUES (.+)$/i))) {
+            const table = store.tables[match[1].toLowerCase()];
+
+            return this.write(async () => {
+                const rows = insertRows(match[2], match[3], params).map(row => ({ id: ++table.lastId, ...row }));
+
+                // transaction_id is UNIQUE in wallet_transactions
+                if (table.unique && rows.some(row => table.rows.some(existing => existing[table.unique] === row[table.unique]))) {
+                    const error = new Error(`Duplicate entry for key '${table.unique}'`);
+                    error.code = 'ER_DUP_ENTRY';
+                    throw error;
+                }
+
+                table.rows.push(...rows);
+                this.undo.push(() => {
+                    table.rows = table.rows.filter(row => !rows.includes(row));
+                });
+                return [{ affectedRows: rows.length }];
+            });
+        }
+
+        throw new Error(`In-memory wallet store does not support: ${statement}`);
+    }
+}
+
+class MemoryWalletStore {
+    constructor() {
+        this.wallets = new Map();
+        this.tables = {
+            wallet_ledger_entries: { rows: [], lastId: 0 },
+            wallet_transactions: { rows: [], lastId: 0, unique: 'transaction_id' }
+        };
+        this.lastOrderNumber = 4000;
+        this.rowLocks = new Map();
+    }
+
+    walletRow(userId) {
+        const wallet = this.wallets.get(userId);
+        return { user_id: userId, balance: fromCents(wallet.balance), level: wallet.level };
+    }
+
+    async lock(key, owner) {
+        const held = this.rowLocks.get(key);
+
+        if (!held) {
+            this.rowLocks.set(key, { owner, waiting: [] });
+            return;
+        }
+
+        await new Promise((resolve, reject) => {
+            const waiter = { owner, resolve };
+            const timer = setTimeout(() => {
+                held.waiting.splice(held.waiting.indexOf(waiter), 1);
+                const error = new Error('Lock wait timeout exceeded; try restarting transaction');
+                error.code = 'ER_LOCK_WAIT_TIMEOUT';
+                reject(error);
+            }, LOCK_WAIT_TIMEOUT_MS);
+
+            waiter.resolve = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            held.waiting.push(waiter);
+        });
+    }
+
+    unlock(key) {
+        const held = this.rowLocks.get(key);
+        const next = held.waiting.shift();
+
+        if (!next) {
+            this.rowLocks.delete(key);
+            return;
+        }
+
+        held.owner = next.owner;
+        next.resolve();
+    }
+
+    async getConnection() {
+        return new MemoryConnection(this);
+    }
+}
+
+function createMemoryStore() {
+    const store = new MemoryWalletStore();
+
+    return {
+        pool: store,
+        async reset() {
+            store.wallets.clear();
+            Object.values(store.tables).forEach(table => {
+                table.rows = [];
+            });
+        },
+        async seedWallet(userId, balance, level = 'Bronze') {
+            store.wallets.set(userId, { balance: toCents(balance), level });
+        },
+        async readBalance(userId) {
+            return Number(store.walletRow(userId).balance);
+        },
+        async readLedger() {
+            return store.tables.wallet_ledger_entries.rows.map(entry => ({ ...entry, amount: Number(entry.amount) }));
+        },
+        async readWalletTransactions() {
+            return store.tables.wallet_transactions.rows.map(row => ({ ...row, amount: Number(row.amount) }));
+        },
+        async close() {}
+    };
+}
+
+async function createMysqlStore() {
+    const mysql = require('mysql2/promise');
+    const pool = mysql.createPool({
+        host: process.env.TEST_DB_HOST || 'localhost',
+        port: parseInt(process.env.TEST_DB_PORT) || 3306,
+        user: process.env.TEST_DB_USER || 'root',
+        password: process.env.TEST_DB_PASSWORD || '',
+        database: process.env.TEST_DB_NAME,
+        connectionLimit: 20
+    });
+
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS wallets (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT UNIQUE NOT NULL,
+            balance DECIMAL(10,2) DEFAULT 0.00,
+            level ENUM('Bronze', 'Silver', 'Gold', 'Platinum') DEFAULT 'Bronze'
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS wallet_transactions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            transaction_id VARCHAR(50) UNIQUE NOT NULL,
+            reference VARCHAR(100),
+            type ENUM('credit', 'debit', 'transfer_in', 'transfer_out', 'purchase', 'refund') NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            status ENUM('pending', 'completed', 'failed', 'cancelled') DEFAULT 'pending',
+            description TEXT,
+            metadata JSON,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS order_sequence (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            last_number INT DEFAULT 4000
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS wallet_ledger_entries (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            transaction_id VARCHAR(100) NOT NULL,
+            account VARCHAR(50) NOT NULL,
+            user_id INT NULL,
+            direction ENUM('debit', 'credit') NOT NULL,
+            amount DECIMAL(12, 2) NOT NULL,
+            balance_before DECIMAL(12, 2) NULL,
+            balance_after DECIMAL(12, 2) NULL,
+            description VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_transaction (transaction_id)
+        )
+    `);
+
+    return {
+        pool,
+        async reset() {
+            await pool.query('DELETE FROM wallet_ledger_entries');
+            await pool.query('DELETE FROM wallet_transactions');
+            await pool.query('DELETE FROM wallets');
+            await pool.query('DELETE FROM order_sequence');
+            await pool.query('INSERT INTO order_sequence (last_number) VALUES (4000)');
+        },
+        async seedWallet(userId, balance, level = 'Bronze') {
+            await pool.query('INSERT INTO wallets (user_id, balance, level) VALUES (?, ?, ?)', [userId, balance, level]);
+        },
+        async readBalance(userId) {
+            const [wallets] = await pool.query('SELECT balance FROM wallets WHERE user_id = ?', [userId]);
+            return Number(wallets[0].balance);
+        },
+        async readLedger() {
+            const [entries] = await pool.query('SELECT * FROM wallet_ledger_entries ORDER BY id');
+            return entries.map(entry => ({ ...entry, amount: Number(entry.amount) }));
+        },
+        async readWalletTransactions() {
+            const [rows] = await pool.query('SELECT * FROM wallet_transactions ORDER BY id');
+            return rows.map(row => ({ ...row, amount: Number(row.amount) }));
+        },
+        async close() {
+            await pool.end();
+        }
+    };
+}
+
+async function createWalletStore() {
+    return process.env.TEST_DB_NAME ? createMysqlStore() : createMemoryStore();
+}
+
+module.exports = { createWalletStore };
@@ -0,0 +1,252 @@
+// test/wallet-concurrency.test.js - CONCURRENT WALLET CHANGES
+//
+// Fires many wallet changes at the same wallet at once, the way simultaneous
+// purchases, transfers and withdrawals arrive in production, and checks that
+// no wallet goes below zero and that the ledger still accounts for every
+// balance. Each operation calls the same helper from utils/transactions.js as
+// its route. See test/support/wallet-store.js for the database they run on
+// (set TEST_DB_NAME to run them against MySQL).
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    InsufficientBalanceError,
+    withTransaction,
+    lockWallet,
+    debitWallet,
+    creditWallet,
+    transferBetweenWallets,
+    payForOrder
+} = require('../utils/transactions');
+const { createWalletStore } = require('./support/wallet-store');
+
+const ALICE = 1001;
+const BOB = 1002;
+const CAROL = 1003;
+
+const cents = value => Math.round(Number(value) * 100);
+
+let store;
+let sequence = 0;
+const nextId = prefix => `${prefix}-${process.pid}-${++sequence}`;
+
+// Pays the way purchaseDataBundle() does; price may be a function of the
+// locked wallet, as level discounts are
+function purchase(userId, price) {
+    return withTransaction(store.pool, connection => payForOrder(connection, userId, {
+        price,
+        transactionId: nextId('DATA'),
+        description: 'Data bundle'
+    }));
+}
+
+// The same steps POST /api/wallet/transfer takes
+function transfer(fromUserId, toUserId, amount) {
+    return withTransaction(store.pool, connection => transferBetweenWallets(connection, fromUserId, toUserId, amount, {
+        transferId: nextId('T'),
+        debitDescription: `Transfer to ${toUserId}`,
+        creditDescription: `Transfer from ${fromUserId}`
+    }));
+}
+
+// The same steps POST /api/withdrawals takes to hold the amount
+function withdraw(userId, amount) {
+    return withTransaction(store.pool, async connection => {
+        await lockWallet(connection, userId);
+        return debitWallet(connection, userId, amount, {
+            transactionId: nextId('WDR'),
+            contraAccount: 'system:withdrawals',
+            description: 'Withdrawal'
+        });
+    });
+}
+
+function topUp(userId, amount) {
+    return withTransaction(store.pool, async connection => {
+        await lockWallet(connection, userId);
+        return creditWallet(connection, userId, amount, {
+            transactionId: nextId('TOPUP'),
+            contraAccount: 'system:paystack',
+            description: 'Wallet top-up'
+        });
+    });
+}
+
+// Only InsufficientBalanceError is an expected way for a change to fail
+async function settle(operations) {
+    const results = await Promise.allSettled(operations);
+
+    results.forEach(result => {
+        if (result.status === 'rejected' && !(result.reason instanceof InsufficientBalanceError)) {
+            throw result.reason;
+        }
+    });
+
+    return results;
+}
+
+// Every transaction balances, and each wallet's entries run unbroken from its
+// opening balance to its current balance without dipping below zero
+async function assertLedgerReconciles(openings) {
+    const ledger = await store.readLedger();
+
+    const byTransaction = new Map();
+    ledger.forEach(entry => {
+        const net = byTransaction.get(entry.transaction_id) || 0;
+        byTransaction.set(entry.transaction_id, net + (entry.direction === 'credit' ? 1 : -1) * cents(entry.amount));
+    });
+    byTransaction.forEach((net, transactionId) => {
+        assert.strictEqual(net, 0, `transaction ${transactionId} does not balance`);
+    });
+
+    for (const [userId, opening] of Object.entries(openings)) {
+        const entries = ledger
+            .filter(entry => entry.account === `wallet:${userId}`)
+            .sort((a, b) => Number(a.id) - Number(b.id));
+        let running = cents(opening);
+
+        entries.forEach(entry => {
+            assert.strictEqual(cents(entry.balance_before), running, `wallet ${userId} entry ${entry.id} starts from the wrong balance`);
+            running += (entry.direction === 'credit' ? 1 : -1) * cents(entry.amount);
+            assert.strictEqual(cents(entry.balance_after), running, `wallet ${userId} entry ${entry.id} ends on the wrong balance`);
+            assert.ok(running >= 0, `wallet ${userId} went negative at entry ${entry.id}`);
+        });
+
+        assert.strictEqual(cents(await store.readBalance(Number(userId))), running, `wallet ${userId} balance does not match its ledger`);
+    }
+}
+
+test.before(async () => {
+    store = await createWalletStore();
+});
+
+test.beforeEach(async () => {
+    await store.reset();
+});
+
+test.after(async () => {
+    await store.close();
+});
+
+test('parallel purchases never spend more than the balance', async () => {
+    await store.seedWallet(ALICE, 100);
+
+    const results = await settle(Array.from({ length: 40 }, () => purchase(ALICE, 7.5)));
+
+    // 13 x 7.50 = 97.50; a 14th would need 105
+    assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 13);
+    assert.strictEqual(await store.readBalance(ALICE), 2.5);
+    await assertLedgerReconciles({ [ALICE]: 100 });
+});
+
+test('each purchase gets its own order id and a wallet transaction matching its debit', async () => {
+    await store.seedWallet(ALICE, 100, 'Gold');
+
+    const levelPrice = wallet => (wallet.level === 'Gold' ? 9 : 10);
+    const results = await settle(Array.from({ length: 20 }, () => purchase(ALICE, levelPrice)));
+    const paid = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+
+    // 11 x 9.00 = 99.00
+    assert.strictEqual(paid.length, 11);
+    assert.strictEqual(new Set(paid.map(payment => payment.orderId)).size, paid.length, 'two purchases got the same order id');
+    paid.forEach(payment => assert.strictEqual(Number(payment.amount), 9));
+
+    const transactions = await store.readWalletTransactions();
+    const ledger = await store.readLedger();
+    assert.deepStrictEqual(
+        transactions.map(row => row.reference).sort(),
+        paid.map(payment => payment.orderId).sort(),
+        'wallet transactions do not match the orders paid for'
+    );
+    transactions.forEach(row => {
+        const debit = ledger.find(entry => entry.transaction_id === row.transaction_id && entry.account === `wallet:${ALICE}`);
+        assert.ok(debit, `no ledger debit for ${row.transaction_id}`);
+        assert.strictEqual(cents(debit.amount), cents(row.amount));
+    });
+    await assertLedgerReconciles({ [ALICE]: 100 });
+});
+
+test('debitWallet refuses to overdraw even without a balance check first', async () => {
+    await store.seedWallet(ALICE, 50);
+
+    const debits = Array.from({ length: 30 }, () => withTransaction(store.pool, connection => debitWallet(connection, ALICE, 10, {
+        transactionId: nextId('ORDER'),
+        contraAccount: 'system:sales'
+    })));
+    const results = await settle(debits);
+
+    assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 5);
+    assert.strictEqual(await store.readBalance(ALICE), 0);
+    await assertLedgerReconciles({ [ALICE]: 50 });
+});
+
+test('opposite transfers between two wallets neither deadlock nor overdraw', async () => {
+    await store.seedWallet(ALICE, 60);
+    await store.seedWallet(BOB, 40);
+
+    const transfers = Array.from({ length: 60 }, (value, index) => (
+        index % 2 === 0 ? transfer(ALICE, BOB, 9) : transfer(BOB, ALICE, 11)
+    ));
+    await settle(transfers);
+
+    const alice = await store.readBalance(ALICE);
+    const bob = await store.readBalance(BOB);
+
+    assert.ok(alice >= 0 && bob >= 0);
+    assert.strictEqual(cents(alice) + cents(bob), cents(100), 'transfers created or destroyed money');
+    await assertLedgerReconciles({ [ALICE]: 60, [BOB]: 40 });
+});
+
+test('mixed purchases, transfers, withdrawals and top-ups on one wallet', async () => {
+    await store.seedWallet(ALICE, 120);
+    await store.seedWallet(BOB, 0);
+    await store.seedWallet(CAROL, 30);
+
+    const operations = [];
+    for (let i = 0; i < 25; i++) {
+        operations.push(purchase(ALICE, 4.25));
+        operations.push(transfer(ALICE, BOB, 6));
+        operations.push(withdraw(ALICE, 10));
+        operations.push(transfer(CAROL, ALICE, 1.5));
+        if (i % 5 === 0) operations.push(topUp(ALICE, 20));
+    }
+    await settle(operations);
+
+    const total = cents(await store.readBalance(ALICE)) + cents(await store.readBalance(BOB)) + cents(await store.readBalance(CAROL));
+    const ledger = await store.readLedger();
+    const leftToSystem = ledger
+        .filter(entry => ['system:sales', 'system:withdrawals'].includes(entry.account))
+        .reduce((sum, entry) => sum + cents(entry.amount), 0);
+    const toppedUp = ledger
+        .filter(entry => entry.account === 'system:paystack')
+        .reduce((sum, entry) => sum + cents(entry.amount), 0);
+
+    assert.strictEqual(total, cents(150) + toppedUp - leftToSystem, 'wallet totals do not match what came in and went out');
+    await assertLedgerReconciles({ [ALICE]: 120, [BOB]: 0, [CAROL]: 30 });
+});
+
+test('a failed step rolls the whole change back', async () => {
+    await store.seedWallet(ALICE, 30);
+    await store.seedWallet(BOB, 0);
+
+    await assert.rejects(withTransaction(store.pool, async connection => {
+        await transferBetweenWallets(connection, ALICE, BOB, 20, { transferId: nextId('T') });
+        throw new Error('order insert failed');
+    }), /order insert failed/);
+
+    // A transfer larger than the balance changes neither wallet
+    await assert.rejects(transfer(ALICE, BOB, 45), InsufficientBalanceError);
+
+    assert.strictEqual(await store.readBalance(ALICE), 30);
+    assert.strictEqual(await store.readBalance(BOB), 0);
+    assert.deepStrictEqual(await store.readLedger(), []);
+});
+
+test('a purchase the balance does not cover changes nothing', async () => {
+    await store.seedWallet(ALICE, 5);
+
+    await assert.rejects(purchase(ALICE, 7.5), InsufficientBalanceError);
+
+    assert.strictEqual(await store.readBalance(ALICE), 5);
+    assert.deepStrictEqual(await store.readLedger(), []);
+    assert.deepStrictEqual(await store.readWalletTransactions(), []);
+});
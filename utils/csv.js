@@ -0,0 +1,63 @@
+// utils/csv.js - MINIMAL CSV PARSER FOR ADMIN/RESELLER UPLOADS
+//
+// Handles quoted fields, escaped quotes ("") and CRLF line endings. The first
+// non-empty line is the header; each following line becomes an object keyed by
+// lower-cased header names, tagged with its 1-based line number for reporting.
+
+function parseLine(line) {
+    const fields = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    fields.push(field.trim());
+    return fields;
+}
+
+function parseCsv(text) {
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const rows = [];
+    let headers = null;
+    
+    lines.forEach((line, index) => {
+        if (line.trim() === '') return;
+        
+        const fields = parseLine(line);
+        
+        if (!headers) {
+            headers = fields.map(header => header.toLowerCase());
+            return;
+        }
+        
+        const row = { line: index + 1 };
+        headers.forEach((header, i) => {
+            row[header] = fields[i] !== undefined ? fields[i] : '';
+        });
+        rows.push(row);
+    });
+    
+    return { headers: headers || [], rows };
+}
+
+module.exports = { parseCsv };
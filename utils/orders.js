@@ -0,0 +1,39 @@
+// utils/orders.js - REPEATING A PAST ORDER
+//
+// Only data bundles are bought again as they were: the same bundle for the
+// same number. Every other order type is either delivered once (vouchers,
+// flyers) or tied to details that have to be entered again (AFA
+// registrations), so repeating one is refused with a message saying where to
+// buy it instead.
+
+const { isTruthyFlag } = require('./phone');
+
+const NOT_REPEATABLE = {
+    results_checker: 'Results checker vouchers are single-use; buy a new one from the results checker page',
+    afa_bundle: 'AFA registrations need the member\'s details; start a new registration instead',
+    flyer_generation: 'Flyers are generated once; generate a new flyer instead',
+    top_up: 'Top-ups cannot be repeated; top up your wallet instead'
+};
+
+// The purchase that repeats `original`, or { error, statusCode } if it can't
+// be repeated. A number that already received a bundle on this network has
+// shown it is on that network, even if its prefix says otherwise.
+function repeatOrderPurchase(original, { allowPorted } = {}) {
+    if (original.order_type !== 'data_bundle') {
+        return {
+            error: NOT_REPEATABLE[original.order_type] || 'Only data bundle orders can be repeated',
+            statusCode: 400
+        };
+    }
+    
+    return {
+        purchase: {
+            network: original.network,
+            bundle_size: original.bundle_size,
+            beneficiary_number: original.beneficiary_number,
+            allow_ported: original.status === 'completed' || isTruthyFlag(allowPorted)
+        }
+    };
+}
+
+module.exports = { repeatOrderPurchase };
@@ -0,0 +1,17 @@
+// utils/pagination.js - LIMIT/OFFSET FROM QUERY STRINGS
+//
+// List endpoints take ?limit= and ?offset=. Anything that isn't a whole number
+// in range falls back to the default, and limit is capped so a single request
+// can't pull a whole table.
+
+function parsePagination(query, { limit = 20, maxLimit = 100 } = {}) {
+    const requestedLimit = Number(query.limit);
+    const requestedOffset = Number(query.offset);
+    
+    return {
+        limit: Number.isInteger(requestedLimit) && requestedLimit > 0 ? Math.min(requestedLimit, maxLimit) : limit,
+        offset: Number.isInteger(requestedOffset) && requestedOffset > 0 ? requestedOffset : 0
+    };
+}
+
+module.exports = { parsePagination };
@@ -0,0 +1,84 @@
+// utils/phone.js - GHANA MOBILE NUMBER NORMALISATION
+//
+// Beneficiary numbers arrive as 0241234567, 233241234567, +233 24 123 4567 and
+// so on. normalizeGhanaPhone() accepts all of these and returns the number in
+// E.164 (+233241234567), which is what we store, plus the network its prefix
+// was originally issued to. Numbers can be ported between networks, so the
+// prefix is a strong hint rather than proof; see checkBeneficiary().
+
+// National prefixes (the two digits after the leading 0) by network
+const NETWORK_PREFIXES = {
+    MTN: ['24', '25', '53', '54', '55', '59'],
+    Telecel: ['20', '50'],
+    AirtelTigo: ['26', '27', '56', '57']
+};
+
+// Issued in Ghana, but not to a network we sell bundles for
+const UNSUPPORTED_PREFIXES = {
+    '23': 'Glo'
+};
+
+function networkForPrefix(prefix) {
+    for (const [network, prefixes] of Object.entries(NETWORK_PREFIXES)) {
+        if (prefixes.includes(prefix)) return network;
+    }
+    return null;
+}
+
+// Returns { e164, national, prefix, network } or null when the input is not a
+// Ghana mobile number. network is null for Ghana prefixes we don't serve.
+function normalizeGhanaPhone(input) {
+    const compact = String(input === null || input === undefined ? '' : input).replace(/[\s\-().]/g, '');
+    const match = compact.match(/^(?:\+233|00233|233|0)([235]\d)(\d{7})$/);
+    
+    if (!match) return null;
+    
+    const [, prefix, subscriber] = match;
+    
+    if (!networkForPrefix(prefix) && !UNSUPPORTED_PREFIXES[prefix]) return null;
+    
+    return {
+        e164: `+233${prefix}${subscriber}`,
+        national: `0${prefix}${subscriber}`,
+        prefix,
+        network: networkForPrefix(prefix)
+    };
+}
+
+// Validate a beneficiary for a bundle on `network`. A number whose prefix
+// belongs to another network is rejected unless allowPorted is set (the buyer
+// says it was ported), in which case it passes with a warning.
+// Returns { number, detectedNetwork, warning } or { error }.
+function checkBeneficiary(input, network, { allowPorted = false } = {}) {
+    const phone = normalizeGhanaPhone(input);
+    
+    if (!phone) {
+        return { error: 'beneficiary_number must be a valid Ghana mobile number (0XX, 233XX or +233XX)' };
+    }
+    
+    if (!phone.network) {
+        return { error: `${phone.national} is in the ${UNSUPPORTED_PREFIXES[phone.prefix]} number range; we only sell MTN, Telecel and AirtelTigo bundles` };
+    }
+    
+    if (phone.network !== network) {
+        if (!allowPorted) {
+            return {
+                error: `${phone.national} is in the ${phone.network} number range, not ${network}. If it was ported to ${network}, send allow_ported: true`,
+                detectedNetwork: phone.network
+            };
+        }
+        
+        return {
+            number: phone.e164,
+            detectedNetwork: phone.network,
+            warning: `${phone.national} is in the ${phone.network} number range; sent as ${network} because it was marked as ported`
+        };
+    }
+    
+    return { number: phone.e164, detectedNetwork: phone.network, warning: null };
+}
+
+// Accept true/'true'/'1'/'yes' from JSON bodies and CSV columns alike
+const isTruthyFlag = value => value === true || value === 1 || ['true', '1', 'yes', 'y'].includes(String(value || '').trim().toLowerCase());
+
+module.exports = { NETWORK_PREFIXES, normalizeGhanaPhone, checkBeneficiary, isTruthyFlag };
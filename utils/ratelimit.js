@@ -0,0 +1,38 @@
+// utils/ratelimit.js - IN-MEMORY REQUEST RATE LIMITING
+//
+// Fixed-window counter per client IP, for public endpoints that are cheap to
+// call but expensive to answer (e.g. ones that call Paystack). Counts live in
+// this process only, so each server instance limits on its own.
+
+function rateLimit({ windowMs, max, message = 'Too many requests, please try again later' }) {
+    const hits = new Map();
+    
+    // Forget finished windows so the map doesn't grow with every IP ever seen
+    setInterval(() => {
+        const now = Date.now();
+        hits.forEach((entry, key) => {
+            if (entry.resetAt <= now) hits.delete(key);
+        });
+    }, windowMs).unref();
+    
+    return (req, res, next) => {
+        const now = Date.now();
+        let entry = hits.get(req.ip);
+        
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(req.ip, entry);
+        }
+        
+        entry.count++;
+        
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+            return res.status(429).json({ error: message });
+        }
+        
+        next();
+    };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,168 @@
+// utils/transactions.js - SHARED DATABASE TRANSACTION HELPERS
+//
+// pool.query() hands each statement to whichever connection is free, so a
+// START TRANSACTION / UPDATE / COMMIT sequence sent through the pool can land
+// on three different connections. Anything that moves money runs inside
+// withTransaction(), which keeps the whole unit of work on one connection,
+// and reads the balance through lockWallet() so concurrent debits queue on
+// the wallet row instead of all passing the same balance check.
+
+class InsufficientBalanceError extends Error {
+    constructor(message = 'Insufficient wallet balance') {
+        super(message);
+        this.name = 'InsufficientBalanceError';
+    }
+}
+
+// Run work(connection) in a transaction on a dedicated connection. Whatever
+// work returns is committed; anything it throws rolls everything back.
+async function withTransaction(pool, work) {
+    const connection = await pool.getConnection();
+    
+    try {
+        await connection.beginTransaction();
+        const result = await work(connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+// Lock a wallet row until the surrounding transaction ends
+async function lockWallet(connection, userId) {
+    const [wallets] = await connection.query(
+        'SELECT * FROM wallets WHERE user_id = ? FOR UPDATE',
+        [userId]
+    );
+    return wallets[0] || null;
+}
+
+// Every balance change is posted to wallet_ledger_entries as a balanced pair:
+// one entry on the user's account ('wallet:<user_id>') carrying balance_before
+// and balance_after, and the opposite entry on a system contra account such as
+// 'system:sales' or 'system:paystack'. Wallets are money owed to the customer,
+// so a 'credit' on a wallet account raises its balance and a 'debit' lowers it.
+// Entries are append-only (database triggers reject UPDATE and DELETE).
+async function postWalletChange(connection, userId, amount, direction, { transactionId, contraAccount, description = null, allowNegative = false } = {}) {
+    if (!transactionId || !contraAccount) {
+        throw new Error('Wallet changes need a transactionId and contraAccount for the ledger');
+    }
+    
+    const wallet = await lockWallet(connection, userId);
+    if (!wallet) {
+        throw new Error(`Wallet not found for user ${userId}`);
+    }
+    
+    // Let MySQL do the DECIMAL arithmetic and refuse to go below zero
+    const [result] = direction === 'credit'
+        ? await connection.query(
+            'UPDATE wallets SET balance = balance + ? WHERE user_id = ?',
+            [amount, userId]
+        )
+        : await connection.query(
+            `UPDATE wallets SET balance = balance - ? WHERE user_id = ?${allowNegative ? '' : ' AND balance >= ?'}`,
+            allowNegative ? [amount, userId] : [amount, userId, amount]
+        );
+    
+    if (result.affectedRows === 0) {
+        throw new InsufficientBalanceError();
+    }
+    
+    const [after] = await connection.query('SELECT balance FROM wallets WHERE user_id = ?', [userId]);
+    
+    await connection.query(
+        `INSERT INTO wallet_ledger_entries (transaction_id, account, user_id, direction, amount, balance_before, balance_after, description) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?), (?, ?, NULL, ?, ?, NULL, NULL, ?)`,
+        [
+            transactionId, `wallet:${userId}`, userId, direction, amount, wallet.balance, after[0].balance, description,
+            transactionId, contraAccount, direction === 'credit' ? 'debit' : 'credit', amount, description
+        ]
+    );
+    
+    return after[0].balance;
+}
+
+// Take money out of a wallet. The balance guard in the UPDATE means it refuses
+// to go below zero, even if a caller forgot to check. Returns the new balance.
+async function debitWallet(connection, userId, amount, options) {
+    return postWalletChange(connection, userId, amount, 'debit', options);
+}
+
+async function creditWallet(connection, userId, amount, options) {
+    return postWalletChange(connection, userId, amount, 'credit', options);
+}
+
+// Move money between two wallets. Both are locked in user id order first, so
+// opposite transfers between the same two users cannot deadlock. Both legs
+// post against the 'system:transfers' clearing account, which nets to zero.
+// Throws InsufficientBalanceError (and changes nothing) if the sender is short.
+async function transferBetweenWallets(connection, fromUserId, toUserId, amount, { transferId, debitDescription = null, creditDescription = null }) {
+    const [first, second] = [fromUserId, toUserId].sort((a, b) => a - b);
+    await lockWallet(connection, first);
+    await lockWallet(connection, second);
+    
+    const balance = await debitWallet(connection, fromUserId, amount, {
+        transactionId: `TRANSFER-OUT-${transferId}`,
+        contraAccount: 'system:transfers',
+        description: debitDescription
+    });
+    await creditWallet(connection, toUserId, amount, {
+        transactionId: `TRANSFER-IN-${transferId}`,
+        contraAccount: 'system:transfers',
+        description: creditDescription
+    });
+    
+    return balance;
+}
+
+// Reserve the next BUZZ-#### order id. LAST_INSERT_ID(expr) makes the
+// increment and the read a single atomic step on the given connection.
+async function nextOrderId(connection) {
+    await connection.query('UPDATE order_sequence SET last_number = LAST_INSERT_ID(last_number + 1)');
+    const [seq] = await connection.query('SELECT LAST_INSERT_ID() as last_number');
+    return `BUZZ-${seq[0].last_number}`;
+}
+
+// Pay for a new order from a wallet, inside the caller's transaction: lock the
+// wallet, price the order, take the next order id, debit the wallet and add
+// the wallet_transactions row that shows the payment against the order.
+// `price` is an amount or a function of the locked wallet row, for prices
+// that depend on its level. Throws InsufficientBalanceError, having changed
+// nothing, if the balance doesn't cover it. The caller inserts the order.
+async function payForOrder(connection, userId, { price, transactionId, description, contraAccount = 'system:sales' }) {
+    const wallet = await lockWallet(connection, userId);
+    if (!wallet) {
+        throw new InsufficientBalanceError();
+    }
+    
+    const amount = typeof price === 'function' ? await price(wallet) : price;
+    if (Number(wallet.balance) < Number(amount)) {
+        throw new InsufficientBalanceError();
+    }
+    
+    const orderId = await nextOrderId(connection);
+    
+    await debitWallet(connection, userId, amount, { transactionId, contraAccount, description });
+    
+    await connection.query(
+        'INSERT INTO wallet_transactions (user_id, transaction_id, reference, type, amount, description, status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [userId, transactionId, orderId, 'debit', amount, description, 'completed']
+    );
+    
+    return { orderId, amount, wallet };
+}
+
+module.exports = {
+    InsufficientBalanceError,
+    withTransaction,
+    lockWallet,
+    debitWallet,
+    creditWallet,
+    transferBetweenWallets,
+    nextOrderId,
+    payForOrder
+};
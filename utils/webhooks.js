@@ -0,0 +1,168 @@
+// utils/webhooks.js - SIGNED OUTBOUND WEBHOOK DELIVERY
+//
+// Each POST carries:
+//   X-BuyBuzz-Event      event name, e.g. order.completed
+//   X-BuyBuzz-Delivery   delivery id (stable across retries and replays)
+//   X-BuyBuzz-Timestamp  unix seconds when this attempt was sent
+//   X-BuyBuzz-Signature  hex HMAC-SHA256 of `${timestamp}.${body}` keyed with
+//                        the endpoint's signing secret
+//
+// Webhook URLs are chosen by users, so they must never reach this server's own
+// network: hosts that resolve to loopback, private, link-local (cloud metadata)
+// or other non-public addresses are refused when the URL is saved and again on
+// every connection, so a DNS answer that changes later does not get through.
+// Only the status code of the response is kept.
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// [network, prefix length] of IPv4 ranges that are not the public internet
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+const ipv4ToInt = ip => ip.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+
+function isPublicAddress(ip) {
+    if (net.isIPv4(ip)) {
+        const value = ipv4ToInt(ip);
+        return !BLOCKED_IPV4_RANGES.some(([network, bits]) => {
+            const size = Math.pow(2, 32 - bits);
+            return Math.floor(value / size) === Math.floor(ipv4ToInt(network) / size);
+        });
+    }
+    
+    if (net.isIPv6(ip)) {
+        const address = ip.toLowerCase();
+        
+        // IPv4-mapped (::ffff:10.0.0.1) and NAT64 (64:ff9b::10.0.0.1) addresses
+        const embedded = address.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+        if (embedded) return isPublicAddress(embedded[1]);
+        
+        return !(
+            address === '::' ||
+            address === '::1' ||
+            /^::ffff:/.test(address) ||
+            /^f[cd]/.test(address) ||          // unique local fc00::/7
+            /^fe[89ab]/.test(address) ||       // link-local fe80::/10
+            /^ff/.test(address) ||             // multicast
+            /^2001:db8:/.test(address)         // documentation
+        );
+    }
+    
+    return false;
+}
+
+// dns.lookup() replacement for the delivery agents: resolves as usual, but
+// fails the connection if any address is not public
+function publicLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        
+        const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+        }
+        
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// Check that a URL points at the public internet. Returns an error message, or
+// null when it is fine. IP literals never go through a lookup, so they are
+// checked here as well as at save time.
+async function checkWebhookHost(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    } catch (error) {
+        return 'Invalid URL';
+    }
+    
+    if (net.isIP(hostname)) {
+        return isPublicAddress(hostname) ? null : 'Webhook URL must not point to a private or local address';
+    }
+    
+    try {
+        const addresses = await dns.promises.lookup(hostname, { all: true });
+        if (addresses.some(entry => !isPublicAddress(entry.address))) {
+            return 'Webhook URL must not point to a private or local address';
+        }
+    } catch (error) {
+        return `Could not resolve ${hostname}`;
+    }
+    
+    return null;
+}
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret)
+                 .update(`${timestamp}.${body}`)
+                 .digest('hex');
+}
+
+// Send one attempt. Never throws: the outcome is returned for the delivery log.
+async function postWebhook({ url, secret, event, deliveryId, payload, timeout = 10000 }) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    
+    try {
+        const hostError = await checkWebhookHost(url);
+        if (hostError) {
+            throw new Error(hostError);
+        }
+        
+        const response = await axios.post(url, body, {
+            timeout,
+            maxRedirects: 0,
+            httpAgent,
+            httpsAgent,
+            // Only the status code is used; don't download the body
+            responseType: 'stream',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'BuyBuzz-Webhooks/1.0',
+                'X-BuyBuzz-Event': event,
+                'X-BuyBuzz-Delivery': deliveryId,
+                'X-BuyBuzz-Timestamp': String(timestamp),
+                'X-BuyBuzz-Signature': signPayload(secret, timestamp, body)
+            },
+            // Any status is a result worth logging, not an exception
+            validateStatus: () => true
+        });
+        
+        response.data.destroy();
+        
+        return {
+            ok: response.status >= 200 && response.status < 300,
+            statusCode: response.status,
+            error: null,
+            durationMs: Date.now() - startedAt
+        };
+    } catch (error) {
+        return {
+            ok: false,
+            statusCode: null,
+            error: error.message,
+            durationMs: Date.now() - startedAt
+        };
+    }
+}
+
+module.exports = { signPayload, postWebhook, checkWebhookHost, isPublicAddress };
@@ -0,0 +1,98 @@
+// vendors/http.js - GENERIC REST DATA VENDOR ADAPTER
+//
+// Talks to vendors exposing:
+//   POST /orders             { reference, network, bundle_size, beneficiary_number }
+//   GET  /orders/:reference
+// and answering with { success, data: { reference, status, message } }.
+// The mock server in vendors/mock-server.js implements the same contract.
+const axios = require('axios');
+
+const DELIVERED_STATUSES = ['delivered', 'completed', 'successful', 'success'];
+const FAILED_STATUSES = ['failed', 'rejected', 'cancelled', 'reversed'];
+
+function parseResult(payload, fallbackReference) {
+    const data = (payload && payload.data) || payload || {};
+    const vendorStatus = String(data.status || '').toLowerCase();
+
+    let status = 'pending';
+    if (DELIVERED_STATUSES.includes(vendorStatus)) {
+        status = 'delivered';
+    } else if (FAILED_STATUSES.includes(vendorStatus) || (payload && payload.success === false)) {
+        status = 'failed';
+    }
+
+    return {
+        status,
+        reference: data.reference || fallbackReference || null,
+        reason: status === 'failed' ? (data.message || data.reason || (payload && payload.message) || 'Rejected by vendor') : null,
+        raw: payload
+    };
+}
+
+// Only these mean the vendor looked at the order and refused it. Other 4xx
+// (401 from a bad key, 404 when polling an order the vendor lost track of
+// after a restart or a send that timed out) say nothing about whether the
+// bundle will still be delivered.
+const REJECTION_HTTP_STATUSES = [422];
+
+function parseError(error, fallbackReference) {
+    const response = error.response;
+
+    if (response && REJECTION_HTTP_STATUSES.includes(response.status)) {
+        const body = response.data || {};
+        return {
+            status: 'failed',
+            reference: (body.data && body.data.reference) || fallbackReference || null,
+            reason: body.message || body.error || `Vendor rejected order (HTTP ${response.status})`,
+            raw: body
+        };
+    }
+
+    // Timeouts, connection errors and any other HTTP error leave the outcome unknown
+    return {
+        status: 'error',
+        reference: fallbackReference || null,
+        reason: response ? `Vendor returned HTTP ${response.status}` : error.message,
+        raw: response ? response.data : null
+    };
+}
+
+function createHttpVendor({ baseUrl, apiKey, timeout = 15000 }) {
+    if (!baseUrl) {
+        throw new Error('DATA_VENDOR_URL is not configured');
+    }
+
+    const client = axios.create({
+        baseURL: baseUrl,
+        timeout,
+        headers: {
+            Authorization: `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+        }
+    });
+
+    return {
+        name: 'http',
+
+        async sendOrder(order) {
+            const response = await client.post('/orders', {
+                reference: order.order_id,
+                network: order.network,
+                bundle_size: order.bundle_size,
+                beneficiary_number: order.beneficiary_number
+            });
+            return parseResult(response.data, order.order_id);
+        },
+
+        async checkStatus(reference) {
+            const response = await client.get(`/orders/${encodeURIComponent(reference)}`);
+            return parseResult(response.data, reference);
+        },
+
+        parseError
+    };
+}
+
+module.exports = createHttpVendor;
+module.exports.parseResult = parseResult;
+module.exports.parseError = parseError;
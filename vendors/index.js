@@ -0,0 +1,29 @@
+// vendors/index.js - DATA VENDOR ADAPTER REGISTRY
+//
+// Every adapter exposes the same three calls so the delivery code in index.js
+// never has to know which vendor it is talking to:
+//   sendOrder(order)           -> submit an order row, returns a vendor result
+//   checkStatus(reference)     -> poll the vendor, returns a vendor result
+//   parseError(error)          -> turn a thrown request error into a vendor result
+//
+// A vendor result is always { status, reference, reason, raw } where status is
+// 'pending', 'delivered', 'failed' or 'error' (transient, try again later).
+const createHttpVendor = require('./http');
+
+const adapters = {
+    http: createHttpVendor
+};
+
+function registerVendor(name, factory) {
+    adapters[name] = factory;
+}
+
+function createVendor(name, config = {}) {
+    const factory = adapters[name];
+    if (!factory) {
+        throw new Error(`Unknown data vendor adapter: ${name}`);
+    }
+    return factory(config);
+}
+
+module.exports = { createVendor, registerVendor };
@@ -0,0 +1,75 @@
+// vendors/mock-server.js - LOCAL STAND-IN FOR THE DATA VENDOR API
+//
+// Run with `npm run mock:vendor` and point DATA_VENDOR_URL at it.
+// Orders are delivered after MOCK_VENDOR_DELAY_MS. Beneficiary numbers ending
+// in 0000 are rejected immediately and numbers ending in 9999 fail during
+// delivery, so both failure paths can be exercised locally.
+const express = require('express');
+require('dotenv').config();
+
+const PORT = process.env.MOCK_VENDOR_PORT || 4000;
+const API_KEY = process.env.DATA_VENDOR_API_KEY || '';
+const DELAY_MS = parseInt(process.env.MOCK_VENDOR_DELAY_MS) || 5000;
+
+const app = express();
+app.use(express.json());
+
+const orders = new Map();
+
+app.use((req, res, next) => {
+    const authHeader = req.headers['authorization'] || '';
+    if (API_KEY && authHeader !== `Bearer ${API_KEY}`) {
+        return res.status(401).json({ success: false, message: 'Invalid API key' });
+    }
+    next();
+});
+
+app.post('/orders', (req, res) => {
+    const { reference, network, bundle_size, beneficiary_number } = req.body;
+
+    if (!reference || !network || !bundle_size || !beneficiary_number) {
+        return res.status(422).json({ success: false, message: 'reference, network, bundle_size and beneficiary_number are required' });
+    }
+
+    // Same reference twice is treated as a retry, not a new order
+    if (orders.has(reference)) {
+        return res.json({ success: true, data: orders.get(reference) });
+    }
+
+    if (beneficiary_number.endsWith('0000')) {
+        return res.status(422).json({
+            success: false,
+            message: 'Beneficiary number is not registered on the network',
+            data: { reference, status: 'failed' }
+        });
+    }
+
+    const order = { reference, network, bundle_size, beneficiary_number, status: 'processing', message: 'Order accepted' };
+    orders.set(reference, order);
+
+    setTimeout(() => {
+        if (beneficiary_number.endsWith('9999')) {
+            order.status = 'failed';
+            order.message = 'Network provider declined the bundle';
+        } else {
+            order.status = 'delivered';
+            order.message = `${bundle_size} delivered to ${beneficiary_number}`;
+        }
+        order.completed_at = new Date().toISOString();
+        console.log(`📦 ${reference} -> ${order.status}`);
+    }, DELAY_MS);
+
+    res.status(202).json({ success: true, data: order });
+});
+
+app.get('/orders/:reference', (req, res) => {
+    const order = orders.get(req.params.reference);
+    if (!order) {
+        return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    res.json({ success: true, data: order });
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Mock data vendor running on http://localhost:${PORT} (delivery delay ${DELAY_MS}ms)`);
+});